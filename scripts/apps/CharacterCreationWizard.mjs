@@ -0,0 +1,820 @@
+import { MODULE_ID, TEMPLATE_PATH, LOG_PREFIX, MAX_LEVEL, SCHOOL_ICONS, capitalize, pushToMapArray, ScrollPositionMixin } from '../utils/constants.mjs';
+import { DataProvider } from '../data/DataProvider.mjs';
+import { ClassFeatureResolver } from '../data/ClassFeatureResolver.mjs';
+import { SchoolChoiceResolver } from '../data/SchoolChoiceResolver.mjs';
+import { SpellsKnownResolver } from '../data/SpellsKnownResolver.mjs';
+import { EquipmentProficiencyResolver } from '../data/EquipmentProficiencyResolver.mjs';
+import { CompendiumBrowser } from '../core/CompendiumBrowser.mjs';
+import { ItemGranter } from '../core/ItemGranter.mjs';
+import { CurrencyManager } from '../core/CurrencyManager.mjs';
+import { GrantApproval } from '../core/GrantApproval.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * @typedef {'class'|'subclass'|'schools'|'features'|'spells'|'equipment'|'review'} WizardStep
+ */
+
+/** @type {Record<WizardStep, string>} FontAwesome icon per step. */
+const STEP_ICONS = {
+	class: 'fa-solid fa-user-shield',
+	subclass: 'fa-solid fa-code-branch',
+	schools: 'fa-solid fa-book-open',
+	features: 'fa-solid fa-scroll',
+	spells: 'fa-solid fa-hat-wizard',
+	equipment: 'fa-solid fa-shield-halved',
+	review: 'fa-solid fa-clipboard-check',
+};
+
+/**
+ * Multi-step wizard for a character without a class.
+ * Steps: class and starting level → subclass (when unlocked) → school choices
+ * (when any) → features → spells (casters only) → equipment → review.
+ *
+ * Every choice stays in the wizard until the review page is confirmed; the
+ * class items, school choices and grants are then written in one go.
+ * Changing the class or the level resets the choices that depend on it.
+ */
+class CharacterCreationWizard extends ScrollPositionMixin(HandlebarsApplicationMixin(ApplicationV2)) {
+	/** @type {Actor} */
+	#actor;
+	/** @type {WizardStep} */
+	#step = 'class';
+	/** @type {import('../core/CompendiumBrowser.mjs').ClassEntryData[]|null} */
+	#classes = null;
+	/** @type {import('../core/CompendiumBrowser.mjs').ClassEntryData[]} */
+	#subclasses = [];
+	/** @type {import('../core/CompendiumBrowser.mjs').ClassEntryData|null} */
+	#class = null;
+	/** @type {import('../core/CompendiumBrowser.mjs').ClassEntryData|null} */
+	#subclass = null;
+	/** @type {number} Starting class level. */
+	#level = 1;
+	/** @type {Map<string, Set<string>>} Choice key → selected schools. */
+	#schoolSelections = new Map();
+	/** @type {import('../data/ClassFeatureResolver.mjs').ResolvedFeature[]|null} Resolved on first visit of the features step. */
+	#features = null;
+	/** @type {Set<string>} */
+	#featureUuids = new Set();
+	/** @type {import('../core/CompendiumBrowser.mjs').SpellData[]|null} Resolved on first visit of the spells step. */
+	#spells = null;
+	/** @type {Set<string>} */
+	#spellUuids = new Set();
+	/** @type {Map<string, number>} UUID → selected quantity. */
+	#equipment = new Map();
+	/** @type {import('../core/CompendiumBrowser.mjs').ItemData[]|null} */
+	#availableEquipment = null;
+	/** @type {boolean} Whether the equipment is bought with the actor's coins. */
+	#payTheBill = false;
+	/** @type {boolean} Whether the actor is being written. */
+	#creating = false;
+	/** @type {boolean} Whether the level input and right-click listeners have been attached. */
+	#listenersBound = false;
+	/** @type {DataProvider} */
+	#dataProvider = DataProvider.instance;
+	/** @type {CompendiumBrowser} */
+	#compendiumBrowser = CompendiumBrowser.instance;
+	/** @type {ClassFeatureResolver} */
+	#featureResolver = new ClassFeatureResolver();
+	/** @type {SchoolChoiceResolver} */
+	#choiceResolver = new SchoolChoiceResolver();
+	/** @type {SpellsKnownResolver} */
+	#spellsKnownResolver = new SpellsKnownResolver();
+	/** @type {EquipmentProficiencyResolver} */
+	#proficiencyResolver = new EquipmentProficiencyResolver();
+	/** @type {ItemGranter} */
+	#granter = new ItemGranter();
+	/** @type {CurrencyManager} */
+	#currency = new CurrencyManager();
+	/** @type {GrantApproval} */
+	#approval = new GrantApproval();
+
+	static DEFAULT_OPTIONS = {
+		classes: [MODULE_ID, 'nimble-selector'],
+		window: {
+			title: 'Character Creation',
+			icon: 'fa-solid fa-wand-magic-sparkles',
+			resizable: true,
+		},
+		position: {
+			width: 560,
+			height: 'auto',
+		},
+		actions: {
+			selectClass: CharacterCreationWizard.#onSelectClass,
+			selectSubclass: CharacterCreationWizard.#onSelectSubclass,
+			selectSchool: CharacterCreationWizard.#onSelectSchool,
+			toggleFeature: CharacterCreationWizard.#onToggleFeature,
+			toggleSpell: CharacterCreationWizard.#onToggleSpell,
+			addEquipment: CharacterCreationWizard.#onAddEquipment,
+			togglePayTheBill: CharacterCreationWizard.#onTogglePayTheBill,
+			back: CharacterCreationWizard.#onBack,
+			next: CharacterCreationWizard.#onNext,
+			create: CharacterCreationWizard.#onCreate,
+			cancel: CharacterCreationWizard.#onCancel,
+		},
+	};
+
+	static PARTS = {
+		form: {
+			template: `${TEMPLATE_PATH}/character-creation-wizard.hbs`,
+		},
+	};
+
+	/**
+	 * @param {Actor} actor - A character without a class
+	 * @param {object} [options={}]
+	 */
+	constructor(actor, options = {}) {
+		super({ id: `${MODULE_ID}-creation-wizard-${actor.id}`, ...options });
+		this.#actor = actor;
+	}
+
+	/* ---------------------------------------- */
+	/*  Steps                                   */
+	/* ---------------------------------------- */
+
+	/**
+	 * The steps that apply to the current choices, in order.
+	 * @returns {WizardStep[]}
+	 */
+	#getSteps() {
+		const steps = ['class'];
+		if (this.#class) {
+			if (this.#isSubclassUnlocked() && this.#subclasses.length) steps.push('subclass');
+			if (this.#getPendingSchoolChoices().length) steps.push('schools');
+			steps.push('features');
+			if (this.#hasSpellcasting()) steps.push('spells');
+			steps.push('equipment');
+		}
+		steps.push('review');
+		return steps;
+	}
+
+	/**
+	 * Whether the current step is complete enough to move on.
+	 * @returns {boolean}
+	 */
+	#canAdvance() {
+		switch (this.#step) {
+			case 'class': return Boolean(this.#class);
+			case 'subclass': return Boolean(this.#subclass);
+			case 'schools': return this.#getPendingSchoolChoices()
+				.every((c) => this.#schoolSelections.get(c.key)?.size === c.count);
+			default: return true;
+		}
+	}
+
+	/**
+	 * @returns {boolean}
+	 */
+	#isSubclassUnlocked() {
+		return this.#level >= this.#compendiumBrowser.getSubclassLevel(this.#class.identifier);
+	}
+
+	/**
+	 * @returns {string|null}
+	 */
+	#getSubclassIdentifier() {
+		return this.#subclass?.identifier ?? null;
+	}
+
+	/**
+	 * @returns {boolean}
+	 */
+	#hasSpellcasting() {
+		return this.#dataProvider.getMaxSpellTier(this.#class.identifier, this.#level, this.#getSubclassIdentifier()) >= 0;
+	}
+
+	/**
+	 * Every school choice the class offers up to the starting level.
+	 * The draft is empty so choices already made stay listed with their selections.
+	 * @returns {import('../data/SchoolChoiceResolver.mjs').PendingChoice[]}
+	 */
+	#getPendingSchoolChoices() {
+		if (!this.#class) return [];
+		return this.#choiceResolver.getPendingChoices(
+			this.#actor, this.#class.identifier, this.#level, this.#getSubclassIdentifier(), {},
+		);
+	}
+
+	/**
+	 * The school selections as they would be saved to the actor's flags.
+	 * @returns {Record<string, string[]>}
+	 */
+	#getSchoolDraft() {
+		return Object.fromEntries([...this.#schoolSelections].map(([key, schools]) => [key, [...schools]]));
+	}
+
+	/**
+	 * Drop every choice that depends on the class, subclass or level.
+	 * @param {object} [options={}]
+	 * @param {boolean} [options.keepSubclass=false]
+	 */
+	#resetDependentChoices({ keepSubclass = false } = {}) {
+		if (!keepSubclass) this.#subclass = null;
+		this.#schoolSelections.clear();
+		this.#features = null;
+		this.#featureUuids.clear();
+		this.#spells = null;
+		this.#spellUuids.clear();
+		this.#availableEquipment = null;
+		this.#equipment.clear();
+	}
+
+	/* ---------------------------------------- */
+	/*  Lazy Loading                            */
+	/* ---------------------------------------- */
+
+	/**
+	 * Resolve the starting features and preselect the progression ones
+	 * (when the autoSelectFeatures setting is on).
+	 */
+	#loadFeatures() {
+		if (this.#features) return;
+		this.#features = this.#featureResolver.markOwnedFeatures(
+			this.#actor,
+			this.#featureResolver.resolveRange(this.#class.identifier, 1, this.#level, this.#getSubclassIdentifier()),
+		);
+		if (!game.settings.get(MODULE_ID, 'autoSelectFeatures')) return;
+		for (const f of this.#features) {
+			if (!f.alreadyOwned && f.matched && !f.selectableGroup && f.uuid) this.#featureUuids.add(f.uuid);
+		}
+	}
+
+	/**
+	 * Find the learnable spells with the draft school choices.
+	 * Without a spells-known cap every spell is preselected, as auto-grant would do.
+	 */
+	#loadSpells() {
+		if (this.#spells) return;
+		this.#spells = this.#spellsKnownResolver.findLearnableSpells(
+			this.#actor, this.#class.identifier, this.#level, this.#getSubclassIdentifier(), this.#getSchoolDraft(),
+		);
+		if (this.#getSpellsStatus()) return;
+		for (const s of this.#spells) this.#spellUuids.add(s.uuid);
+	}
+
+	/**
+	 * @returns {import('../data/SpellsKnownResolver.mjs').SpellsKnownStatus|null}
+	 */
+	#getSpellsStatus() {
+		return this.#spellsKnownResolver.getStatus(
+			this.#actor, this.#class.identifier, this.#level, this.#getSubclassIdentifier(), this.#spells,
+		);
+	}
+
+	/**
+	 * Equipment the class is proficient with.
+	 * @returns {import('../core/CompendiumBrowser.mjs').ItemData[]}
+	 */
+	#loadEquipment() {
+		if (!this.#availableEquipment) {
+			const subclassIdentifier = this.#getSubclassIdentifier();
+			const proficiencies = this.#proficiencyResolver.resolve(this.#class.identifier, subclassIdentifier);
+			this.#availableEquipment = this.#proficiencyResolver
+				.findAvailableEquipment(this.#class.identifier, subclassIdentifier)
+				.filter((e) => this.#proficiencyResolver.matchesProficiency(e, proficiencies));
+		}
+		return this.#availableEquipment;
+	}
+
+	/**
+	 * @param {Map<string, number>} [quantities] - Items to price instead of the chosen gear
+	 * @returns {{ byDenom: import('../core/CurrencyManager.mjs').CoinAmounts, totalCp: number }}
+	 */
+	#getEquipmentCost(quantities = this.#equipment) {
+		return this.#currency.getCost(
+			[...quantities].map(([uuid, qty]) => [this.#compendiumBrowser.getEntry(uuid), qty]),
+		);
+	}
+
+	/* ---------------------------------------- */
+	/*  Context Preparation                     */
+	/* ---------------------------------------- */
+
+	/** @override */
+	async _prepareContext() {
+		if (!this.#classes) this.#classes = await this.#compendiumBrowser.getClassEntries('classes');
+
+		const steps = this.#getSteps();
+		if (!steps.includes(this.#step)) this.#step = 'class';
+		const index = steps.indexOf(this.#step);
+
+		return {
+			actorName: this.#actor.name,
+			steps: steps.map((step, i) => ({
+				id: step,
+				icon: STEP_ICONS[step],
+				label: game.i18n.localize(`NIMBLE_SELECTOR.wizard.steps.${step}`),
+				active: i === index,
+				done: i < index,
+			})),
+			step: { [this.#step]: true },
+			stepTitle: game.i18n.localize(`NIMBLE_SELECTOR.wizard.steps.${this.#step}`),
+			isFirst: index === 0,
+			isReview: this.#step === 'review',
+			canAdvance: this.#canAdvance(),
+			creating: this.#creating,
+			...this.#prepareStepContext(),
+		};
+	}
+
+	/**
+	 * Build the data of the current step.
+	 * @returns {object}
+	 */
+	#prepareStepContext() {
+		switch (this.#step) {
+			case 'class': return this.#prepareClassStep();
+			case 'subclass': return this.#prepareSubclassStep();
+			case 'schools': return this.#prepareSchoolsStep();
+			case 'features': return this.#prepareFeaturesStep();
+			case 'spells': return this.#prepareSpellsStep();
+			case 'equipment': return this.#prepareEquipmentStep();
+			case 'review': return this.#prepareReviewStep();
+		}
+		return {};
+	}
+
+	/**
+	 * @returns {{ classes: object[], level: number, maxLevel: number }}
+	 */
+	#prepareClassStep() {
+		return {
+			classes: this.#classes.map((c) => ({ ...c, selected: c.uuid === this.#class?.uuid })),
+			level: this.#level,
+			maxLevel: MAX_LEVEL,
+		};
+	}
+
+	/**
+	 * @returns {{ subclasses: object[] }}
+	 */
+	#prepareSubclassStep() {
+		return {
+			subclasses: this.#subclasses.map((s) => ({ ...s, selected: s.uuid === this.#subclass?.uuid })),
+		};
+	}
+
+	/**
+	 * @returns {{ schoolChoices: object[], schoolIcons: Record<string, string> }}
+	 */
+	#prepareSchoolsStep() {
+		return {
+			schoolChoices: this.#getPendingSchoolChoices().map((choice) => {
+				const selections = this.#schoolSelections.get(choice.key);
+				return {
+					key: choice.key,
+					label: game.i18n.format('NIMBLE_SELECTOR.schoolChoice.title', { count: choice.count }),
+					options: choice.availableOptions.map((s) => ({ id: s, selected: selections?.has(s) ?? false })),
+				};
+			}),
+			schoolIcons: SCHOOL_ICONS,
+		};
+	}
+
+	/**
+	 * Group features like ClassFeatureSelector: progression by level, then selectable groups.
+	 * @returns {{ featureGroups: Array<{label: string, features: object[]}> }}
+	 */
+	#prepareFeaturesStep() {
+		this.#loadFeatures();
+
+		const groups = new Map();
+		for (const f of this.#features) {
+			const label = f.selectableGroup
+				?? `${game.i18n.localize('NIMBLE_SELECTOR.panel.level')} ${f.level}`;
+			pushToMapArray(groups, label, { ...f, selected: this.#featureUuids.has(f.uuid) });
+		}
+		return {
+			featureGroups: [...groups].map(([label, features]) => ({ label, features })),
+		};
+	}
+
+	/**
+	 * @returns {{ spells: object[], spellsKnown: string }}
+	 */
+	#prepareSpellsStep() {
+		this.#loadSpells();
+
+		const status = this.#getSpellsStatus();
+		const atLimit = status != null && this.#spellUuids.size >= status.remaining;
+		return {
+			spells: this.#spells.map((s) => {
+				const selected = this.#spellUuids.has(s.uuid);
+				return {
+					...s,
+					selected,
+					locked: atLimit && !selected,
+					schoolIcon: SCHOOL_ICONS[s._normalizedSchool] ?? '',
+					schoolLabel: capitalize(s.school),
+					tierLabel: CharacterCreationWizard.#getTierLabel(s),
+				};
+			}),
+			spellsKnown: status
+				? game.i18n.format('NIMBLE_SELECTOR.spells.knownCounter', { count: this.#spellUuids.size, limit: status.remaining })
+				: '',
+			atLimit,
+		};
+	}
+
+	/**
+	 * @returns {object}
+	 */
+	#prepareEquipmentStep() {
+		const { byDenom, totalCp } = this.#getEquipmentCost();
+		return {
+			equipment: this.#loadEquipment().map((e) => ({
+				...e,
+				quantity: this.#equipment.get(e.uuid) ?? 0,
+				selected: this.#equipment.has(e.uuid),
+				priceLabel: this.#currency.formatPrice(e),
+			})),
+			payTheBill: this.#payTheBill,
+			wealth: this.#currency.listCoins(this.#currency.getWealth(this.#actor), true),
+			selectionTotal: this.#currency.listCoins(byDenom),
+			hasSelectionCost: totalCp > 0,
+			canAfford: totalCp <= this.#currency.getWealthInCp(this.#actor),
+			payment: totalCp > 0 ? this.#currency.describePayment(this.#actor, byDenom) : null,
+		};
+	}
+
+	/**
+	 * Summarize everything that will be written to the actor.
+	 * @returns {object}
+	 */
+	#prepareReviewStep() {
+		const steps = this.#getSteps();
+		const schools = this.#choiceResolver.resolveAllSchools(
+			this.#actor, this.#class?.identifier, this.#level, this.#getSubclassIdentifier(), this.#getSchoolDraft(),
+		);
+		const featureNames = (this.#features ?? [])
+			.filter((f, i, all) => this.#featureUuids.has(f.uuid) && all.findIndex((o) => o.uuid === f.uuid) === i)
+			.map((f) => f.name);
+		const spellNames = steps.includes('spells')
+			? (this.#spells ?? []).filter((s) => this.#spellUuids.has(s.uuid)).map((s) => s.name)
+			: [];
+		const equipment = [...this.#equipment].map(([uuid, quantity]) => ({
+			name: this.#compendiumBrowser.getEntry(uuid)?.name ?? uuid,
+			quantity,
+		}));
+		const { byDenom, totalCp } = this.#getEquipmentCost();
+
+		return {
+			review: {
+				className: this.#class?.name ?? '',
+				subclassName: steps.includes('subclass') ? (this.#subclass?.name ?? '') : '',
+				level: this.#level,
+				schools: this.#class && this.#hasSpellcasting() ? schools.map(capitalize).join(', ') : '',
+				features: featureNames.join(', '),
+				spells: spellNames.join(', '),
+				equipment,
+				payTheBill: this.#payTheBill && totalCp > 0,
+				cost: this.#currency.listCoins(byDenom),
+				canAfford: !this.#payTheBill || totalCp <= this.#currency.getWealthInCp(this.#actor),
+			},
+		};
+	}
+
+	/**
+	 * @param {import('../core/CompendiumBrowser.mjs').SpellData} spell
+	 * @returns {string}
+	 */
+	static #getTierLabel(spell) {
+		if (spell.isUtility) return game.i18n.localize('NIMBLE_SELECTOR.spells.utility');
+		if (spell.tier === 0) return game.i18n.localize('NIMBLE_SELECTOR.spells.cantrip');
+		return `${game.i18n.localize('NIMBLE_SELECTOR.spells.tier')} ${spell.tier}`;
+	}
+
+	/** @override */
+	_onRender(_context, _options) {
+		super._onRender(_context, _options);
+
+		// Inputs and cards are re-rendered with the part, so listen once on the app element
+		if (!this.#listenersBound && this.element) {
+			this.element.addEventListener('change', (event) => {
+				const input = event.target.closest('input[data-level]');
+				if (input) this.#onLevelChange(input);
+			});
+			this.element.addEventListener('contextmenu', (event) => {
+				if (event.target.closest('[data-action="addEquipment"]')) this.#onRemoveEquipment(event);
+			});
+			this.#listenersBound = true;
+		}
+	}
+
+	/**
+	 * Called by CompendiumBrowser when a source pack changes.
+	 * Re-reads the class list and the current step's entries.
+	 */
+	invalidateCompendiumData() {
+		this.#classes = null;
+		this.#features = null;
+		this.#spells = null;
+		this.#availableEquipment = null;
+		if (this.rendered) this.render();
+	}
+
+	/**
+	 * @param {HTMLInputElement} input
+	 */
+	#onLevelChange(input) {
+		const level = Math.clamp(Math.floor(Number(input.value)) || 1, 1, MAX_LEVEL);
+		if (level === this.#level) {
+			input.value = String(level);
+			return;
+		}
+		this.#level = level;
+		this.#resetDependentChoices({ keepSubclass: Boolean(this.#class) && this.#isSubclassUnlocked() });
+		this.render();
+	}
+
+	/**
+	 * Handle right-click on an equipment card to decrease quantity.
+	 * @param {MouseEvent} event
+	 */
+	#onRemoveEquipment(event) {
+		const uuid = event.target.closest('[data-uuid]')?.dataset.uuid;
+		if (!uuid) return;
+		event.preventDefault();
+
+		const current = this.#equipment.get(uuid) ?? 0;
+		if (current <= 1) this.#equipment.delete(uuid);
+		else this.#equipment.set(uuid, current - 1);
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/* ---------------------------------------- */
+	/*  Creation                                */
+	/* ---------------------------------------- */
+
+	/**
+	 * Write the class, subclass, school choices and grants to the actor.
+	 * With GM approval required, the grants are sent as requests instead.
+	 * @returns {Promise<boolean>} Whether the actor was created
+	 */
+	async #createCharacter() {
+		const steps = this.#getSteps();
+		const actor = this.#actor;
+		if (this.#payTheBill && this.#getEquipmentCost().totalCp > this.#currency.getWealthInCp(actor)) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.equipment.cannotAfford'));
+			return false;
+		}
+
+		const classUuids = [this.#class.uuid];
+		if (steps.includes('subclass') && this.#subclass) classUuids.push(this.#subclass.uuid);
+		const created = await this.#granter.createClassItems(actor, classUuids, { classLevel: this.#level });
+		if (!created) {
+			ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.wizard.failed'));
+			return false;
+		}
+
+		try {
+			if (steps.includes('schools')) await this.#choiceResolver.saveChoices(actor, this.#getSchoolDraft());
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to save the school choices of ${actor.name}:`, err);
+		}
+
+		const features = [...this.#featureUuids];
+		const spells = steps.includes('spells') ? [...this.#spellUuids] : [];
+		const equipment = new Map(this.#equipment);
+
+		/** @type {string[]} Steps whose grants were neither applied nor sent for approval */
+		const missed = [];
+		const approval = this.#approval.isRequired();
+		if (features.length) {
+			await this.#runGrant('features', missed, async () => (approval
+				? this.#approval.request(actor, 'features', features)
+				: Boolean(await this.#granter.grantItemsByUuid(actor, features))));
+		}
+		if (spells.length) {
+			await this.#runGrant('spells', missed, async () => (approval
+				? this.#approval.request(actor, 'spells', spells)
+				: Boolean(await this.#granter.grantItemsByUuid(actor, spells))));
+		}
+		if (equipment.size) {
+			await this.#runGrant('equipment', missed, () => (approval
+				? this.#approval.request(actor, 'equipment', equipment, { payTheBill: this.#payTheBill })
+				: this.#buyEquipment(equipment)));
+		}
+
+		const names = { name: actor.name, className: this.#class.name };
+		if (missed.length) {
+			const steps = missed.map((step) => game.i18n.localize(`NIMBLE_SELECTOR.wizard.steps.${step}`)).join(', ');
+			ui.notifications.warn(game.i18n.format('NIMBLE_SELECTOR.wizard.createdPartly', { ...names, steps }));
+		} else {
+			ui.notifications.info(game.i18n.format('NIMBLE_SELECTOR.wizard.created', names));
+		}
+		return true;
+	}
+
+	/**
+	 * Run one step's grant, noting the step when nothing was applied or sent.
+	 * @param {string} step - Wizard step key
+	 * @param {string[]} missed - Mutated
+	 * @param {() => Promise<boolean>|boolean} grant - Resolves false when nothing was applied or sent
+	 * @returns {Promise<void>}
+	 */
+	async #runGrant(step, missed, grant) {
+		try {
+			if (await grant()) return;
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to grant the ${step} of ${this.#actor.name}:`, err);
+		}
+		missed.push(step);
+	}
+
+	/**
+	 * Grant the starting gear, charging for it with Pay the Bill.
+	 * preGrant listeners run before anything is charged.
+	 * @param {Map<string, number>} equipment
+	 * @returns {Promise<boolean>} false if a listener cancelled, the payment failed or nothing was granted (refunded)
+	 */
+	async #buyEquipment(equipment) {
+		const grant = await this.#granter.prepareGrant(this.#actor, equipment, { source: 'purchase' });
+		if (!grant) return false;
+
+		const { byDenom, totalCp } = this.#getEquipmentCost(ItemGranter.quantitiesOf(grant));
+		let deducted = null;
+		if (this.#payTheBill && totalCp > 0) {
+			deducted = await this.#currency.deduct(this.#actor, byDenom);
+			if (!deducted) return false;
+		}
+		if (await this.#granter.applyGrant(grant, { currency: deducted })) return true;
+		if (deducted) await this.#currency.refund(this.#actor, deducted);
+		return false;
+	}
+
+	/* ---------------------------------------- */
+	/*  Action Handlers                         */
+	/* ---------------------------------------- */
+
+	/**
+	 * @this {CharacterCreationWizard}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static async #onSelectClass(_event, target) {
+		const entry = this.#classes?.find((c) => c.uuid === target.dataset.uuid);
+		if (!entry || entry.uuid === this.#class?.uuid) return;
+
+		this.#class = entry;
+		const subclasses = await this.#compendiumBrowser.getClassEntries('subclasses');
+		this.#subclasses = subclasses.filter((s) => s.parentClass === entry.identifier);
+		this.#resetDependentChoices();
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/**
+	 * @this {CharacterCreationWizard}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onSelectSubclass(_event, target) {
+		const entry = this.#subclasses.find((s) => s.uuid === target.dataset.uuid);
+		if (!entry || entry.uuid === this.#subclass?.uuid) return;
+
+		this.#subclass = entry;
+		this.#resetDependentChoices({ keepSubclass: true });
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/**
+	 * @this {CharacterCreationWizard}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onSelectSchool(_event, target) {
+		const { choiceKey: key, school } = target.dataset;
+		const choice = this.#getPendingSchoolChoices().find((c) => c.key === key);
+		if (!choice || !school) return;
+
+		let selections = this.#schoolSelections.get(key);
+		if (!selections) {
+			selections = new Set();
+			this.#schoolSelections.set(key, selections);
+		}
+
+		if (selections.has(school)) {
+			selections.delete(school);
+		} else {
+			if (choice.count === 1) selections.clear();
+			if (selections.size < choice.count) selections.add(school);
+		}
+
+		// The learnable spells depend on the schools
+		this.#spells = null;
+		this.#spellUuids.clear();
+		this.render();
+	}
+
+	/**
+	 * @this {CharacterCreationWizard}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onToggleFeature(_event, target) {
+		const uuid = target.dataset.uuid;
+		const feature = this.#features?.find((f) => f.uuid === uuid);
+		if (!feature || feature.alreadyOwned) return;
+
+		if (this.#featureUuids.has(uuid)) this.#featureUuids.delete(uuid);
+		else this.#featureUuids.add(uuid);
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/**
+	 * @this {CharacterCreationWizard}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onToggleSpell(_event, target) {
+		const uuid = target.dataset.uuid;
+		if (!uuid) return;
+
+		if (this.#spellUuids.has(uuid)) {
+			this.#spellUuids.delete(uuid);
+		} else {
+			const status = this.#getSpellsStatus();
+			if (status && this.#spellUuids.size >= status.remaining) {
+				ui.notifications.warn(game.i18n.format('NIMBLE_SELECTOR.spells.limitReached', { limit: status.limit }));
+				return;
+			}
+			this.#spellUuids.add(uuid);
+		}
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/**
+	 * @this {CharacterCreationWizard}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onAddEquipment(_event, target) {
+		const uuid = target.dataset.uuid;
+		if (!uuid) return;
+
+		this.#equipment.set(uuid, (this.#equipment.get(uuid) ?? 0) + 1);
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/** @this {CharacterCreationWizard} */
+	static #onTogglePayTheBill() {
+		this.#payTheBill = !this.#payTheBill;
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/** @this {CharacterCreationWizard} */
+	static #onBack() {
+		const steps = this.#getSteps();
+		const index = steps.indexOf(this.#step);
+		if (index <= 0) return;
+		this.#step = steps[index - 1];
+		this.render();
+	}
+
+	/** @this {CharacterCreationWizard} */
+	static #onNext() {
+		if (!this.#canAdvance()) return;
+		const steps = this.#getSteps();
+		const index = steps.indexOf(this.#step);
+		if (index >= steps.length - 1) return;
+		this.#step = steps[index + 1];
+		this.render();
+	}
+
+	/** @this {CharacterCreationWizard} */
+	static async #onCreate() {
+		if (this.#creating || !this.#class) return;
+
+		// Guard against a double click creating the class twice
+		this.#creating = true;
+		this.render();
+		let created = false;
+		try {
+			created = await this.#createCharacter();
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to create ${this.#actor.name}:`, err);
+			ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.wizard.failed'));
+		} finally {
+			this.#creating = false;
+		}
+		if (created) this.close();
+		else this.render();
+	}
+
+	/** @this {CharacterCreationWizard} */
+	static #onCancel() {
+		this.close();
+	}
+}
+
+export { CharacterCreationWizard };
@@ -1,6 +1,11 @@
-import { MODULE_ID, TEMPLATE_PATH, capitalize, pushToMapArray, ScrollPositionMixin } from '../utils/constants.mjs';
+import { MODULE_ID, TEMPLATE_PATH, capitalize, pushToMapArray, searchEntries, ScrollPositionMixin } from '../utils/constants.mjs';
 import { ClassFeatureResolver } from '../data/ClassFeatureResolver.mjs';
+import { ItemDetailResolver } from '../data/ItemDetailResolver.mjs';
 import { ItemGranter } from '../core/ItemGranter.mjs';
+import { GrantApproval } from '../core/GrantApproval.mjs';
+import { CompendiumBrowser } from '../core/CompendiumBrowser.mjs';
+import { DraftStore } from '../core/DraftStore.mjs';
+import { ChatSummary } from '../core/ChatSummary.mjs';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -8,6 +13,8 @@ const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
  * Application for selecting and granting class features to a character.
  * Shows progression features organized by level, followed by selectable
  * group sections listed once (not duplicated per level).
+ *
+ * The selection is kept as a draft until it is granted.
  */
 class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(ApplicationV2)) {
 	/** @type {Actor} */
@@ -28,10 +35,22 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 	#initialSelectionDone = false;
 	/** @type {string} Active selectable group filter (empty = show all). */
 	#activeGroup = '';
+	/** @type {string} Search field text (empty = no search). */
+	#searchQuery = '';
+	/** @type {string|null} UUID of the card shown in the detail pane. */
+	#detailUuid = null;
 	/** @type {ClassFeatureResolver} */
 	#resolver = new ClassFeatureResolver();
+	/** @type {ItemDetailResolver} */
+	#detailResolver = new ItemDetailResolver();
 	/** @type {ItemGranter} */
 	#granter = new ItemGranter();
+	/** @type {GrantApproval} */
+	#approval = new GrantApproval();
+	/** @type {CompendiumBrowser} */
+	#compendiumBrowser = CompendiumBrowser.instance;
+	/** @type {DraftStore} */
+	#drafts = DraftStore.instance;
 
 	static DEFAULT_OPTIONS = {
 		id: `${MODULE_ID}-feature-selector`,
@@ -42,11 +61,12 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 			resizable: true,
 		},
 		position: {
-			width: 500,
+			width: 760,
 			height: 'auto',
 		},
 		actions: {
 			filterGroup: ClassFeatureSelector.#onFilterGroup,
+			showDetail: ClassFeatureSelector.#onShowDetail,
 			toggleFeature: ClassFeatureSelector.#onToggleFeature,
 			selectAll: ClassFeatureSelector.#onSelectAll,
 			deselectAll: ClassFeatureSelector.#onDeselectAll,
@@ -88,10 +108,12 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 		);
 		this.#features = this.#resolver.markOwnedFeatures(this.#actor, this.#features);
 
-		this.#autoSelectOnFirstRender();
+		this.#initSelection();
 
 		const selectableGroupSections = this.#buildSelectableGroupSections();
-		const { levelGroups, filteredGroupSections } = this.#buildDisplayGroups(selectableGroupSections);
+		const displayGroups = this.#buildDisplayGroups(selectableGroupSections);
+		const levelGroups = this.#applySearch(displayGroups.levelGroups);
+		const filteredGroupSections = this.#applySearch(displayGroups.filteredGroupSections);
 		const selectedCount = this.#selectedUuids.size;
 
 		return {
@@ -99,6 +121,7 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 			fromLevel: this.#fromLevel,
 			toLevel: this.#toLevel,
 			isRange: this.#fromLevel !== this.#toLevel,
+			showPackSource: this.#compendiumBrowser.hasMultipleSources('features'),
 			levelGroups,
 			selectableGroupSections: filteredGroupSections,
 			selectedCount,
@@ -107,15 +130,38 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 			hasSelectableGroups: selectableGroupSections.length > 0,
 			selectableGroups: selectableGroupSections,
 			activeGroup: this.#activeGroup,
+			searchQuery: this.#searchQuery,
+			detail: await this.#detailResolver.resolve(this.#detailUuid),
 		};
 	}
 
 	/**
-	 * Auto-select progression features on first render (if setting enabled).
+	 * Key of this class's draft in the DraftStore.
+	 * @returns {string}
 	 */
-	#autoSelectOnFirstRender() {
+	get #draftKey() {
+		return DraftStore.key('features', this.#classIdentifier);
+	}
+
+	/**
+	 * On first render, restore the saved draft (features still offered and not
+	 * owned), or else auto-select progression features (if setting enabled).
+	 */
+	#initSelection() {
 		if (this.#initialSelectionDone) return;
 		this.#initialSelectionDone = true;
+
+		const draft = this.#drafts.get(this.#actor, this.#draftKey);
+		if (Array.isArray(draft?.selection)) {
+			const selectable = new Set(this.#features
+				.filter((f) => !f.alreadyOwned && f.matched && f.uuid)
+				.map((f) => f.uuid));
+			for (const uuid of draft.selection) {
+				if (selectable.has(uuid)) this.#selectedUuids.add(uuid);
+			}
+			return;
+		}
+
 		if (!game.settings.get(MODULE_ID, 'autoSelectFeatures')) return;
 		for (const f of this.#features) {
 			if (!f.alreadyOwned && f.matched && !f.selectableGroup && f.uuid) {
@@ -143,6 +189,7 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 			groupMap.get(f.selectableGroupId).features.push({
 				...f,
 				selected: this.#selectedUuids.has(f.uuid),
+				inDetail: Boolean(f.uuid) && f.uuid === this.#detailUuid,
 			});
 		}
 		return [...groupMap.values()];
@@ -168,6 +215,7 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 			pushToMapArray(levelMap, f.level, {
 				...f,
 				selected: this.#selectedUuids.has(f.uuid),
+				inDetail: Boolean(f.uuid) && f.uuid === this.#detailUuid,
 			});
 		}
 
@@ -178,6 +226,44 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 		return { levelGroups, filteredGroupSections: selectableGroupSections };
 	}
 
+	/**
+	 * Narrow each group's features to the search query, dropping groups left empty.
+	 * @template {{features: object[]}} G
+	 * @param {G[]} groups
+	 * @returns {G[]}
+	 */
+	#applySearch(groups) {
+		if (!this.#searchQuery) return groups;
+		return groups
+			.map((g) => ({ ...g, features: searchEntries(g.features, this.#searchQuery) }))
+			.filter((g) => g.features.length > 0);
+	}
+
+	/**
+	 * Save the selection as this class's draft.
+	 */
+	#saveDraft() {
+		this.#drafts.set(this.#actor, this.#draftKey, [...this.#selectedUuids], this.#selectedUuids.size);
+	}
+
+	/**
+	 * Called by ScrollPositionMixin when the search field changes.
+	 * @param {string} query
+	 */
+	_onSearch(query) {
+		this.#searchQuery = query;
+		this.render();
+	}
+
+	/**
+	 * Called by CompendiumBrowser when a source pack changes.
+	 * Features are re-resolved on render; selections of removed entries are ignored on confirm.
+	 */
+	invalidateCompendiumData() {
+		this.#detailResolver.clear();
+		if (this.rendered) this.render();
+	}
+
 	/* ---------------------------------------- */
 	/*  Action Handlers                         */
 	/* ---------------------------------------- */
@@ -194,6 +280,18 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 		this.render();
 	}
 
+	/**
+	 * Show a card in the detail pane without changing the selection.
+	 * @this {ClassFeatureSelector}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onShowDetail(_event, target) {
+		this.#detailUuid = target.dataset.uuid || null;
+		this._saveScrollPosition();
+		this.render();
+	}
+
 	/**
 	 * @this {ClassFeatureSelector}
 	 * @param {PointerEvent} _event
@@ -211,6 +309,7 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 		} else {
 			this.#selectedUuids.add(uuid);
 		}
+		this.#saveDraft();
 		this._saveScrollPosition();
 		this.render();
 	}
@@ -221,6 +320,7 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 			if (f.alreadyOwned || !f.matched || !f.uuid) continue;
 			this.#selectedUuids.add(f.uuid);
 		}
+		this.#saveDraft();
 		this._saveScrollPosition();
 		this.render();
 	}
@@ -228,6 +328,7 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 	/** @this {ClassFeatureSelector} */
 	static #onDeselectAll() {
 		this.#selectedUuids.clear();
+		this.#saveDraft();
 		this._saveScrollPosition();
 		this.render();
 	}
@@ -237,14 +338,28 @@ class ClassFeatureSelector extends ScrollPositionMixin(HandlebarsApplicationMixi
 		const uuids = [...this.#selectedUuids].filter(Boolean);
 		if (!uuids.length) return;
 
-		await this.#granter.grantItemsByUuid(this.#actor, uuids);
+		if (this.#approval.isRequired()) {
+			if (!this.#approval.request(this.#actor, 'features', uuids)) return;
+			this.#selectedUuids.clear();
+			this.#drafts.discard(this.#actor, this.#draftKey);
+			this.close();
+			return;
+		}
+
+		if (!await this.#granter.grantItemsByUuid(this.#actor, uuids)) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.notifications.grantCancelled'));
+			return;
+		}
 		this.#selectedUuids.clear();
-		ui.notifications.info(
-			game.i18n.format('NIMBLE_SELECTOR.notifications.grantedFeatures', {
-				count: uuids.length,
-				name: this.#actor.name,
-			}),
-		);
+		this.#drafts.discard(this.#actor, this.#draftKey);
+		if (!ChatSummary.replacesToast) {
+			ui.notifications.info(
+				game.i18n.format('NIMBLE_SELECTOR.notifications.grantedFeatures', {
+					count: uuids.length,
+					name: this.#actor.name,
+				}),
+			);
+		}
 		this.close();
 	}
 
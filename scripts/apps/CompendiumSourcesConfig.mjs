@@ -0,0 +1,172 @@
+import { MODULE_ID, TEMPLATE_PATH, DEFAULT_COMPENDIUM_SOURCES } from '../utils/constants.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM settings menu for the `compendiumSources` world setting.
+ * Lists the packs indexed for each content type in priority order
+ * (first = highest) and lets the GM add, remove and reorder them.
+ */
+class CompendiumSourcesConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+	/** @type {{features: string[], spells: string[], items: string[]}} Working copy, saved on confirm. */
+	#sources;
+
+	static DEFAULT_OPTIONS = {
+		id: `${MODULE_ID}-compendium-sources`,
+		classes: [MODULE_ID, 'nimble-selector'],
+		window: {
+			title: 'Compendium Sources',
+			icon: 'fa-solid fa-book-atlas',
+			resizable: true,
+		},
+		position: {
+			width: 520,
+			height: 'auto',
+		},
+		actions: {
+			addPack: CompendiumSourcesConfig.#onAddPack,
+			removePack: CompendiumSourcesConfig.#onRemovePack,
+			movePackUp: CompendiumSourcesConfig.#onMovePackUp,
+			movePackDown: CompendiumSourcesConfig.#onMovePackDown,
+			resetDefaults: CompendiumSourcesConfig.#onResetDefaults,
+			save: CompendiumSourcesConfig.#onSave,
+			cancel: CompendiumSourcesConfig.#onCancel,
+		},
+	};
+
+	static PARTS = {
+		form: {
+			template: `${TEMPLATE_PATH}/compendium-sources-config.hbs`,
+		},
+	};
+
+	/**
+	 * @param {object} [options={}]
+	 */
+	constructor(options = {}) {
+		super(options);
+		const saved = game.settings.get(MODULE_ID, 'compendiumSources') ?? {};
+		this.#sources = Object.fromEntries(Object.keys(DEFAULT_COMPENDIUM_SOURCES).map((type) => [
+			type,
+			[...(saved[type] ?? DEFAULT_COMPENDIUM_SOURCES[type])],
+		]));
+	}
+
+	/** @override */
+	async _prepareContext() {
+		const itemPacks = game.packs.filter((p) => p.documentName === 'Item');
+
+		const types = Object.entries(this.#sources).map(([type, packIds]) => ({
+			type,
+			label: game.i18n.localize(`NIMBLE_SELECTOR.compendiumSources.types.${type}`),
+			packs: packIds.map((id, index) => {
+				const pack = game.packs.get(id);
+				return {
+					id,
+					index,
+					priority: index + 1,
+					label: pack?.metadata.label ?? id,
+					missing: !pack,
+					isFirst: index === 0,
+					isLast: index === packIds.length - 1,
+				};
+			}),
+			available: itemPacks
+				.filter((p) => !packIds.includes(p.collection))
+				.map((p) => ({ id: p.collection, label: `${p.metadata.label} (${p.collection})` })),
+		}));
+
+		return { types };
+	}
+
+	/**
+	 * Read the type and index of the pack row an action was triggered on.
+	 * @param {HTMLElement} target
+	 * @returns {{list: string[]|undefined, index: number}}
+	 */
+	#getRow(target) {
+		const row = target.closest('[data-type]');
+		return {
+			list: this.#sources[row?.dataset.type],
+			index: Number(target.closest('[data-index]')?.dataset.index),
+		};
+	}
+
+	/* ---------------------------------------- */
+	/*  Action Handlers                         */
+	/* ---------------------------------------- */
+
+	/**
+	 * Append the pack chosen in the type's dropdown (lowest priority).
+	 * @this {CompendiumSourcesConfig}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onAddPack(_event, target) {
+		const { list } = this.#getRow(target);
+		const packId = target.closest('[data-type]')?.querySelector('select')?.value;
+		if (!list || !packId || list.includes(packId)) return;
+
+		list.push(packId);
+		this.render();
+	}
+
+	/**
+	 * @this {CompendiumSourcesConfig}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onRemovePack(_event, target) {
+		const { list, index } = this.#getRow(target);
+		if (!list?.[index]) return;
+
+		list.splice(index, 1);
+		this.render();
+	}
+
+	/**
+	 * @this {CompendiumSourcesConfig}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onMovePackUp(_event, target) {
+		const { list, index } = this.#getRow(target);
+		if (!list || !(index > 0)) return;
+
+		[list[index - 1], list[index]] = [list[index], list[index - 1]];
+		this.render();
+	}
+
+	/**
+	 * @this {CompendiumSourcesConfig}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onMovePackDown(_event, target) {
+		const { list, index } = this.#getRow(target);
+		if (!list || !(index >= 0 && index < list.length - 1)) return;
+
+		[list[index], list[index + 1]] = [list[index + 1], list[index]];
+		this.render();
+	}
+
+	/** @this {CompendiumSourcesConfig} */
+	static #onResetDefaults() {
+		this.#sources = foundry.utils.deepClone(DEFAULT_COMPENDIUM_SOURCES);
+		this.render();
+	}
+
+	/** @this {CompendiumSourcesConfig} */
+	static async #onSave() {
+		await game.settings.set(MODULE_ID, 'compendiumSources', this.#sources);
+		ui.notifications.info(game.i18n.localize('NIMBLE_SELECTOR.compendiumSources.saved'));
+		this.close();
+	}
+
+	/** @this {CompendiumSourcesConfig} */
+	static #onCancel() {
+		this.close();
+	}
+}
+
+export { CompendiumSourcesConfig };
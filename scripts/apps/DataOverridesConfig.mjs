@@ -0,0 +1,130 @@
+import { MODULE_ID, TEMPLATE_PATH, DATASET_FILES } from '../utils/constants.mjs';
+import { DataOverrideValidator } from '../data/DataOverrideValidator.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM settings menu for the world data overrides.
+ * Each bundled dataset gets a JSON editor; overrides are validated on save
+ * and stored in the `dataOverrides` world setting.
+ */
+class DataOverridesConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+	/** @type {Record<string, string>} Editor contents by dataset key, kept across renders. */
+	#drafts = {};
+	/** @type {Record<string, string[]>} Validation errors by dataset key from the last save attempt. */
+	#errors = {};
+
+	static DEFAULT_OPTIONS = {
+		id: `${MODULE_ID}-data-overrides`,
+		classes: [MODULE_ID, 'nimble-selector'],
+		window: {
+			title: 'Data Overrides',
+			icon: 'fa-solid fa-database',
+			resizable: true,
+		},
+		position: {
+			width: 640,
+			height: 'auto',
+		},
+		actions: {
+			save: DataOverridesConfig.#onSave,
+			reset: DataOverridesConfig.#onReset,
+			cancel: DataOverridesConfig.#onCancel,
+		},
+	};
+
+	static PARTS = {
+		form: {
+			template: `${TEMPLATE_PATH}/data-overrides-config.hbs`,
+		},
+	};
+
+	/**
+	 * @param {object} [options={}]
+	 */
+	constructor(options = {}) {
+		super(options);
+		const overrides = game.settings.get(MODULE_ID, 'dataOverrides') ?? {};
+		for (const key of Object.keys(DATASET_FILES)) {
+			this.#drafts[key] = overrides[key] != null ? JSON.stringify(overrides[key], null, 2) : '';
+		}
+	}
+
+	/** @override */
+	async _prepareContext() {
+		const datasets = Object.entries(DATASET_FILES).map(([key, file]) => ({
+			key,
+			file,
+			label: game.i18n.localize(`NIMBLE_SELECTOR.dataOverrides.datasets.${key}`),
+			value: this.#drafts[key],
+			errors: this.#errors[key] ?? [],
+		}));
+		return { datasets };
+	}
+
+	/**
+	 * Copy the editor contents into #drafts so they survive a re-render.
+	 */
+	#readDrafts() {
+		for (const textarea of this.element.querySelectorAll('textarea[data-dataset]')) {
+			this.#drafts[textarea.dataset.dataset] = textarea.value;
+		}
+	}
+
+	/* ---------------------------------------- */
+	/*  Action Handlers                         */
+	/* ---------------------------------------- */
+
+	/**
+	 * Parse and validate every editor; save only when all of them are valid.
+	 * @this {DataOverridesConfig}
+	 */
+	static async #onSave() {
+		this.#readDrafts();
+		this.#errors = {};
+		const overrides = {};
+
+		for (const [key, text] of Object.entries(this.#drafts)) {
+			if (!text.trim()) continue;
+
+			let data;
+			try {
+				data = JSON.parse(text);
+			} catch (err) {
+				this.#errors[key] = [game.i18n.format('NIMBLE_SELECTOR.dataOverrides.errors.invalidJson', { message: err.message })];
+				continue;
+			}
+
+			const errors = DataOverrideValidator.validate(key, data);
+			if (errors.length) this.#errors[key] = errors;
+			else overrides[key] = data;
+		}
+
+		if (Object.keys(this.#errors).length) {
+			ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.dataOverrides.invalid'));
+			this.render();
+			return;
+		}
+
+		await game.settings.set(MODULE_ID, 'dataOverrides', overrides);
+		ui.notifications.info(game.i18n.localize('NIMBLE_SELECTOR.dataOverrides.saved'));
+		this.close();
+	}
+
+	/**
+	 * Clear every editor. Nothing is stored until the next save.
+	 * @this {DataOverridesConfig}
+	 */
+	static #onReset() {
+		for (const key of Object.keys(this.#drafts)) this.#drafts[key] = '';
+		this.#errors = {};
+		this.render();
+	}
+
+	/** @this {DataOverridesConfig} */
+	static #onCancel() {
+		this.close();
+	}
+}
+
+export { DataOverridesConfig };
@@ -1,31 +1,44 @@
-import { MODULE_ID, TEMPLATE_PATH, LOG_PREFIX, capitalize, ScrollPositionMixin } from '../utils/constants.mjs';
+import { MODULE_ID, TEMPLATE_PATH, EQUIPMENT_CATEGORIES, capitalize, searchEntries, ScrollPositionMixin } from '../utils/constants.mjs';
 import { EquipmentProficiencyResolver } from '../data/EquipmentProficiencyResolver.mjs';
 import { ItemGranter } from '../core/ItemGranter.mjs';
+import { CurrencyManager } from '../core/CurrencyManager.mjs';
+import { ItemSeller } from '../core/ItemSeller.mjs';
+import { ShopManager } from '../core/ShopManager.mjs';
+import { GrantApproval } from '../core/GrantApproval.mjs';
+import { CompendiumBrowser } from '../core/CompendiumBrowser.mjs';
+import { GrantHistory } from '../core/GrantHistory.mjs';
+import { DraftStore } from '../core/DraftStore.mjs';
+import { DataProvider } from '../data/DataProvider.mjs';
+import { ItemDetailResolver } from '../data/ItemDetailResolver.mjs';
+import { InventoryLoadResolver } from '../data/InventoryLoadResolver.mjs';
+import { ChatSummary } from '../core/ChatSummary.mjs';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
-/** @type {Record<string, {label: string, icon: string}>} Equipment category display config. */
-const CATEGORY_CONFIG = {
-	armor: { label: 'Armor', icon: 'fa-solid fa-shield-halved' },
-	shield: { label: 'Shields', icon: 'fa-solid fa-shield' },
-	weapon: { label: 'Weapons', icon: 'fa-solid fa-sword' },
-	consumable: { label: 'Consumables', icon: 'fa-solid fa-flask' },
-	misc: { label: 'Misc', icon: 'fa-solid fa-bag-shopping' },
-};
-
-/** @type {Record<string, number>} Copper piece equivalents for each denomination. */
-const DENOMINATION_TO_CP = { gp: 100, sp: 10, cp: 1 };
-
 /**
  * Application for selecting and granting equipment to a character.
  * Filters equipment by category (weapons, armor, shields, etc.)
  * based on class proficiencies.
+ *
+ * The Sell tab lists the actor's owned equipment instead, to sell it back
+ * at the `sellRatio` share of its price.
+ *
+ * Opened against a shop, the Buy tab lists that shop's stock at its markup
+ * instead of the whole item index, and purchases are always paid for.
+ *
+ * The shopping list is kept as a draft, with its shop, until it is bought.
+ *
+ * A capacity bar compares the actor's inventory slots with its owned
+ * equipment plus the selection. Cards that would not fit are flagged, and
+ * with the `capacityMode` setting on "block" they cannot be added.
  */
 class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(ApplicationV2)) {
 	/** @type {Actor} */
 	#actor;
 	/** @type {string} */
 	#classIdentifier;
+	/** @type {string|null} */
+	#subclassIdentifier;
 	/** @type {import('../core/CompendiumBrowser.mjs').ItemData[]} */
 	#allEquipment = [];
 	/** @type {Map<string, import('../core/CompendiumBrowser.mjs').ItemData>} UUID-keyed lookup. */
@@ -34,20 +47,61 @@ class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(A
 	#proficiencies = { armor: [], weapons: [] };
 	/** @type {Map<string, number>} UUID → selected quantity. */
 	#selectedQuantities = new Map();
+	/** @type {'buy'|'sell'} Active tab. */
+	#mode = 'buy';
+	/** @type {Map<string, number>} Owned item ID → quantity to sell. */
+	#sellQuantities = new Map();
 	/** @type {string} Active category tab filter (empty = show all). */
 	#activeCategory = '';
+	/** @type {string} Search field text (empty = no search). */
+	#searchQuery = '';
+	/** @type {string|null} UUID of the card shown in the detail pane. */
+	#detailUuid = null;
 	/** @type {boolean} Whether to filter equipment to only class-proficient items. */
 	#showOnlyProficient = true;
 	/** @type {boolean} Whether to deduct currency from the actor on confirm. */
 	#payTheBill = false;
+	/** @type {string|null} ID of the shop being browsed (null = the whole item index). */
+	#shopId = null;
+	/** @type {import('../core/ShopManager.mjs').Shop|null} */
+	#shop = null;
 	/** @type {boolean} */
 	#dataLoaded = false;
-	/** @type {boolean} Whether the contextmenu listener has been attached. */
-	#contextMenuBound = false;
+	/** @type {boolean} */
+	#draftRestored = false;
+	/**
+	 * @type {{kits: Array<{name: string, quantities: Map<string, number>, items: object[], unresolved: string[]}>, gold: number}|null}
+	 * The class's starting kits resolved against the item index.
+	 */
+	#startingKits = null;
+	/** @type {boolean} Whether a starting kit or the starting gold is being granted. */
+	#takingKit = false;
+	/** @type {boolean} Whether the contextmenu and change listeners have been attached. */
+	#listenersBound = false;
 	/** @type {EquipmentProficiencyResolver} */
 	#proficiencyResolver = new EquipmentProficiencyResolver();
+	/** @type {ItemDetailResolver} */
+	#detailResolver = new ItemDetailResolver();
+	/** @type {InventoryLoadResolver} */
+	#inventory = new InventoryLoadResolver();
 	/** @type {ItemGranter} */
 	#granter = new ItemGranter();
+	/** @type {CurrencyManager} */
+	#currency = new CurrencyManager();
+	/** @type {ItemSeller} */
+	#seller = new ItemSeller();
+	/** @type {ShopManager} */
+	#shops = ShopManager.instance;
+	/** @type {GrantApproval} */
+	#approval = new GrantApproval();
+	/** @type {CompendiumBrowser} */
+	#compendiumBrowser = CompendiumBrowser.instance;
+	/** @type {GrantHistory} */
+	#history = new GrantHistory();
+	/** @type {DataProvider} */
+	#dataProvider = DataProvider.instance;
+	/** @type {DraftStore} */
+	#drafts = DraftStore.instance;
 
 	static DEFAULT_OPTIONS = {
 		id: `${MODULE_ID}-equipment-selector`,
@@ -58,14 +112,20 @@ class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(A
 			resizable: true,
 		},
 		position: {
-			width: 500,
+			width: 760,
 			height: 'auto',
 		},
 		actions: {
+			switchMode: EquipmentSelector.#onSwitchMode,
 			filterCategory: EquipmentSelector.#onFilterCategory,
+			showDetail: EquipmentSelector.#onShowDetail,
 			addEquipment: EquipmentSelector.#onAddEquipment,
 			toggleProficiencyFilter: EquipmentSelector.#onToggleProficiencyFilter,
 			togglePayTheBill: EquipmentSelector.#onTogglePayTheBill,
+			takeKit: EquipmentSelector.#onTakeKit,
+			takeStartingGold: EquipmentSelector.#onTakeStartingGold,
+			addSale: EquipmentSelector.#onAddSale,
+			confirmSale: EquipmentSelector.#onConfirmSale,
 			confirm: EquipmentSelector.#onConfirm,
 			cancel: EquipmentSelector.#onCancel,
 		},
@@ -80,12 +140,32 @@ class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(A
 	/**
 	 * @param {Actor} actor
 	 * @param {string} classIdentifier
+	 * @param {string|null} [subclassIdentifier=null]
 	 * @param {object} [options={}]
+	 * @param {string|null} [options.shop=null] - Shop to buy from (world shop key or merchant actor UUID); defaults to the draft's shop
 	 */
-	constructor(actor, classIdentifier, options = {}) {
+	constructor(actor, classIdentifier, subclassIdentifier = null, { shop = null, ...options } = {}) {
 		super(options);
 		this.#actor = actor;
 		this.#classIdentifier = classIdentifier;
+		this.#subclassIdentifier = subclassIdentifier;
+		this.#shopId = shop ?? this.#drafts.get(actor, this.#draftKey)?.selection?.shop ?? null;
+	}
+
+	/**
+	 * Key of this class's draft in the DraftStore.
+	 * @returns {string}
+	 */
+	get #draftKey() {
+		return DraftStore.key('equipment', this.#classIdentifier);
+	}
+
+	/**
+	 * Whether confirming charges the actor: always in a shop, otherwise with Pay the Bill.
+	 * @returns {boolean}
+	 */
+	get #paying() {
+		return this.#payTheBill || this.#shop !== null;
 	}
 
 	/* ---------------------------------------- */
@@ -97,74 +177,126 @@ class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(A
 	 */
 	#loadEquipmentData() {
 		if (this.#dataLoaded) return;
-		this.#proficiencies = this.#proficiencyResolver.resolve(this.#classIdentifier);
-		this.#allEquipment = this.#proficiencyResolver.findAvailableEquipment(this.#classIdentifier);
+		this.#proficiencies = this.#proficiencyResolver.resolve(this.#classIdentifier, this.#subclassIdentifier);
+		this.#shop = this.#shops.get(this.#shopId);
+		if (this.#shopId && !this.#shop) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.shops.missing'));
+			this.#shopId = null;
+		}
+		this.#allEquipment = this.#shop
+			? this.#shops.getInventory(this.#shop)
+			: this.#proficiencyResolver.findAvailableEquipment(this.#classIdentifier, this.#subclassIdentifier);
 		this.#equipmentByUuid = new Map(this.#allEquipment.map((e) => [e.uuid, e]));
+		this.#startingKits = this.#resolveStartingKits();
 		this.#dataLoaded = true;
 	}
 
 	/**
-	 * Read the actor's current currency as { gp, sp, cp }.
-	 * @returns {{gp: number, sp: number, cp: number}}
+	 * Restore the saved draft once, if it was made in the shop now open.
+	 * Items no longer offered are dropped and quantities capped at the stock.
 	 */
-	#getActorWealth() {
-		const currency = this.#actor.system?.currency ?? {};
-		return {
-			gp: currency.gp?.value ?? 0,
-			sp: currency.sp?.value ?? 0,
-			cp: currency.cp?.value ?? 0,
-		};
+	#restoreDraft() {
+		if (this.#draftRestored) return;
+		this.#draftRestored = true;
+
+		const draft = this.#drafts.get(this.#actor, this.#draftKey);
+		const { quantities, shop = null } = draft?.selection ?? {};
+		if (!Array.isArray(quantities) || shop !== this.#shopId) return;
+		for (const [uuid, qty] of quantities) {
+			const entry = this.#equipmentByUuid.get(uuid);
+			const available = Math.min(qty, entry?.stock ?? qty);
+			if (entry && available > 0) this.#selectedQuantities.set(uuid, available);
+		}
 	}
 
 	/**
-	 * Convert the actor's total wealth to copper pieces.
-	 * @returns {number}
+	 * Save the shopping list and its shop as this class's draft.
 	 */
-	#getActorWealthInCp() {
-		const w = this.#getActorWealth();
-		return w.gp * DENOMINATION_TO_CP.gp + w.sp * DENOMINATION_TO_CP.sp + w.cp;
+	#saveDraft() {
+		let count = 0;
+		for (const qty of this.#selectedQuantities.values()) count += qty;
+		this.#drafts.set(this.#actor, this.#draftKey, { quantities: [...this.#selectedQuantities], shop: this.#shopId }, count);
 	}
 
 	/**
-	 * Convert an item's price to copper pieces.
-	 * @param {import('../core/CompendiumBrowser.mjs').ItemData} item
-	 * @returns {number}
+	 * Resolve the item names of the class's starting kits against the item index.
+	 * Names with no match are kept aside so the kit can still be granted without them.
+	 * @returns {{kits: Array<{name: string, quantities: Map<string, number>, items: object[], unresolved: string[]}>, gold: number}|null}
 	 */
-	#getItemPriceInCp(item) {
-		const value = item.priceValue ?? 0;
-		const denom = item.priceDenomination ?? 'gp';
-		return value * (DENOMINATION_TO_CP[denom] ?? DENOMINATION_TO_CP.gp);
+	#resolveStartingKits() {
+		const options = this.#dataProvider.getStartingKits(this.#classIdentifier);
+		if (!options) return null;
+
+		const kits = options.kits.map((kit) => {
+			const quantities = new Map();
+			const items = [];
+			const unresolved = [];
+			for (const { name, quantity } of kit.items) {
+				const entry = this.#compendiumBrowser.findItemByName(name);
+				if (!entry) {
+					unresolved.push(name);
+					continue;
+				}
+				quantities.set(entry.uuid, (quantities.get(entry.uuid) ?? 0) + quantity);
+				items.push({ name: entry.name, img: entry.img, quantity });
+			}
+			return { name: kit.name, quantities, items, unresolved };
+		});
+
+		return { kits, gold: options.gold };
 	}
 
 	/**
-	 * Format an item's price for display (e.g. "10 GP").
-	 * @param {import('../core/CompendiumBrowser.mjs').ItemData} item
-	 * @returns {string}
+	 * The starting gold as coins of the largest configured denomination.
+	 * @returns {import('../core/CurrencyManager.mjs').CoinAmounts}
 	 */
-	#formatPrice(item) {
-		const value = item.priceValue ?? 0;
-		if (value === 0) return '';
-		const denom = item.priceDenomination ?? 'gp';
-		return `${value} ${denom.toUpperCase()}`;
+	#getStartingGoldCoins() {
+		const top = this.#currency.denominations[0];
+		return top && this.#startingKits?.gold ? { [top.key]: this.#startingKits.gold } : {};
+	}
+
+	/**
+	 * Whether the actor already took a starting kit or the starting gold.
+	 * @returns {boolean}
+	 */
+	#hasTakenStartingKit() {
+		return this.#history.hasStartingKit(this.#actor);
+	}
+
+	/**
+	 * Whether a kit or the gold may be taken now: none is being granted and the
+	 * actor has not taken one since the selector rendered (e.g. from another window).
+	 * @returns {boolean}
+	 */
+	#canTakeStartingKit() {
+		if (this.#takingKit) return false;
+		if (!this.#hasTakenStartingKit()) return true;
+		ui.notifications.warn(game.i18n.format('NIMBLE_SELECTOR.kits.alreadyTaken', { name: this.#actor.name }));
+		this.render();
+		return false;
 	}
 
 	/**
 	 * Compute the total cost of selected items, both as a per-denomination
-	 * breakdown and as a single copper-piece total.
-	 * @returns {{ byDenom: {gp: number, sp: number, cp: number}, totalCp: number }}
+	 * breakdown and as a single total in the smallest coin.
+	 * Items are priced from the item index (at the shop's markup) like GM
+	 * approvals and the API do, so items a preGrant listener adds are charged too.
+	 * @param {Map<string, number>} [quantities] - Items to price instead of the selection
+	 * @returns {{ byDenom: import('../core/CurrencyManager.mjs').CoinAmounts, totalCp: number }}
 	 */
-	#getSelectionCost() {
-		const byDenom = { gp: 0, sp: 0, cp: 0 };
-		let totalCp = 0;
-		for (const [uuid, qty] of this.#selectedQuantities) {
-			const item = this.#equipmentByUuid.get(uuid);
-			if (!item) continue;
-			const denom = item.priceDenomination ?? 'gp';
-			const lineTotal = (item.priceValue ?? 0) * qty;
-			byDenom[denom] = (byDenom[denom] ?? 0) + lineTotal;
-			totalCp += lineTotal * (DENOMINATION_TO_CP[denom] ?? DENOMINATION_TO_CP.gp);
-		}
-		return { byDenom, totalCp };
+	#getSelectionCost(quantities = this.#selectedQuantities) {
+		return this.#approval.getCost(quantities, this.#shopId);
+	}
+
+	/**
+	 * Compare the actor's inventory load, with the selection added, to its capacity.
+	 * @returns {import('../data/InventoryLoadResolver.mjs').InventoryStatus}
+	 */
+	#getInventoryStatus() {
+		return this.#inventory.getStatus(
+			this.#actor,
+			[...this.#selectedQuantities].map(([uuid, qty]) => [this.#equipmentByUuid.get(uuid), qty]),
+		);
 	}
 
 	/* ---------------------------------------- */
@@ -174,6 +306,7 @@ class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(A
 	/** @override */
 	async _prepareContext() {
 		this.#loadEquipmentData();
+		this.#restoreDraft();
 
 		let filteredEquipment = this.#showOnlyProficient
 			? this.#allEquipment.filter((e) => this.#proficiencyResolver.matchesProficiency(e, this.#proficiencies))
@@ -181,22 +314,25 @@ class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(A
 
 		// Build category tabs in fixed order, only showing those with items
 		const availableTypes = new Set(filteredEquipment.map((e) => e.objectType));
-		const categories = Object.keys(CATEGORY_CONFIG)
+		const categories = Object.keys(EQUIPMENT_CATEGORIES)
 			.filter((type) => availableTypes.has(type))
 			.map((type) => ({
 				id: type,
-				label: CATEGORY_CONFIG[type].label,
-				icon: CATEGORY_CONFIG[type].icon,
+				label: EQUIPMENT_CATEGORIES[type].label,
+				icon: EQUIPMENT_CATEGORIES[type].icon,
 				active: this.#activeCategory === type,
 			}));
 
 		if (this.#activeCategory) {
 			filteredEquipment = filteredEquipment.filter((e) => e.objectType === this.#activeCategory);
 		}
+		filteredEquipment = searchEntries(filteredEquipment, this.#searchQuery);
 
-		const wealthCp = this.#getActorWealthInCp();
-		const displayWealthCp = this.#payTheBill ? wealthCp : 0;
-		filteredEquipment = filteredEquipment.map((e) => this.#enrichEquipmentForDisplay(e, displayWealthCp));
+		const wealthCp = this.#currency.getWealthInCp(this.#actor);
+		const displayWealthCp = this.#paying ? wealthCp : 0;
+		const inventory = this.#getInventoryStatus();
+		const blocking = InventoryLoadResolver.blocking;
+		filteredEquipment = filteredEquipment.map((e) => this.#enrichEquipmentForDisplay(e, displayWealthCp, inventory, blocking));
 
 		const none = game.i18n.localize('NIMBLE_SELECTOR.panel.none');
 		const armorSummary = this.#proficiencies.armor.length ? this.#proficiencies.armor.join(', ') : none;
@@ -206,40 +342,156 @@ class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(A
 		for (const qty of this.#selectedQuantities.values()) selectedCount += qty;
 		const { byDenom: selectionTotal, totalCp: selectionTotalCp } = this.#getSelectionCost();
 		const canAfford = selectionTotalCp <= wealthCp;
+		const payment = this.#paying && selectionTotalCp > 0
+			? this.#currency.describePayment(this.#actor, selectionTotal)
+			: null;
+		const sellMode = this.#mode === 'sell';
+		const showStartingKits = !sellMode && !this.#shop && Boolean(this.#startingKits) && !this.#hasTakenStartingKit();
+		const sale = sellMode ? this.#prepareSale() : null;
 
 		return {
 			className: capitalize(this.#classIdentifier),
+			sellMode,
+			showWealth: this.#paying || sellMode,
 			proficiencySummary: `${game.i18n.localize('NIMBLE_SELECTOR.panel.armor')}: ${armorSummary} | ${game.i18n.localize('NIMBLE_SELECTOR.panel.weapons')}: ${weaponSummary}`,
 			categories,
 			activeCategory: this.#activeCategory,
 			showOnlyProficient: this.#showOnlyProficient,
 			payTheBill: this.#payTheBill,
+			shops: this.#shops.list().map((shop) => ({ id: shop.id, name: shop.name, selected: shop.id === this.#shopId })),
+			shopNote: this.#shop ? this.#getShopNote() : '',
 			filteredEquipment,
+			searchQuery: this.#searchQuery,
+			detail: await this.#detailResolver.resolve(this.#detailUuid),
+			showPackSource: this.#compendiumBrowser.hasMultipleSources('items'),
 			selectedCount,
 			hasSelection: selectedCount > 0,
-			canConfirm: selectedCount > 0 && (!this.#payTheBill || canAfford),
-			wealth: this.#getActorWealth(),
-			selectionTotal,
-			hasSelectionCost: selectionTotalCp > 0,
+			canConfirm: selectedCount > 0 && (!this.#paying || canAfford) && !(blocking && inventory.over),
+			capacity: sellMode ? null : EquipmentSelector.#prepareCapacity(inventory),
+			wealth: this.#currency.listCoins(this.#currency.getWealth(this.#actor), true),
+			selectionTotal: this.#currency.listCoins(selectionTotal),
+			showSelectionTotal: this.#paying && !sellMode && selectionTotalCp > 0,
 			canAfford,
+			payment,
+			showStartingKits,
+			startingKits: showStartingKits
+				? this.#startingKits.kits.map((kit, index) => ({
+					index,
+					name: kit.name,
+					items: kit.items,
+					unresolved: kit.unresolved.join(', '),
+					canTake: kit.quantities.size > 0 && !this.#takingKit,
+				}))
+				: [],
+			startingGold: showStartingKits ? this.#currency.listCoins(this.#getStartingGoldCoins()) : [],
+			canTakeGold: !this.#approval.isRequired() && !this.#takingKit,
+			...sale,
+		};
+	}
+
+	/**
+	 * Describe the open shop under the filter bar (e.g. "The Rusty Anvil — prices ×1.5").
+	 * @returns {string}
+	 */
+	#getShopNote() {
+		if (this.#shop.markup === 1) return this.#shop.name;
+		return game.i18n.format('NIMBLE_SELECTOR.shops.markupNote', { name: this.#shop.name, markup: this.#shop.markup });
+	}
+
+	/**
+	 * Build the capacity bar. The bar is scaled to the larger of the capacity
+	 * and the load, so an overflow shows as a full bar.
+	 * @param {import('../data/InventoryLoadResolver.mjs').InventoryStatus} status
+	 * @returns {{summary: string, incoming: string, overBy: string, currentPct: number, incomingPct: number}}
+	 */
+	static #prepareCapacity(status) {
+		const scale = Math.max(status.capacity, status.total, 1);
+		const overBy = status.total - status.capacity;
+		return {
+			summary: game.i18n.format('NIMBLE_SELECTOR.inventory.slots', { used: status.total, capacity: status.capacity }),
+			incoming: status.incoming ? game.i18n.format('NIMBLE_SELECTOR.inventory.incoming', { count: status.incoming }) : '',
+			overBy: overBy > 0 ? game.i18n.format('NIMBLE_SELECTOR.inventory.over', { count: overBy }) : '',
+			currentPct: Math.round((status.current / scale) * 100),
+			incomingPct: Math.round((status.incoming / scale) * 100),
+		};
+	}
+
+	/**
+	 * Build the Sell tab: owned equipment with its sale value, and the total of the sale.
+	 * @returns {{sellItems: object[], saleCount: number, saleTotal: string, sellHint: string, sellNeedsGm: boolean, canSell: boolean}}
+	 */
+	#prepareSale() {
+		const sellItems = this.#actor.items
+			.filter((item) => item.type === 'object')
+			.map((item) => {
+				const owned = item.system?.quantity ?? 1;
+				const quantity = this.#sellQuantities.get(item.id) ?? 0;
+				const unitCp = this.#seller.getSaleValueInCp(item, 1);
+				return {
+					id: item.id,
+					uuid: item.uuid,
+					name: item.name,
+					img: item.img,
+					owned,
+					quantity,
+					selected: quantity > 0,
+					canAdd: unitCp > 0 && quantity < owned,
+					inDetail: item.uuid === this.#detailUuid,
+					priceLabel: this.#currency.formatCoins(this.#currency.fromCp(unitCp)),
+				};
+			})
+			.sort((a, b) => a.name.localeCompare(b.name));
+
+		let saleCount = 0;
+		let totalCp = 0;
+		for (const [itemId, qty] of this.#sellQuantities) {
+			const item = this.#actor.items.get(itemId);
+			if (!item) continue;
+			saleCount += qty;
+			totalCp += this.#seller.getSaleValueInCp(item, qty);
+		}
+		const sellNeedsGm = this.#approval.isRequired();
+
+		return {
+			sellItems: searchEntries(sellItems, this.#searchQuery),
+			saleCount,
+			saleTotal: this.#currency.formatCoins(this.#currency.fromCp(totalCp)),
+			sellHint: game.i18n.format('NIMBLE_SELECTOR.sell.hint', { ratio: Math.round(ItemSeller.ratio * 100) }),
+			sellNeedsGm,
+			canSell: saleCount > 0 && !sellNeedsGm,
 		};
 	}
 
 	/**
 	 * Enrich an equipment item with display-specific properties.
 	 * @param {import('../core/CompendiumBrowser.mjs').ItemData} item
-	 * @param {number} wealthCp - Actor's wealth in CP (0 if payTheBill disabled)
-	 * @returns {import('../core/CompendiumBrowser.mjs').ItemData & {selected: boolean, quantity: number, typeLabel: string, priceLabel: string, tooExpensive: boolean}}
+	 * @param {number} wealthCp - Actor's wealth in the smallest coin (0 if payTheBill disabled)
+	 * @param {import('../data/InventoryLoadResolver.mjs').InventoryStatus} inventory
+	 * @param {boolean} blocking - Whether cards that do not fit cannot be added
+	 * @returns {import('../core/CompendiumBrowser.mjs').ItemData & {selected: boolean, quantity: number, inDetail: boolean, typeLabel: string, priceLabel: string, tooExpensive: boolean, stockLabel: string, overCapacity: boolean, canAdd: boolean}}
 	 */
-	#enrichEquipmentForDisplay(item, wealthCp) {
+	#enrichEquipmentForDisplay(item, wealthCp, inventory, blocking) {
 		const quantity = this.#selectedQuantities.get(item.uuid) ?? 0;
+		const addedLoad = this.#inventory.getAddedLoad(this.#actor, item, quantity);
+		const overCapacity = addedLoad > 0 && inventory.total + addedLoad > inventory.capacity;
+		const stock = item.stock ?? null;
+		let stockLabel = '';
+		if (stock !== null) {
+			stockLabel = stock > 0
+				? game.i18n.format('NIMBLE_SELECTOR.shops.inStock', { count: stock })
+				: game.i18n.localize('NIMBLE_SELECTOR.shops.soldOut');
+		}
 		return {
 			...item,
 			selected: quantity > 0,
 			quantity,
-			typeLabel: CATEGORY_CONFIG[item.objectType]?.label ?? item.objectType,
-			priceLabel: this.#formatPrice(item),
-			tooExpensive: this.#payTheBill && this.#getItemPriceInCp(item) > wealthCp,
+			inDetail: item.uuid === this.#detailUuid,
+			typeLabel: EQUIPMENT_CATEGORIES[item.objectType]?.label ?? item.objectType,
+			priceLabel: this.#currency.formatPrice(item),
+			tooExpensive: this.#paying && this.#currency.getItemPriceInCp(item) > wealthCp,
+			stockLabel,
+			overCapacity,
+			canAdd: (stock === null || quantity < stock) && !(blocking && overCapacity),
 		};
 	}
 
@@ -247,58 +499,63 @@ class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(A
 	_onRender(_context, _options) {
 		super._onRender(_context, _options);
 
-		// Attach right-click listener once via event delegation on the app element
-		if (!this.#contextMenuBound && this.element) {
+		// Attach right-click and shop picker listeners once via event delegation on the app element
+		if (!this.#listenersBound && this.element) {
 			this.element.addEventListener('contextmenu', (event) => {
-				if (event.target.closest('.nimble-selector__card-grid [data-uuid]')) {
+				if (event.target.closest('.nimble-selector__card-grid [data-item-id]')) {
+					this.#onRemoveSale(event);
+				} else if (event.target.closest('.nimble-selector__card-grid [data-uuid]')) {
 					this.#onRemoveEquipment(event);
 				}
 			});
-			this.#contextMenuBound = true;
+			this.element.addEventListener('change', (event) => {
+				if (event.target.matches('select[data-shop-picker]')) this.#onPickShop(event.target.value);
+			});
+			this.#listenersBound = true;
 		}
 	}
 
-	/* ---------------------------------------- */
-	/*  Currency Deduction                      */
-	/* ---------------------------------------- */
-
 	/**
-	 * Deduct costs per denomination from the actor's currency.
-	 * If a denomination doesn't have enough, the deficit cascades to lower
-	 * denominations (GP→SP→CP) without ever consolidating back up.
-	 * @param {{gp: number, sp: number, cp: number}} costs
-	 * @returns {Promise<boolean>} false if the actor cannot afford it
+	 * Called by ScrollPositionMixin when the search field changes.
+	 * @param {string} query
 	 */
-	async #deductCurrency(costs) {
-		const wallet = this.#getActorWealth();
-
-		// Deduct GP — shortfall cascades to SP
-		const gpDeduct = Math.min(costs.gp, wallet.gp);
-		const gpShortfall = costs.gp - gpDeduct;
-		wallet.gp -= gpDeduct;
-
-		// Convert GP shortfall to SP and add to SP cost
-		const spNeeded = costs.sp + gpShortfall * 10;
-		const spDeduct = Math.min(spNeeded, wallet.sp);
-		const spShortfall = spNeeded - spDeduct;
-		wallet.sp -= spDeduct;
+	_onSearch(query) {
+		this.#searchQuery = query;
+		this.render();
+	}
 
-		// Convert SP shortfall to CP and add to CP cost
-		const cpNeeded = costs.cp + spShortfall * 10;
-		if (cpNeeded > wallet.cp) return false;
-		wallet.cp -= cpNeeded;
+	/**
+	 * Called by CompendiumBrowser when a source pack changes.
+	 * Reloads the equipment list and drops selections that no longer exist.
+	 */
+	invalidateCompendiumData() {
+		this.#detailResolver.clear();
+		this.#dataLoaded = false;
+		this.#loadEquipmentData();
+		for (const uuid of this.#selectedQuantities.keys()) {
+			if (!this.#equipmentByUuid.has(uuid)) this.#selectedQuantities.delete(uuid);
+		}
+		if (this.rendered) this.render();
+	}
 
-		try {
-			await this.#actor.update({
-				'system.currency.gp.value': wallet.gp,
-				'system.currency.sp.value': wallet.sp,
-				'system.currency.cp.value': wallet.cp,
-			});
-			return true;
-		} catch (err) {
-			console.error(`${LOG_PREFIX} Failed to deduct currency from ${this.#actor.name}:`, err);
-			ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.equipment.deductionFailed') || 'Failed to deduct currency. Please try again.');
-			return false;
+	/**
+	 * Called by ShopManager when shops change (stock bought elsewhere, GM edits).
+	 * Reloads the open shop's inventory and trims selections to what is left.
+	 */
+	invalidateShopData() {
+		if (!this.#shopId) return;
+		this.#dataLoaded = false;
+		this.#loadEquipmentData();
+		for (const [uuid, qty] of this.#selectedQuantities) {
+			const entry = this.#equipmentByUuid.get(uuid);
+			const available = entry ? entry.stock ?? qty : 0;
+			if (available <= 0) this.#selectedQuantities.delete(uuid);
+			else if (qty > available) this.#selectedQuantities.set(uuid, available);
+		}
+		if (this.#draftRestored) this.#saveDraft();
+		if (this.rendered) {
+			this._saveScrollPosition();
+			this.render();
 		}
 	}
 
@@ -318,6 +575,33 @@ class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(A
 		this.render();
 	}
 
+	/**
+	 * Switch between the Buy and Sell tabs.
+	 * @this {EquipmentSelector}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onSwitchMode(_event, target) {
+		const mode = target.dataset.mode === 'sell' ? 'sell' : 'buy';
+		if (mode === this.#mode) return;
+		this.#mode = mode;
+		this.#detailUuid = null;
+		this._scrollTop = 0;
+		this.render();
+	}
+
+	/**
+	 * Show a card in the detail pane without changing the selection.
+	 * @this {EquipmentSelector}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onShowDetail(_event, target) {
+		this.#detailUuid = target.dataset.uuid || null;
+		this._saveScrollPosition();
+		this.render();
+	}
+
 	/**
 	 * @this {EquipmentSelector}
 	 * @param {PointerEvent} _event
@@ -328,7 +612,19 @@ class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(A
 		if (!uuid) return;
 
 		const current = this.#selectedQuantities.get(uuid) ?? 0;
+		const entry = this.#equipmentByUuid.get(uuid);
+		const stock = entry?.stock ?? null;
+		if (stock !== null && current >= stock) return;
+		if (entry && InventoryLoadResolver.blocking) {
+			const { total, capacity } = this.#getInventoryStatus();
+			const addedLoad = this.#inventory.getAddedLoad(this.#actor, entry, current);
+			if (addedLoad > 0 && total + addedLoad > capacity) {
+				ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.inventory.full'));
+				return;
+			}
+		}
 		this.#selectedQuantities.set(uuid, current + 1);
+		this.#saveDraft();
 		this._saveScrollPosition();
 		this.render();
 	}
@@ -349,10 +645,64 @@ class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(A
 		} else {
 			this.#selectedQuantities.set(uuid, current - 1);
 		}
+		this.#saveDraft();
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/**
+	 * Add one unit of an owned item to the sale.
+	 * @this {EquipmentSelector}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onAddSale(_event, target) {
+		const item = this.#actor.items.get(target.dataset.itemId);
+		if (!item) return;
+
+		const current = this.#sellQuantities.get(item.id) ?? 0;
+		if (current >= (item.system?.quantity ?? 1)) return;
+		this.#sellQuantities.set(item.id, current + 1);
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/**
+	 * Handle right-click on an owned item card to sell one less.
+	 * @param {MouseEvent} event
+	 */
+	#onRemoveSale(event) {
+		const target = event.target.closest('[data-item-id]');
+		if (!target) return;
+		event.preventDefault();
+
+		const itemId = target.dataset.itemId;
+		const current = this.#sellQuantities.get(itemId) ?? 0;
+		if (current <= 1) {
+			this.#sellQuantities.delete(itemId);
+		} else {
+			this.#sellQuantities.set(itemId, current - 1);
+		}
 		this._saveScrollPosition();
 		this.render();
 	}
 
+	/**
+	 * Switch between the whole item index and a shop. The selection is
+	 * dropped since prices and stock differ.
+	 * @param {string} shopId - Empty for the whole item index
+	 */
+	#onPickShop(shopId) {
+		this.#shopId = shopId || null;
+		this.#selectedQuantities.clear();
+		this.#saveDraft();
+		this.#activeCategory = '';
+		this.#detailUuid = null;
+		this.#dataLoaded = false;
+		this._scrollTop = 0;
+		this.render();
+	}
+
 	/** @this {EquipmentSelector} */
 	static #onToggleProficiencyFilter() {
 		this.#showOnlyProficient = !this.#showOnlyProficient;
@@ -367,36 +717,185 @@ class EquipmentSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(A
 		this.render();
 	}
 
+	/**
+	 * Grant a whole starting kit, free of charge.
+	 * @this {EquipmentSelector}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static async #onTakeKit(_event, target) {
+		const kit = this.#startingKits?.kits[Number(target.dataset.kit)];
+		if (!kit?.quantities.size || !this.#canTakeStartingKit()) return;
+
+		if (this.#approval.isRequired()) {
+			if (this.#approval.request(this.#actor, 'kit', kit.quantities)) this.close();
+			return;
+		}
+
+		// Guard against a double click granting the kit twice
+		this.#takingKit = true;
+		this.render();
+		let granted;
+		try {
+			granted = await this.#granter.grantItemsByUuid(this.#actor, kit.quantities, { source: 'kit' });
+		} finally {
+			this.#takingKit = false;
+		}
+		if (!granted) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.notifications.grantCancelled'));
+			this.render();
+			return;
+		}
+
+		let totalCount = 0;
+		for (const qty of kit.quantities.values()) totalCount += qty;
+		if (!ChatSummary.replacesToast) {
+			ui.notifications.info(
+				game.i18n.format('NIMBLE_SELECTOR.notifications.grantedKit', {
+					count: totalCount,
+					name: this.#actor.name,
+				}),
+			);
+		}
+		this.close();
+	}
+
+	/**
+	 * Credit the class's starting gold instead of a kit.
+	 * @this {EquipmentSelector}
+	 */
+	static async #onTakeStartingGold() {
+		const coins = this.#getStartingGoldCoins();
+		if (!Object.keys(coins).length || this.#approval.isRequired() || !this.#canTakeStartingKit()) return;
+
+		this.#takingKit = true;
+		this.render();
+		let credited;
+		try {
+			credited = await this.#granter.grantCurrency(this.#actor, coins, { source: 'startingGold' });
+		} finally {
+			this.#takingKit = false;
+		}
+		if (!credited) {
+			ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.kits.goldFailed'));
+			this.render();
+			return;
+		}
+
+		ui.notifications.info(
+			game.i18n.format('NIMBLE_SELECTOR.notifications.receivedGold', {
+				gold: this.#currency.formatCoins(coins),
+				name: this.#actor.name,
+			}),
+		);
+		this.render();
+	}
+
 	/** @this {EquipmentSelector} */
 	static async #onConfirm() {
 		if (!this.#selectedQuantities.size) return;
 
 		const quantities = new Map(this.#selectedQuantities);
+		if (this.#paying && this.#getSelectionCost().totalCp > this.#currency.getWealthInCp(this.#actor)) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.equipment.cannotAfford'));
+			return;
+		}
+		if (InventoryLoadResolver.blocking && this.#getInventoryStatus().over) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.inventory.full'));
+			return;
+		}
+
+		// The GM client charges the actor once the request is approved
+		if (this.#approval.isRequired()) {
+			if (!this.#approval.request(this.#actor, 'equipment', quantities, { payTheBill: this.#paying, shop: this.#shopId })) return;
+			this.#selectedQuantities.clear();
+			this.#drafts.discard(this.#actor, this.#draftKey);
+			this.close();
+			return;
+		}
+
+		// Let preGrant listeners edit or cancel before anything is charged
+		const grant = await this.#granter.prepareGrant(this.#actor, quantities, { source: 'purchase' });
+		if (!grant) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.notifications.grantCancelled'));
+			return;
+		}
+		const bought = ItemGranter.quantitiesOf(grant);
+		const cost = this.#getSelectionCost(bought);
+		if (this.#paying && cost.totalCp > this.#currency.getWealthInCp(this.#actor)) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.equipment.cannotAfford'));
+			return;
+		}
 
-		if (this.#payTheBill) {
-			const { byDenom, totalCp } = this.#getSelectionCost();
-			if (totalCp > this.#getActorWealthInCp()) {
-				ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.equipment.cannotAfford'));
+		// Take the stock first and put it back if the payment fails
+		if (this.#shopId) {
+			const reserved = await this.#shops.reserve(this.#shopId, bought);
+			if (!reserved) {
+				if (reserved === false) ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.shops.outOfStock'));
 				return;
 			}
+		}
 
-			const deducted = await this.#deductCurrency(byDenom);
-			if (!deducted) return;
+		let deducted = null;
+		if (this.#paying) {
+			deducted = await this.#currency.deduct(this.#actor, cost.byDenom);
+			if (!deducted) {
+				if (this.#shopId) await this.#shops.release(this.#shopId, bought);
+				return;
+			}
 		}
 
-		await this.#granter.grantItemsByUuid(this.#actor, quantities);
+		const created = await this.#granter.applyGrant(grant, {
+			currency: deducted,
+			shop: this.#shopId ? { id: this.#shopId, items: [...bought] } : null,
+		});
+		if (!created) {
+			if (deducted) await this.#currency.refund(this.#actor, deducted);
+			if (this.#shopId) await this.#shops.release(this.#shopId, bought);
+			ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.notifications.grantFailed'));
+			return;
+		}
 
 		let totalCount = 0;
-		for (const qty of quantities.values()) totalCount += qty;
+		for (const { qty } of grant.entries) totalCount += qty;
 
 		this.#selectedQuantities.clear();
+		this.#drafts.discard(this.#actor, this.#draftKey);
+		if (!ChatSummary.replacesToast) {
+			ui.notifications.info(
+				game.i18n.format('NIMBLE_SELECTOR.notifications.grantedEquipment', {
+					count: totalCount,
+					name: this.#actor.name,
+				}),
+			);
+		}
+		this.close();
+	}
+
+	/** @this {EquipmentSelector} */
+	static async #onConfirmSale() {
+		if (!this.#sellQuantities.size || this.#approval.isRequired()) return;
+
+		const proceeds = await this.#seller.sell(this.#actor, new Map(this.#sellQuantities));
+		if (!proceeds) {
+			ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.sell.failed'));
+			return;
+		}
+
+		let totalCount = 0;
+		for (const qty of this.#sellQuantities.values()) totalCount += qty;
+
+		this.#sellQuantities.clear();
+		this.#detailUuid = null;
 		ui.notifications.info(
-			game.i18n.format('NIMBLE_SELECTOR.notifications.grantedEquipment', {
+			game.i18n.format('NIMBLE_SELECTOR.notifications.soldEquipment', {
 				count: totalCount,
 				name: this.#actor.name,
+				proceeds: this.#currency.formatCoins(proceeds) || `0 ${this.#currency.denominations.at(-1).label}`,
 			}),
 		);
-		this.close();
+		this._saveScrollPosition();
+		this.render();
 	}
 
 	/** @this {EquipmentSelector} */
@@ -0,0 +1,194 @@
+import { MODULE_ID, TEMPLATE_PATH } from '../utils/constants.mjs';
+import { CurrencyManager } from '../core/CurrencyManager.mjs';
+import { ShopManager } from '../core/ShopManager.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM-side dialog for a player's grant request.
+ * Shows the actor, the requested items and their cost; the GM can
+ * untick items or change equipment quantities before approving,
+ * or reject the request. Closing the dialog rejects it.
+ */
+class GrantApprovalDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+	/** @type {import('../core/GrantApproval.mjs').GrantApproval} */
+	#approval;
+	/** @type {import('../core/GrantApproval.mjs').GrantRequest} */
+	#request;
+	/** @type {Actor} */
+	#actor;
+	/** @type {User} */
+	#user;
+	/** @type {Map<string, number>} UUID → quantity, as edited by the GM. */
+	#quantities;
+	/** @type {Set<string>} UUIDs the GM unticked. */
+	#excluded = new Set();
+	/** @type {boolean} Whether the request was approved or rejected. */
+	#resolved = false;
+	/** @type {boolean} Whether the quantity change listener has been attached. */
+	#changeBound = false;
+	/** @type {CurrencyManager} */
+	#currency = new CurrencyManager();
+
+	static DEFAULT_OPTIONS = {
+		classes: [MODULE_ID, 'nimble-selector'],
+		window: {
+			title: 'Grant Approval',
+			icon: 'fa-solid fa-user-check',
+			resizable: true,
+		},
+		position: {
+			width: 460,
+			height: 'auto',
+		},
+		actions: {
+			toggleItem: GrantApprovalDialog.#onToggleItem,
+			approve: GrantApprovalDialog.#onApprove,
+			reject: GrantApprovalDialog.#onReject,
+		},
+	};
+
+	static PARTS = {
+		form: {
+			template: `${TEMPLATE_PATH}/grant-approval-dialog.hbs`,
+		},
+	};
+
+	/**
+	 * @param {import('../core/GrantApproval.mjs').GrantApproval} approval
+	 * @param {import('../core/GrantApproval.mjs').GrantRequest} request
+	 * @param {Actor} actor
+	 * @param {User} user - The requesting player
+	 * @param {object} [options={}]
+	 */
+	constructor(approval, request, actor, user, options = {}) {
+		super({ id: `${MODULE_ID}-grant-approval-${request.requestId}`, ...options });
+		this.#approval = approval;
+		this.#request = request;
+		this.#actor = actor;
+		this.#user = user;
+		this.#quantities = new Map(request.items);
+	}
+
+	/**
+	 * The items the GM currently intends to grant.
+	 * @returns {Map<string, number>}
+	 */
+	#getApprovedQuantities() {
+		return new Map([...this.#quantities].filter(([uuid]) => !this.#excluded.has(uuid)));
+	}
+
+	/** @override */
+	async _prepareContext() {
+		const isEquipment = this.#request.kind === 'equipment';
+		const items = [...this.#quantities].map(([uuid, quantity]) => {
+			const entry = this.#approval.getEntry(uuid, this.#request.shop);
+			return {
+				uuid,
+				quantity,
+				name: entry?.name ?? uuid,
+				img: entry?.img ?? '',
+				priceLabel: isEquipment && entry ? this.#currency.formatPrice(entry) : '',
+				included: !this.#excluded.has(uuid),
+			};
+		});
+
+		const approved = this.#getApprovedQuantities();
+		let approvedCount = 0;
+		for (const qty of approved.values()) approvedCount += qty;
+		const { byDenom: selectionTotal, totalCp } = this.#approval.getCost(approved, this.#request.shop);
+
+		return {
+			summary: game.i18n.format(`NIMBLE_SELECTOR.approval.summary.${this.#request.kind}`, {
+				user: this.#user.name,
+				name: this.#actor.name,
+			}),
+			shopName: this.#request.shop ? ShopManager.instance.get(this.#request.shop)?.name ?? '' : '',
+			actorImg: this.#actor.img,
+			items,
+			isEquipment,
+			payTheBill: this.#request.payTheBill,
+			wealth: this.#currency.listCoins(this.#currency.getWealth(this.#actor), true),
+			selectionTotal: this.#currency.listCoins(selectionTotal),
+			hasSelectionCost: totalCp > 0,
+			canAfford: totalCp <= this.#currency.getWealthInCp(this.#actor),
+			payment: totalCp > 0 ? this.#currency.describePayment(this.#actor, selectionTotal) : null,
+			approvedCount,
+		};
+	}
+
+	/** @override */
+	_onRender(_context, _options) {
+		super._onRender(_context, _options);
+
+		// Quantity inputs are re-rendered with the part, so listen once on the app element
+		if (!this.#changeBound && this.element) {
+			this.element.addEventListener('change', (event) => {
+				const input = event.target.closest('input[data-quantity]');
+				if (input) this.#onQuantityChange(input);
+			});
+			this.#changeBound = true;
+		}
+	}
+
+	/** @override */
+	_onClose(options) {
+		super._onClose(options);
+		if (!this.#resolved) this.#approval.reject(this.#request);
+	}
+
+	/**
+	 * @param {HTMLInputElement} input
+	 */
+	#onQuantityChange(input) {
+		const uuid = input.closest('[data-uuid]')?.dataset.uuid;
+		if (!this.#quantities.has(uuid)) return;
+
+		const qty = Math.max(1, Math.floor(Number(input.value)) || 1);
+		this.#quantities.set(uuid, qty);
+		this.render();
+	}
+
+	/* ---------------------------------------- */
+	/*  Action Handlers                         */
+	/* ---------------------------------------- */
+
+	/**
+	 * @this {GrantApprovalDialog}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onToggleItem(_event, target) {
+		const uuid = target.closest('[data-uuid]')?.dataset.uuid;
+		if (!uuid) return;
+
+		if (this.#excluded.has(uuid)) this.#excluded.delete(uuid);
+		else this.#excluded.add(uuid);
+		this.render();
+	}
+
+	/** @this {GrantApprovalDialog} */
+	static async #onApprove() {
+		const quantities = this.#getApprovedQuantities();
+		if (this.#resolved || !quantities.size) return;
+
+		// Mark as resolved up front so a double click can't grant twice
+		this.#resolved = true;
+		const granted = await this.#approval.approve(this.#request, this.#actor, quantities);
+		if (!granted) {
+			this.#resolved = false;
+			return;
+		}
+		this.close();
+	}
+
+	/** @this {GrantApprovalDialog} */
+	static #onReject() {
+		this.#resolved = true;
+		this.#approval.reject(this.#request);
+		ui.notifications.info(game.i18n.format('NIMBLE_SELECTOR.approval.rejectedLocal', { name: this.#actor.name }));
+		this.close();
+	}
+}
+
+export { GrantApprovalDialog };
@@ -0,0 +1,353 @@
+import { MODULE_ID, TEMPLATE_PATH, LOG_PREFIX, MAX_LEVEL, capitalize, hasPendingChoices, ScrollPositionMixin } from '../utils/constants.mjs';
+import { AutoGranter } from '../core/AutoGranter.mjs';
+import { CompendiumBrowser } from '../core/CompendiumBrowser.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * @typedef {object} PartyLevelUpResult
+ * @property {string} actorId
+ * @property {string|null} classItemId - Levelled class (null if the actor has none)
+ * @property {string} className
+ * @property {number} fromLevel - Class level before the level-up
+ * @property {number} toLevel
+ * @property {'levelled'|'atLevel'|'noClass'|'failed'} status
+ * @property {import('../core/AutoGranter.mjs').AutoGrantResult|null} result
+ * @property {boolean} needsSubclass - The class reached its subclass level without a subclass
+ */
+
+/**
+ * GM tool that levels up several characters at once.
+ *
+ * Actors are picked from the selected tokens, an actor folder or a checklist.
+ * Each actor's primary class is raised to the target level and auto-granted
+ * through AutoGranter, then a single report lists what was granted and which
+ * choices are still open, with a button to open each actor's panel.
+ */
+class PartyLevelUp extends ScrollPositionMixin(HandlebarsApplicationMixin(ApplicationV2)) {
+	/** @type {import('../core/SelectorOrchestrator.mjs').SelectorOrchestrator} */
+	#orchestrator;
+	/** @type {Set<string>} IDs of the actors to level up. */
+	#selectedIds = new Set();
+	/** @type {number} */
+	#targetLevel = 2;
+	/** @type {PartyLevelUpResult[]|null} Results of the last run (null = still picking actors). */
+	#report = null;
+	/** @type {boolean} */
+	#running = false;
+	/** @type {boolean} Whether the change listener has been attached. */
+	#changeBound = false;
+	/** @type {AutoGranter} */
+	#autoGranter = new AutoGranter();
+	/** @type {CompendiumBrowser} */
+	#compendiumBrowser = CompendiumBrowser.instance;
+
+	static DEFAULT_OPTIONS = {
+		id: `${MODULE_ID}-party-level-up`,
+		classes: [MODULE_ID, 'nimble-selector'],
+		window: {
+			title: 'Party Level-Up',
+			icon: 'fa-solid fa-users-line',
+			resizable: true,
+		},
+		position: {
+			width: 520,
+			height: 'auto',
+		},
+		actions: {
+			toggleActor: PartyLevelUp.#onToggleActor,
+			selectTokens: PartyLevelUp.#onSelectTokens,
+			levelUp: PartyLevelUp.#onLevelUp,
+			openPanel: PartyLevelUp.#onOpenPanel,
+			back: PartyLevelUp.#onBack,
+			cancel: PartyLevelUp.#onCancel,
+		},
+	};
+
+	static PARTS = {
+		form: {
+			template: `${TEMPLATE_PATH}/party-level-up.hbs`,
+		},
+	};
+
+	/**
+	 * @param {import('../core/SelectorOrchestrator.mjs').SelectorOrchestrator} orchestrator
+	 * @param {object} [options={}]
+	 */
+	constructor(orchestrator, options = {}) {
+		super(options);
+		this.#orchestrator = orchestrator;
+	}
+
+	/* ---------------------------------------- */
+	/*  Context Preparation                     */
+	/* ---------------------------------------- */
+
+	/** @override */
+	async _prepareContext() {
+		if (this.#report) return this.#prepareReport();
+
+		const characters = game.actors
+			.filter((actor) => actor.type === 'character')
+			.map((actor) => {
+				const [info] = this.#orchestrator.getActorClassInfo(actor);
+				return {
+					id: actor.id,
+					name: actor.name,
+					img: actor.img,
+					classLabel: info
+						? `${capitalize(info.classIdentifier)} ${info.level}`
+						: game.i18n.localize('NIMBLE_SELECTOR.partyLevelUp.noClass'),
+					selected: this.#selectedIds.has(actor.id),
+					atLevel: Boolean(info) && info.level >= this.#targetLevel,
+				};
+			})
+			.sort((a, b) => a.name.localeCompare(b.name));
+
+		const folders = game.folders
+			.filter((folder) => folder.type === 'Actor')
+			.map((folder) => ({ id: folder.id, name: folder.name }))
+			.sort((a, b) => a.name.localeCompare(b.name));
+
+		return {
+			showReport: false,
+			characters,
+			folders,
+			targetLevel: this.#targetLevel,
+			maxLevel: MAX_LEVEL,
+			selectedCount: this.#selectedIds.size,
+			running: this.#running,
+			canLevelUp: this.#selectedIds.size > 0 && !this.#running,
+		};
+	}
+
+	/**
+	 * Build the report view of the last run.
+	 * @returns {object}
+	 */
+	#prepareReport() {
+		const entries = this.#report.map((r) => {
+			const actor = game.actors.get(r.actorId);
+			const pending = r.result?.pending;
+			return {
+				actorId: r.actorId,
+				name: actor?.name ?? r.actorId,
+				img: actor?.img ?? '',
+				className: r.className,
+				status: this.#formatStatus(r),
+				failed: r.status === 'failed',
+				grantedFeatures: r.result?.granted.features.join(', ') ?? '',
+				grantedSpells: r.result?.granted.spells.join(', ') ?? '',
+				pendingGroups: pending?.selectableGroups.join(', ') ?? '',
+				pendingSchools: pending?.schoolChoices.length ?? 0,
+				pendingSpells: pending?.spellChoices.reduce((sum, c) => sum + c.remaining, 0) ?? 0,
+				needsSubclass: r.needsSubclass,
+				hasPending: r.needsSubclass || Boolean(pending && hasPendingChoices(pending)),
+				canOpen: Boolean(actor) && r.status !== 'noClass',
+			};
+		});
+
+		const levelled = this.#report.filter((r) => r.status === 'levelled').length;
+		return {
+			showReport: true,
+			entries,
+			summary: game.i18n.format('NIMBLE_SELECTOR.partyLevelUp.summary', {
+				count: levelled,
+				level: this.#targetLevel,
+			}),
+		};
+	}
+
+	/**
+	 * @param {PartyLevelUpResult} result
+	 * @returns {string}
+	 */
+	#formatStatus(result) {
+		switch (result.status) {
+			case 'levelled':
+				return game.i18n.format('NIMBLE_SELECTOR.partyLevelUp.levelled', { from: result.fromLevel, to: result.toLevel });
+			case 'atLevel':
+				return game.i18n.format('NIMBLE_SELECTOR.partyLevelUp.atLevel', { level: result.fromLevel });
+			case 'noClass':
+				return game.i18n.localize('NIMBLE_SELECTOR.partyLevelUp.noClass');
+			default:
+				return game.i18n.localize('NIMBLE_SELECTOR.partyLevelUp.failed');
+		}
+	}
+
+	/** @override */
+	_onRender(_context, _options) {
+		super._onRender(_context, _options);
+
+		// Inputs are re-rendered with the part, so listen once on the app element
+		if (!this.#changeBound && this.element) {
+			this.element.addEventListener('change', (event) => {
+				const level = event.target.closest('input[data-level]');
+				if (level) this.#onLevelChange(level);
+				const folder = event.target.closest('select[data-folder]');
+				if (folder) this.#onFolderChange(folder);
+			});
+			this.#changeBound = true;
+		}
+	}
+
+	/**
+	 * @param {HTMLInputElement} input
+	 */
+	#onLevelChange(input) {
+		this.#targetLevel = Math.clamp(Math.floor(Number(input.value)) || 2, 2, MAX_LEVEL);
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/**
+	 * Replace the selection with the characters of a folder and its subfolders.
+	 * @param {HTMLSelectElement} select
+	 */
+	#onFolderChange(select) {
+		const folder = game.folders.get(select.value);
+		if (!folder) return;
+
+		const actors = [folder, ...folder.getSubfolders(true)].flatMap((f) => f.contents);
+		this.#selectedIds = new Set(actors.filter((a) => a.type === 'character').map((a) => a.id));
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/* ---------------------------------------- */
+	/*  Level-Up                                */
+	/* ---------------------------------------- */
+
+	/**
+	 * Raise an actor's primary class to the target level and auto-grant the levels gained.
+	 * The class update is flagged so the updateItem hook does not open a panel per actor.
+	 * @param {Actor} actor
+	 * @param {Set<string>} subclassParents - Class identifiers that have at least one subclass
+	 * @returns {Promise<PartyLevelUpResult>}
+	 */
+	async #levelUpActor(actor, subclassParents) {
+		const toLevel = this.#targetLevel;
+		const [info] = this.#orchestrator.getActorClassInfo(actor);
+		/** @type {PartyLevelUpResult} */
+		const entry = {
+			actorId: actor.id,
+			classItemId: info?.classItemId ?? null,
+			className: info ? capitalize(info.classIdentifier) : '',
+			fromLevel: info?.level ?? 0,
+			toLevel,
+			status: 'levelled',
+			result: null,
+			needsSubclass: false,
+		};
+		if (!info) return { ...entry, status: 'noClass' };
+		if (info.level >= toLevel) return { ...entry, status: 'atLevel' };
+
+		try {
+			await actor.items.get(info.classItemId).update(
+				{ 'system.classLevel': toLevel },
+				{ [MODULE_ID]: { skipAutoOpen: true } },
+			);
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to level up ${actor.name}:`, err);
+			return { ...entry, status: 'failed' };
+		}
+
+		entry.result = await this.#autoGranter.execute(
+			actor, info.classIdentifier, info.level + 1, toLevel, info.subclassIdentifier,
+		);
+		entry.needsSubclass = !info.subclassIdentifier
+			&& subclassParents.has(info.classIdentifier)
+			&& toLevel >= this.#compendiumBrowser.getSubclassLevel(info.classIdentifier);
+		return entry;
+	}
+
+	/* ---------------------------------------- */
+	/*  Action Handlers                         */
+	/* ---------------------------------------- */
+
+	/**
+	 * @this {PartyLevelUp}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onToggleActor(_event, target) {
+		const actorId = target.closest('[data-actor-id]')?.dataset.actorId;
+		if (!actorId) return;
+
+		if (this.#selectedIds.has(actorId)) this.#selectedIds.delete(actorId);
+		else this.#selectedIds.add(actorId);
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/** @this {PartyLevelUp} */
+	static #onSelectTokens() {
+		const actors = (canvas.tokens?.controlled ?? [])
+			.map((token) => token.actor)
+			.filter((actor) => actor?.type === 'character');
+		if (!actors.length) {
+			ui.notifications.info(game.i18n.localize('NIMBLE_SELECTOR.partyLevelUp.noTokens'));
+			return;
+		}
+
+		this.#selectedIds = new Set(actors.map((actor) => actor.id));
+		this._saveScrollPosition();
+		this.render();
+	}
+
+	/** @this {PartyLevelUp} */
+	static async #onLevelUp() {
+		if (this.#running || !this.#selectedIds.size) return;
+		this.#running = true;
+		this.render();
+
+		try {
+			const subclasses = await this.#compendiumBrowser.getClassEntries('subclasses');
+			const subclassParents = new Set(subclasses.map((s) => s.parentClass).filter(Boolean));
+
+			const report = [];
+			for (const actorId of this.#selectedIds) {
+				const actor = game.actors.get(actorId);
+				if (actor) report.push(await this.#levelUpActor(actor, subclassParents));
+			}
+			this.#report = report;
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Party level-up failed:`, err);
+			ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.partyLevelUp.failed'));
+		}
+		this.#running = false;
+		this.render();
+	}
+
+	/**
+	 * Open the selector panel of a reported actor, on the levels just gained.
+	 * @this {PartyLevelUp}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onOpenPanel(_event, target) {
+		const actorId = target.closest('[data-actor-id]')?.dataset.actorId;
+		const entry = this.#report?.find((r) => r.actorId === actorId);
+		const actor = game.actors.get(actorId);
+		if (!entry || !actor) return;
+
+		if (entry.status === 'levelled') {
+			this.#orchestrator.openForLevelUp(actor, entry.fromLevel + 1, entry.toLevel, entry.classItemId);
+		} else {
+			this.#orchestrator.openForActor(actor);
+		}
+	}
+
+	/** @this {PartyLevelUp} */
+	static #onBack() {
+		this.#report = null;
+		this.render();
+	}
+
+	/** @this {PartyLevelUp} */
+	static #onCancel() {
+		this.close();
+	}
+}
+
+export { PartyLevelUp };
@@ -7,25 +7,44 @@ import { ClassFeatureSelector } from './ClassFeatureSelector.mjs';
 import { SpellSelector } from './SpellSelector.mjs';
 import { EquipmentSelector } from './EquipmentSelector.mjs';
 import { SchoolChoiceResolver } from '../data/SchoolChoiceResolver.mjs';
+import { SpellsKnownResolver } from '../data/SpellsKnownResolver.mjs';
 import { AutoGranter } from '../core/AutoGranter.mjs';
+import { ItemGranter } from '../core/ItemGranter.mjs';
+import { GrantHistory } from '../core/GrantHistory.mjs';
+import { CurrencyManager } from '../core/CurrencyManager.mjs';
+import { DraftStore } from '../core/DraftStore.mjs';
+import { RespecResolver } from '../data/RespecResolver.mjs';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
+/**
+ * @typedef {import('../core/SelectorOrchestrator.mjs').ActorClassInfo & {fromLevel: number, respecFromLevel?: number}} PanelClassEntry
+ * `respecFromLevel` opens the panel in respec mode for that class, removing
+ * what was granted between its current level and `respecFromLevel`.
+ */
+
 /**
  * Main selector panel that provides an overview and access to the
  * three sub-selectors: features, spells, and equipment.
+ * Multiclassed characters get one tab per class; every section of the
+ * panel reflects the active class.
+ *
+ * In respec mode the overview is replaced by a removal checklist of the
+ * owned content the active class no longer grants.
+ *
+ * A class that has reached its subclass level without a subclass shows a
+ * subclass picker above the overview; adding one re-resolves every section.
+ *
+ * Sections with an unconfirmed draft in their selector are marked, and
+ * school picks not yet confirmed are kept as a draft of their own.
  */
 class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 	/** @type {Actor} */
 	#actor;
-	/** @type {string} */
-	#classIdentifier;
-	/** @type {string|null} */
-	#subclassIdentifier;
-	/** @type {number} */
-	#level;
-	/** @type {number} */
-	#fromLevel;
+	/** @type {PanelClassEntry[]} */
+	#classEntries;
+	/** @type {number} Index of the active class tab in #classEntries. */
+	#activeIndex = 0;
 
 	/** @type {ClassFeatureResolver} */
 	#featureResolver = new ClassFeatureResolver();
@@ -37,13 +56,40 @@ class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 	#compendiumBrowser = CompendiumBrowser.instance;
 	/** @type {SchoolChoiceResolver} */
 	#choiceResolver = new SchoolChoiceResolver();
+	/** @type {SpellsKnownResolver} */
+	#spellsKnownResolver = new SpellsKnownResolver();
 	/** @type {AutoGranter} */
 	#autoGranter = new AutoGranter();
+	/** @type {ItemGranter} */
+	#granter = new ItemGranter();
+	/** @type {import('../core/CompendiumBrowser.mjs').ClassEntryData[]|null} Subclasses pack, read on first need. */
+	#subclassEntries = null;
+	/** @type {string|null} UUID of the subclass picked but not yet added. */
+	#pendingSubclassUuid = null;
+	/** @type {GrantHistory} */
+	#history = new GrantHistory();
+	/** @type {CurrencyManager} */
+	#currency = new CurrencyManager();
+	/** @type {boolean} Whether the grant history view replaces the overview. */
+	#showHistory = false;
+	/** @type {RespecResolver} */
+	#respecResolver = new RespecResolver();
 	/**
-	 * Transient UI state: choice key → selected schools (before confirm).
+	 * Levels of the active respec, or null outside respec mode.
+	 * Content granted above `targetLevel` (up to `previousLevel`) is listed for removal.
+	 * @type {{previousLevel: number, targetLevel: number}|null}
+	 */
+	#respec = null;
+	/** @type {Set<string>} Item IDs and choice keys unchecked in the removal checklist. */
+	#respecExcluded = new Set();
+	/**
+	 * Choice key → selected schools (before confirm), saved as the `schools` draft.
+	 * Keys embed the class or subclass identifier, so one map serves every tab.
 	 * @type {Map<string, Set<string>>}
 	 */
 	#pendingSelections = new Map();
+	/** @type {DraftStore} */
+	#drafts = DraftStore.instance;
 	/**
 	 * Cached choice counts from the last prepareContext, keyed by choice key.
 	 * Avoids re-calling getPendingChoices in action handlers.
@@ -71,13 +117,22 @@ class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 			height: 'auto',
 		},
 		actions: {
+			selectClass: SelectorPanel.#onSelectClass,
 			openFeatures: SelectorPanel.#onOpenFeatures,
 			openSpells: SelectorPanel.#onOpenSpells,
 			openEquipment: SelectorPanel.#onOpenEquipment,
 			closePanel: SelectorPanel.#onClose,
+			selectSubclass: SelectorPanel.#onSelectSubclass,
+			confirmSubclass: SelectorPanel.#onConfirmSubclass,
 			selectSchoolChoice: SelectorPanel.#onSelectSchoolChoice,
 			confirmSchoolChoice: SelectorPanel.#onConfirmSchoolChoice,
 			editSchoolChoice: SelectorPanel.#onEditSchoolChoice,
+			toggleHistory: SelectorPanel.#onToggleHistory,
+			undoTransaction: SelectorPanel.#onUndoTransaction,
+			startRespec: SelectorPanel.#onStartRespec,
+			toggleRespecEntry: SelectorPanel.#onToggleRespecEntry,
+			confirmRespec: SelectorPanel.#onConfirmRespec,
+			cancelRespec: SelectorPanel.#onCancelRespec,
 		},
 	};
 
@@ -89,51 +144,129 @@ class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 
 	/**
 	 * @param {Actor} actor
-	 * @param {string} classIdentifier
-	 * @param {number} level
-	 * @param {number|null} [fromLevel=null]
-	 * @param {string|null} [subclassIdentifier=null]
+	 * @param {PanelClassEntry[]} classEntries - One entry per class, primary class first
+	 * @param {string|null} [activeClassItemId=null] - Class tab to show first
 	 * @param {object} [options={}]
 	 */
-	constructor(actor, classIdentifier, level, fromLevel = null, subclassIdentifier = null, options = {}) {
+	constructor(actor, classEntries, activeClassItemId = null, options = {}) {
 		super(options);
 		this.#actor = actor;
-		this.#classIdentifier = classIdentifier;
-		this.#subclassIdentifier = subclassIdentifier;
-		this.#level = level;
-		this.#fromLevel = fromLevel ?? level;
+		this.#classEntries = classEntries;
+		const activeIndex = classEntries.findIndex((e) => e.classItemId === activeClassItemId);
+		this.#activeIndex = Math.max(activeIndex, 0);
+
+		const { respecFromLevel, level } = this.#entry;
+		if (respecFromLevel > level) this.#respec = { previousLevel: respecFromLevel, targetLevel: level };
+
+		const draft = this.#drafts.get(actor, 'schools');
+		if (Array.isArray(draft?.selection)) {
+			for (const [key, schools] of draft.selection) this.#pendingSelections.set(key, new Set(schools));
+		}
+	}
+
+	/**
+	 * The class entry shown in the active tab.
+	 * @returns {PanelClassEntry}
+	 */
+	get #entry() {
+		return this.#classEntries[this.#activeIndex];
 	}
 
 	/** @override */
 	async _prepareContext() {
+		if (this.#respec) {
+			return {
+				actorName: this.#actor.name,
+				className: capitalize(this.#entry.classIdentifier),
+				level: this.#entry.level,
+				respec: this.#prepareRespec(),
+			};
+		}
+
+		if (this.#showHistory) {
+			return {
+				actorName: this.#actor.name,
+				className: capitalize(this.#entry.classIdentifier),
+				level: this.#entry.level,
+				showHistory: true,
+				history: this.#prepareHistory(),
+			};
+		}
+
+		const subclassPicker = await this.#prepareSubclassPicker();
 		const features = this.#prepareFeatures();
 		const schoolChoiceData = this.#prepareSchoolChoices();
 		const spellData = this.#prepareSpellSummary();
 		const equipmentData = this.#prepareEquipmentSummary();
+		const drafts = this.#prepareDrafts();
 		const showFeaturesInPanel = game.settings.get(MODULE_ID, 'showFeaturesInPanel');
 
+		const classTabs = this.#classEntries.map((e, index) => ({
+			index,
+			label: capitalize(e.classIdentifier),
+			level: e.level,
+			active: index === this.#activeIndex,
+		}));
+
 		return {
 			actorName: this.#actor.name,
-			className: capitalize(this.#classIdentifier),
-			level: this.#level,
+			className: capitalize(this.#entry.classIdentifier),
+			level: this.#entry.level,
+			classTabs,
+			hasMultipleClasses: classTabs.length > 1,
+			subclassPicker,
 			features,
 			showFeaturesInPanel,
+			drafts,
 			...schoolChoiceData,
 			...spellData,
 			...equipmentData,
 		};
 	}
 
+	/**
+	 * List the subclasses the active class can take, when it has reached
+	 * its subclass level without one.
+	 * @returns {Promise<{hint: string, subclasses: object[], selected: object|null, description: string}|null>}
+	 */
+	async #prepareSubclassPicker() {
+		const { classIdentifier, level, subclassIdentifier } = this.#entry;
+		if (subclassIdentifier) return null;
+
+		const unlockLevel = this.#compendiumBrowser.getSubclassLevel(classIdentifier);
+		if (level < unlockLevel) return null;
+
+		this.#subclassEntries ??= await this.#compendiumBrowser.getClassEntries('subclasses');
+		const subclasses = this.#subclassEntries
+			.filter((s) => s.parentClass === classIdentifier)
+			.map((s) => ({ ...s, selected: s.uuid === this.#pendingSubclassUuid }));
+		if (!subclasses.length) return null;
+
+		const selected = subclasses.find((s) => s.selected) ?? null;
+		return {
+			hint: game.i18n.format('NIMBLE_SELECTOR.panel.chooseSubclass', {
+				className: capitalize(classIdentifier),
+				level: unlockLevel,
+			}),
+			subclasses,
+			selected,
+			description: selected?.description
+				? await foundry.applications.ux.TextEditor.implementation.enrichHTML(selected.description)
+				: '',
+		};
+	}
+
 	/**
 	 * Resolve and mark owned features for the panel display.
 	 * @returns {Array<import('../data/ClassFeatureResolver.mjs').ResolvedFeature & {alreadyOwned: boolean}>}
 	 */
 	#prepareFeatures() {
+		const { classIdentifier, fromLevel, level, subclassIdentifier } = this.#entry;
 		const features = this.#featureResolver.resolveRange(
-			this.#classIdentifier,
-			this.#fromLevel,
-			this.#level,
-			this.#subclassIdentifier,
+			classIdentifier,
+			fromLevel,
+			level,
+			subclassIdentifier,
 		);
 		return this.#featureResolver.markOwnedFeatures(this.#actor, features);
 	}
@@ -141,21 +274,22 @@ class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 	/**
 	 * Build spell summary data for the panel.
 	 * Uses resolved schools (granted + persisted choices) for accurate counts.
-	 * @returns {{ hasSpellcasting: boolean, spellSchools: Array<{id: string, label: string, icon: string}>, spellCount: number, maxTier: number }}
+	 * @returns {{ hasSpellcasting: boolean, spellSchools: Array<{id: string, label: string, icon: string}>, spellCount: number, maxTier: number, spellsKnown: string, spellsToChoose: string }}
 	 */
 	#prepareSpellSummary() {
-		const hasSpellcasting = this.#dataProvider.hasCasting(this.#classIdentifier, this.#subclassIdentifier);
+		const { classIdentifier, level, subclassIdentifier } = this.#entry;
+		const hasSpellcasting = this.#dataProvider.hasCasting(classIdentifier, subclassIdentifier);
 		const resolvedSchools = this.#choiceResolver.resolveAllSchools(
-			this.#actor, this.#classIdentifier, this.#level, this.#subclassIdentifier,
+			this.#actor, classIdentifier, level, subclassIdentifier,
 		);
 		const maxTier = this.#dataProvider.getMaxSpellTier(
-			this.#classIdentifier,
-			this.#level,
-			this.#subclassIdentifier,
+			classIdentifier,
+			level,
+			subclassIdentifier,
 		);
 		const minTier = this.#dataProvider.getMinSpellTier(
-			this.#classIdentifier,
-			this.#subclassIdentifier,
+			classIdentifier,
+			subclassIdentifier,
 		);
 
 		const hasUtility = resolvedSchools.includes('utility');
@@ -168,10 +302,20 @@ class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 		}));
 
 		const spellCount = hasSpellcasting && maxTier >= 0 && realSchools.length > 0
-			? this.#compendiumBrowser.countSpells({ schools: realSchools, maxTier, minTier, includeUtility: hasUtility, classIdentifier: this.#classIdentifier })
+			? this.#compendiumBrowser.countSpells({ schools: realSchools, maxTier, minTier, includeUtility: hasUtility, classIdentifier })
 			: 0;
 
-		return { hasSpellcasting, spellSchools, spellCount, maxTier };
+		const status = hasSpellcasting
+			? this.#spellsKnownResolver.getStatus(this.#actor, classIdentifier, level, subclassIdentifier)
+			: null;
+		const spellsKnown = status
+			? game.i18n.format('NIMBLE_SELECTOR.spells.knownCounter', { count: status.known, limit: status.limit })
+			: '';
+		const spellsToChoose = status?.remaining
+			? game.i18n.format('NIMBLE_SELECTOR.panel.spellsToChoose', { count: status.remaining })
+			: '';
+
+		return { hasSpellcasting, spellSchools, spellCount, maxTier, spellsKnown, spellsToChoose };
 	}
 
 	/**
@@ -179,8 +323,9 @@ class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 	 * @returns {{ equipmentCount: number, proficiencySummary: {armor: string, weapons: string} }}
 	 */
 	#prepareEquipmentSummary() {
-		const proficiencies = this.#proficiencyResolver.resolve(this.#classIdentifier);
-		const equipment = this.#proficiencyResolver.findAvailableEquipment(this.#classIdentifier);
+		const { classIdentifier, subclassIdentifier } = this.#entry;
+		const proficiencies = this.#proficiencyResolver.resolve(classIdentifier, subclassIdentifier);
+		const equipment = this.#proficiencyResolver.findAvailableEquipment(classIdentifier, subclassIdentifier);
 
 		const none = game.i18n.localize('NIMBLE_SELECTOR.panel.none');
 
@@ -193,17 +338,43 @@ class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 		};
 	}
 
+	/**
+	 * Label the active class's selectors that hold a draft (e.g. "Draft with 4 items").
+	 * @returns {{features: string, spells: string, equipment: string}} Empty for no draft
+	 */
+	#prepareDrafts() {
+		const drafts = this.#drafts.list(this.#actor);
+		const label = (selector) => {
+			const draft = drafts[DraftStore.key(selector, this.#entry.classIdentifier)];
+			return draft ? game.i18n.format('NIMBLE_SELECTOR.panel.draft', { count: draft.count }) : '';
+		};
+		return { features: label('features'), spells: label('spells'), equipment: label('equipment') };
+	}
+
+	/**
+	 * Save the unconfirmed school picks as the `schools` draft.
+	 */
+	#saveSchoolDraft() {
+		const selection = [...this.#pendingSelections]
+			.filter(([, schools]) => schools.size)
+			.map(([key, schools]) => [key, [...schools]]);
+		let count = 0;
+		for (const [, schools] of selection) count += schools.length;
+		this.#drafts.set(this.#actor, 'schools', selection, count);
+	}
+
 	/**
 	 * Build school choice data for the panel template.
 	 * Also caches choice counts for use in action handlers.
 	 * @returns {{ pendingChoices: import('../data/SchoolChoiceResolver.mjs').PendingChoice[], confirmedChoices: import('../data/SchoolChoiceResolver.mjs').ConfirmedChoice[], schoolIcons: Record<string, string> }}
 	 */
 	#prepareSchoolChoices() {
+		const { classIdentifier, level, subclassIdentifier } = this.#entry;
 		const pendingChoices = this.#choiceResolver.getPendingChoices(
-			this.#actor, this.#classIdentifier, this.#level, this.#subclassIdentifier,
+			this.#actor, classIdentifier, level, subclassIdentifier,
 		);
 		const confirmedChoices = this.#choiceResolver.getConfirmedChoices(
-			this.#actor, this.#classIdentifier, this.#level, this.#subclassIdentifier,
+			this.#actor, classIdentifier, level, subclassIdentifier,
 		);
 
 		// Cache counts and enrich pending choices with UI state
@@ -226,33 +397,204 @@ class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 		};
 	}
 
+	/**
+	 * Build the grant history list for the template.
+	 * @returns {Array<{id: string, sourceLabel: string, date: string, userName: string, items: object[], paid: string, received: string}>}
+	 */
+	#prepareHistory() {
+		return this.#history.list(this.#actor).map((t) => ({
+			id: t.id,
+			sourceLabel: game.i18n.localize(`NIMBLE_SELECTOR.history.source.${t.source}`),
+			date: new Date(t.timestamp).toLocaleString(),
+			userName: game.users.get(t.userId)?.name ?? '',
+			items: (t.items ?? []).map((i) => ({ ...i, showQuantity: i.quantity > 1 })),
+			paid: this.#currency.formatCoins(t.currency ?? {}),
+			received: this.#currency.formatCoins(Object.fromEntries(
+				Object.entries(t.currency ?? {}).map(([denom, amount]) => [denom, -amount]),
+			)),
+		}));
+	}
+
+	/**
+	 * Find what the active class no longer grants at the respec target level.
+	 * @returns {import('../data/RespecResolver.mjs').RemovableContent}
+	 */
+	#findRespecContent() {
+		const { previousLevel, targetLevel } = this.#respec;
+		const others = this.#classEntries.filter((e) => e !== this.#entry);
+		return this.#respecResolver.findRemovable(this.#actor, this.#entry, previousLevel, targetLevel, others);
+	}
+
+	/**
+	 * Build the removal checklist for the template.
+	 * Everything starts checked; unchecked entries are kept on the actor.
+	 * @returns {{title: string, groups: Array<{label: string, icon: string, entries: object[]}>, checkedCount: number, isEmpty: boolean}}
+	 */
+	#prepareRespec() {
+		const { features, spells, schoolChoiceKeys } = this.#findRespecContent();
+		const toEntry = (item) => ({
+			id: item.id,
+			name: item.name,
+			img: item.img,
+			checked: !this.#respecExcluded.has(item.id),
+		});
+
+		const choices = this.#choiceResolver.getChoices(this.#actor);
+		const schoolChoices = schoolChoiceKeys.map((key) => {
+			const [, identifier, level] = key.split('__');
+			return {
+				id: key,
+				name: (choices[key] ?? []).map(capitalize).join(', '),
+				meta: `${capitalize(identifier)} — ${game.i18n.localize('NIMBLE_SELECTOR.panel.level')} ${level}`,
+				checked: !this.#respecExcluded.has(key),
+			};
+		});
+
+		const groups = [
+			{ label: 'features', icon: 'fa-solid fa-scroll', entries: features.map(toEntry) },
+			{ label: 'spells', icon: 'fa-solid fa-hat-wizard', entries: spells.map(toEntry) },
+			{ label: 'schoolChoices', icon: 'fa-solid fa-book-open', entries: schoolChoices },
+		]
+			.filter((g) => g.entries.length)
+			.map((g) => ({ ...g, label: game.i18n.localize(`NIMBLE_SELECTOR.respec.${g.label}`) }));
+
+		const entries = groups.flatMap((g) => g.entries);
+		const { targetLevel } = this.#respec;
+		return {
+			title: targetLevel > 0
+				? game.i18n.format('NIMBLE_SELECTOR.respec.titleLevelDown', { level: targetLevel })
+				: game.i18n.localize('NIMBLE_SELECTOR.respec.titleRebuild'),
+			groups,
+			checkedCount: entries.filter((e) => e.checked).length,
+			isEmpty: entries.length === 0,
+		};
+	}
+
+	/**
+	 * Check whether any class tab still has an unresolved school choice.
+	 * @returns {boolean}
+	 */
+	#hasAnyPendingSchoolChoice() {
+		return this.#classEntries.some((e) => this.#choiceResolver.getPendingChoices(
+			this.#actor, e.classIdentifier, e.level, e.subclassIdentifier,
+		).length > 0);
+	}
+
+	/**
+	 * Open (or reopen) the spell selector for the active class.
+	 */
+	#openSpellSelector() {
+		this.#spellSelector?.close();
+		this.#spellSelector = new SpellSelector(
+			this.#actor,
+			this.#entry.classIdentifier,
+			this.#entry.level,
+			this.#entry.subclassIdentifier,
+		);
+		this.#spellSelector.render(true);
+	}
+
+	/**
+	 * Close the sub-selectors, which were opened for the previous subclass.
+	 */
+	#closeSelectors() {
+		this.#featureSelector?.close();
+		this.#featureSelector = null;
+		this.#spellSelector?.close();
+		this.#spellSelector = null;
+		this.#equipmentSelector?.close();
+		this.#equipmentSelector = null;
+	}
+
+	/**
+	 * Called by CompendiumBrowser when a source pack changes.
+	 * Counts and feature lists are re-resolved on render.
+	 */
+	invalidateCompendiumData() {
+		this.#subclassEntries = null;
+		if (this.rendered) this.render();
+	}
+
+	/**
+	 * Called by DraftStore when drafts change, to update the draft marks.
+	 */
+	invalidateDraftData() {
+		if (this.rendered) this.render();
+	}
+
 	/* ---------------------------------------- */
 	/*  Action Handlers                         */
 	/* ---------------------------------------- */
 
+	/**
+	 * Switch the active class tab.
+	 * @this {SelectorPanel}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onSelectClass(_event, target) {
+		const index = Number(target.dataset.index);
+		if (!Number.isInteger(index) || !this.#classEntries[index]) return;
+		if (index === this.#activeIndex) return;
+
+		this.#activeIndex = index;
+		this.render();
+	}
+
+	/**
+	 * @this {SelectorPanel}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onSelectSubclass(_event, target) {
+		const uuid = target.dataset.uuid;
+		if (!uuid) return;
+
+		this.#pendingSubclassUuid = this.#pendingSubclassUuid === uuid ? null : uuid;
+		this.render();
+	}
+
+	/**
+	 * Add the picked subclass to the actor and resolve the active class with it.
+	 * @this {SelectorPanel}
+	 */
+	static async #onConfirmSubclass() {
+		const entry = this.#subclassEntries?.find((s) => s.uuid === this.#pendingSubclassUuid);
+		if (!entry) return;
+
+		const created = await this.#granter.createClassItems(this.#actor, [entry.uuid]);
+		if (!created) {
+			ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.notifications.subclassFailed'));
+			return;
+		}
+
+		this.#pendingSubclassUuid = null;
+		this.#entry.subclassIdentifier = entry.identifier;
+		ui.notifications.info(game.i18n.format('NIMBLE_SELECTOR.notifications.addedSubclass', {
+			subclass: entry.name,
+			name: this.#actor.name,
+		}));
+
+		this.#closeSelectors();
+		this.render();
+	}
+
 	/** @this {SelectorPanel} */
 	static #onOpenFeatures() {
 		this.#featureSelector?.close();
 		this.#featureSelector = new ClassFeatureSelector(
 			this.#actor,
-			this.#classIdentifier,
-			this.#fromLevel,
-			this.#level,
-			this.#subclassIdentifier,
+			this.#entry.classIdentifier,
+			this.#entry.fromLevel,
+			this.#entry.level,
+			this.#entry.subclassIdentifier,
 		);
 		this.#featureSelector.render(true);
 	}
 
 	/** @this {SelectorPanel} */
 	static #onOpenSpells() {
-		this.#spellSelector?.close();
-		this.#spellSelector = new SpellSelector(
-			this.#actor,
-			this.#classIdentifier,
-			this.#level,
-			this.#subclassIdentifier,
-		);
-		this.#spellSelector.render(true);
+		this.#openSpellSelector();
 	}
 
 	/** @this {SelectorPanel} */
@@ -260,11 +602,113 @@ class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 		this.#equipmentSelector?.close();
 		this.#equipmentSelector = new EquipmentSelector(
 			this.#actor,
-			this.#classIdentifier,
+			this.#entry.classIdentifier,
+			this.#entry.subclassIdentifier,
 		);
 		this.#equipmentSelector.render(true);
 	}
 
+	/** @this {SelectorPanel} */
+	static #onToggleHistory() {
+		this.#showHistory = !this.#showHistory;
+		this.render();
+	}
+
+	/**
+	 * @this {SelectorPanel}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static async #onUndoTransaction(_event, target) {
+		const id = target.dataset.transactionId;
+		if (!id) return;
+
+		const undone = await this.#history.undo(this.#actor, id);
+		if (!undone) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.notifications.undoFailed'));
+			return;
+		}
+		ui.notifications.info(game.i18n.format('NIMBLE_SELECTOR.notifications.undone', { name: this.#actor.name }));
+
+		// Close SpellSelector so it reloads with the reverted ownership
+		this.#spellSelector?.close();
+		this.#spellSelector = null;
+
+		this.render();
+	}
+
+	/**
+	 * Enter respec mode to rebuild the active class from scratch.
+	 * @this {SelectorPanel}
+	 */
+	static #onStartRespec() {
+		this.#respec = { previousLevel: this.#entry.level, targetLevel: 0 };
+		this.#respecExcluded.clear();
+		this.#showHistory = false;
+		this.render();
+	}
+
+	/**
+	 * @this {SelectorPanel}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onToggleRespecEntry(_event, target) {
+		const id = target.dataset.id;
+		if (!id) return;
+
+		if (this.#respecExcluded.has(id)) {
+			this.#respecExcluded.delete(id);
+		} else {
+			this.#respecExcluded.add(id);
+		}
+		this.render();
+	}
+
+	/**
+	 * Delete the checked items and clear the checked school choices.
+	 * @this {SelectorPanel}
+	 */
+	static async #onConfirmRespec() {
+		const { features, spells, schoolChoiceKeys } = this.#findRespecContent();
+		const itemIds = [...features, ...spells]
+			.map((item) => item.id)
+			.filter((id) => !this.#respecExcluded.has(id));
+		const choiceKeys = schoolChoiceKeys.filter((key) => !this.#respecExcluded.has(key));
+
+		try {
+			if (itemIds.length) await this.#actor.deleteEmbeddedDocuments('Item', itemIds);
+			await this.#choiceResolver.removeChoices(this.#actor, choiceKeys);
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to respec ${this.#actor.name}:`, err);
+			return;
+		}
+
+		if (itemIds.length) {
+			ui.notifications.info(game.i18n.format('NIMBLE_SELECTOR.notifications.removedItems', {
+				count: itemIds.length,
+				name: this.#actor.name,
+			}));
+		}
+		for (const key of choiceKeys) this.#pendingSelections.delete(key);
+		this.#saveSchoolDraft();
+
+		// Close SpellSelector so it reloads without the removed spells and schools
+		this.#spellSelector?.close();
+		this.#spellSelector = null;
+
+		this.#respec = null;
+		this.#respecExcluded.clear();
+		this.render();
+	}
+
+	/** @this {SelectorPanel} */
+	static #onCancelRespec() {
+		this.#respec = null;
+		this.#respecExcluded.clear();
+		this.render();
+	}
+
 	/** @this {SelectorPanel} */
 	static #onClose() {
 		this.#featureSelector?.close();
@@ -297,6 +741,7 @@ class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 			if (maxCount === 1) selections.clear();
 			if (selections.size < maxCount) selections.add(school);
 		}
+		this.#saveSchoolDraft();
 
 		this.render();
 	}
@@ -323,22 +768,30 @@ class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 			return;
 		}
 		this.#pendingSelections.delete(key);
+		this.#saveSchoolDraft();
 
 		// Close SpellSelector so it reloads with updated schools
 		this.#spellSelector?.close();
 		this.#spellSelector = null;
 
-		// If auto-grant is active and all school choices are now resolved, grant spells and close panel
+		// If auto-grant is active and this class has no school choices left, grant its spells.
+		// The panel closes once no class has anything left to choose.
 		if (this.#autoGranter.shouldAutoGrant(this.#actor)) {
+			const { classIdentifier, level, subclassIdentifier } = this.#entry;
 			const remainingChoices = this.#choiceResolver.getPendingChoices(
-				this.#actor, this.#classIdentifier, this.#level, this.#subclassIdentifier,
+				this.#actor, classIdentifier, level, subclassIdentifier,
 			);
 			if (remainingChoices.length === 0) {
 				await this.#autoGranter.grantSpellsAfterChoice(
-					this.#actor, this.#classIdentifier, this.#level, this.#subclassIdentifier,
+					this.#actor, classIdentifier, level, subclassIdentifier,
 				);
-				await this.close();
-				return;
+				// Capped classes are not auto-granted: let the player pick their spells
+				if (this.#spellsKnownResolver.getStatus(this.#actor, classIdentifier, level, subclassIdentifier)?.remaining) {
+					this.#openSpellSelector();
+				} else if (!this.#hasAnyPendingSchoolChoice()) {
+					await this.close();
+					return;
+				}
 			}
 		}
 
@@ -361,6 +814,7 @@ class SelectorPanel extends HandlebarsApplicationMixin(ApplicationV2) {
 			return;
 		}
 		this.#pendingSelections.delete(key);
+		this.#saveSchoolDraft();
 
 		// Close SpellSelector so it reloads without the removed school
 		this.#spellSelector?.close();
@@ -0,0 +1,315 @@
+import { MODULE_ID, LOG_PREFIX, TEMPLATE_PATH, EQUIPMENT_CATEGORIES } from '../utils/constants.mjs';
+import { CompendiumBrowser } from '../core/CompendiumBrowser.mjs';
+import { CurrencyManager } from '../core/CurrencyManager.mjs';
+import { ShopManager } from '../core/ShopManager.mjs';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * @typedef {import('../core/ShopManager.mjs').ShopData & {id: string, merchantName: string|null, isNew: boolean}} ShopDraft
+ */
+
+/**
+ * GM settings menu for the shops: world shops and merchant actors.
+ * Shops are edited one at a time; each is saved on its own, to the `shops`
+ * world setting or to the merchant actor's flag.
+ */
+class ShopsConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+	/** @type {Map<string, ShopDraft>} Working copies by shop ID, kept across renders. */
+	#drafts = new Map();
+	/** @type {string|null} */
+	#selectedId = null;
+	/** @type {CompendiumBrowser} */
+	#compendiumBrowser = CompendiumBrowser.instance;
+	/** @type {CurrencyManager} */
+	#currency = new CurrencyManager();
+	/** @type {ShopManager} */
+	#shops = ShopManager.instance;
+
+	static DEFAULT_OPTIONS = {
+		id: `${MODULE_ID}-shops-config`,
+		classes: [MODULE_ID, 'nimble-selector'],
+		window: {
+			title: 'Shops',
+			icon: 'fa-solid fa-store',
+			resizable: true,
+		},
+		position: {
+			width: 760,
+			height: 620,
+		},
+		actions: {
+			selectShop: ShopsConfig.#onSelectShop,
+			newShop: ShopsConfig.#onNewShop,
+			makeMerchant: ShopsConfig.#onMakeMerchant,
+			addItem: ShopsConfig.#onAddItem,
+			removeItem: ShopsConfig.#onRemoveItem,
+			save: ShopsConfig.#onSave,
+			delete: ShopsConfig.#onDelete,
+			cancel: ShopsConfig.#onCancel,
+		},
+	};
+
+	static PARTS = {
+		form: {
+			template: `${TEMPLATE_PATH}/shops-config.hbs`,
+		},
+	};
+
+	/**
+	 * @param {object} [options={}]
+	 */
+	constructor(options = {}) {
+		super(options);
+		for (const shop of this.#shops.list()) {
+			this.#drafts.set(shop.id, {
+				id: shop.id,
+				name: shop.name,
+				markup: shop.markup,
+				categories: [...shop.categories],
+				stock: { ...shop.stock },
+				merchantName: shop.merchant?.name ?? null,
+				isNew: false,
+			});
+		}
+		this.#selectedId = this.#drafts.keys().next().value ?? null;
+	}
+
+	/** @override */
+	async _prepareContext() {
+		await this.#compendiumBrowser.initialize();
+
+		const shops = [...this.#drafts.values()].map((draft) => ({
+			id: draft.id,
+			name: draft.name || game.i18n.localize('NIMBLE_SELECTOR.shops.unnamed'),
+			merchantName: draft.merchantName,
+			selected: draft.id === this.#selectedId,
+		}));
+
+		const merchantCandidates = game.actors
+			.filter((actor) => actor.type !== 'character' && !this.#drafts.has(actor.uuid))
+			.map((actor) => ({ uuid: actor.uuid, name: actor.name }))
+			.sort((a, b) => a.name.localeCompare(b.name));
+
+		return {
+			shops,
+			merchantCandidates,
+			shop: this.#prepareShop(this.#drafts.get(this.#selectedId)),
+		};
+	}
+
+	/**
+	 * Build the editor context for the selected shop.
+	 * @param {ShopDraft|undefined} draft
+	 * @returns {object|null}
+	 */
+	#prepareShop(draft) {
+		if (!draft) return null;
+
+		const stock = Object.entries(draft.stock).map(([uuid, count]) => {
+			const entry = this.#compendiumBrowser.getEntry(uuid);
+			return {
+				uuid,
+				name: entry?.name ?? uuid,
+				img: entry?.img ?? 'icons/svg/item-bag.svg',
+				price: entry ? this.#currency.formatPrice(this.#shops.priceItem(entry, draft)) : '',
+				count: count ?? '',
+				missing: !entry,
+				excluded: !!entry && !ShopManager.sells(draft, entry),
+			};
+		}).sort((a, b) => a.name.localeCompare(b.name));
+
+		const types = draft.categories.length ? draft.categories : Object.keys(EQUIPMENT_CATEGORIES);
+		const itemOptions = this.#compendiumBrowser.findEquipmentByType(types)
+			.filter((entry) => !Object.hasOwn(draft.stock, entry.uuid))
+			.map((entry) => entry.name);
+
+		return {
+			id: draft.id,
+			name: draft.name,
+			markup: draft.markup,
+			merchantName: draft.merchantName,
+			categories: Object.entries(EQUIPMENT_CATEGORIES).map(([id, { label, icon }]) => ({
+				id,
+				icon,
+				label,
+				checked: draft.categories.includes(id),
+			})),
+			stock,
+			itemOptions: [...new Set(itemOptions)],
+		};
+	}
+
+	/**
+	 * Copy the editor inputs into the selected draft so they survive a re-render.
+	 */
+	#readForm() {
+		const draft = this.#drafts.get(this.#selectedId);
+		const form = this.element.querySelector('[data-shop-editor]');
+		if (!draft || !form) return;
+
+		draft.name = form.querySelector('input[name="name"]').value.trim();
+		draft.markup = form.querySelector('input[name="markup"]').valueAsNumber;
+		draft.categories = [...form.querySelectorAll('input[data-category]:checked')].map((input) => input.dataset.category);
+		for (const input of form.querySelectorAll('input[data-stock]')) {
+			draft.stock[input.dataset.stock] = input.value === '' ? null : Math.max(0, Math.floor(input.valueAsNumber) || 0);
+		}
+	}
+
+	/* ---------------------------------------- */
+	/*  Action Handlers                         */
+	/* ---------------------------------------- */
+
+	/**
+	 * @this {ShopsConfig}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onSelectShop(_event, target) {
+		this.#readForm();
+		this.#selectedId = target.dataset.shopId;
+		this.render();
+	}
+
+	/**
+	 * Start a new world shop; it is stored on save.
+	 * @this {ShopsConfig}
+	 */
+	static #onNewShop() {
+		this.#readForm();
+		const id = foundry.utils.randomID();
+		this.#drafts.set(id, {
+			id,
+			name: game.i18n.localize('NIMBLE_SELECTOR.shops.newShopName'),
+			markup: 1,
+			categories: [],
+			stock: {},
+			merchantName: null,
+			isNew: true,
+		});
+		this.#selectedId = id;
+		this.render();
+	}
+
+	/**
+	 * Start a shop on the actor chosen in the merchant dropdown.
+	 * @this {ShopsConfig}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onMakeMerchant(_event, target) {
+		this.#readForm();
+		const uuid = target.closest('[data-merchant-add]')?.querySelector('select')?.value;
+		const actor = uuid ? fromUuidSync(uuid) : null;
+		if (!actor || this.#drafts.has(uuid)) return;
+
+		this.#drafts.set(uuid, {
+			id: uuid,
+			name: actor.name,
+			markup: 1,
+			categories: [],
+			stock: {},
+			merchantName: actor.name,
+			isNew: true,
+		});
+		this.#selectedId = uuid;
+		this.render();
+	}
+
+	/**
+	 * Add the item named in the search box, with one unit in stock.
+	 * @this {ShopsConfig}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onAddItem(_event, target) {
+		this.#readForm();
+		const draft = this.#drafts.get(this.#selectedId);
+		const name = target.closest('[data-item-add]')?.querySelector('input')?.value.trim();
+		if (!draft || !name) return;
+
+		const entry = this.#compendiumBrowser.findItemByName(name);
+		if (!entry?.objectType) {
+			ui.notifications.warn(game.i18n.format('NIMBLE_SELECTOR.shops.itemNotFound', { name }));
+			return;
+		}
+		if (!ShopManager.sells(draft, entry)) {
+			ui.notifications.warn(game.i18n.format('NIMBLE_SELECTOR.shops.wrongCategory', { name: entry.name }));
+			return;
+		}
+
+		if (!Object.hasOwn(draft.stock, entry.uuid)) draft.stock[entry.uuid] = 1;
+		this.render();
+	}
+
+	/**
+	 * @this {ShopsConfig}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onRemoveItem(_event, target) {
+		this.#readForm();
+		const draft = this.#drafts.get(this.#selectedId);
+		const uuid = target.closest('[data-uuid]')?.dataset.uuid;
+		if (!draft || !uuid) return;
+
+		delete draft.stock[uuid];
+		this.render();
+	}
+
+	/**
+	 * Save the selected shop.
+	 * @this {ShopsConfig}
+	 */
+	static async #onSave() {
+		this.#readForm();
+		const draft = this.#drafts.get(this.#selectedId);
+		if (!draft) return;
+		if (!Number.isFinite(draft.markup) || draft.markup < 0) {
+			ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.shops.invalidMarkup'));
+			return;
+		}
+		if (!draft.name) draft.name = draft.merchantName ?? game.i18n.localize('NIMBLE_SELECTOR.shops.newShopName');
+
+		try {
+			await this.#shops.save(draft.id, draft);
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to save shop ${draft.name}:`, err);
+			ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.shops.saveFailed'));
+			return;
+		}
+		draft.isNew = false;
+		ui.notifications.info(game.i18n.format('NIMBLE_SELECTOR.shops.saved', { name: draft.name }));
+		this.render();
+	}
+
+	/**
+	 * Delete the selected shop. A merchant actor is kept; only its shop is removed.
+	 * @this {ShopsConfig}
+	 */
+	static async #onDelete() {
+		const draft = this.#drafts.get(this.#selectedId);
+		if (!draft) return;
+
+		if (!draft.isNew) {
+			const confirmed = await foundry.applications.api.DialogV2.confirm({
+				window: { title: game.i18n.localize('NIMBLE_SELECTOR.shops.delete') },
+				content: `<p>${game.i18n.format('NIMBLE_SELECTOR.shops.deleteConfirm', { name: foundry.utils.escapeHTML(draft.name) })}</p>`,
+			});
+			if (!confirmed) return;
+			await this.#shops.delete(draft.id);
+			ui.notifications.info(game.i18n.format('NIMBLE_SELECTOR.shops.deleted', { name: draft.name }));
+		}
+
+		this.#drafts.delete(draft.id);
+		this.#selectedId = this.#drafts.keys().next().value ?? null;
+		this.render();
+	}
+
+	/** @this {ShopsConfig} */
+	static #onCancel() {
+		this.close();
+	}
+}
+
+export { ShopsConfig };
@@ -1,14 +1,20 @@
-import { MODULE_ID, TEMPLATE_PATH, SCHOOL_ICONS, capitalize, buildOwnedItemKeys, ScrollPositionMixin } from '../utils/constants.mjs';
+import { MODULE_ID, TEMPLATE_PATH, SCHOOL_ICONS, capitalize, buildOwnedItemKeys, searchEntries, ScrollPositionMixin } from '../utils/constants.mjs';
 import { DataProvider } from '../data/DataProvider.mjs';
 import { SchoolChoiceResolver } from '../data/SchoolChoiceResolver.mjs';
+import { SpellsKnownResolver } from '../data/SpellsKnownResolver.mjs';
+import { ItemDetailResolver } from '../data/ItemDetailResolver.mjs';
 import { CompendiumBrowser } from '../core/CompendiumBrowser.mjs';
 import { ItemGranter } from '../core/ItemGranter.mjs';
+import { GrantApproval } from '../core/GrantApproval.mjs';
+import { DraftStore } from '../core/DraftStore.mjs';
+import { ChatSummary } from '../core/ChatSummary.mjs';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 /**
  * Application for selecting and granting spells to a character.
  * Filters spells by school and tier based on class/subclass access.
+ * The selection is kept as a draft until it is granted.
  */
 class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(ApplicationV2)) {
 	/** @type {Actor} */
@@ -31,22 +37,38 @@ class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(Appli
 	#activeSchool = '';
 	/** @type {number|null} Active tier filter (null = show all). */
 	#activeTier = null;
+	/** @type {string} Search field text (empty = no search). */
+	#searchQuery = '';
+	/** @type {string|null} UUID of the card shown in the detail pane. */
+	#detailUuid = null;
 	/** @type {boolean} */
 	#dataLoaded = false;
+	/** @type {boolean} */
+	#draftRestored = false;
 	/** @type {string[]} */
 	#grantedSchools = [];
 	/** @type {number} */
 	#maxTier = 0;
 	/** @type {number} */
 	#minTier = 0;
+	/** @type {import('../data/SpellsKnownResolver.mjs').SpellsKnownStatus|null} Spells-known cap (null = uncapped). */
+	#spellsKnown = null;
 	/** @type {DataProvider} */
 	#dataProvider = DataProvider.instance;
 	/** @type {SchoolChoiceResolver} */
 	#choiceResolver = new SchoolChoiceResolver();
+	/** @type {SpellsKnownResolver} */
+	#spellsKnownResolver = new SpellsKnownResolver();
+	/** @type {ItemDetailResolver} */
+	#detailResolver = new ItemDetailResolver();
 	/** @type {CompendiumBrowser} */
 	#compendiumBrowser = CompendiumBrowser.instance;
 	/** @type {ItemGranter} */
 	#granter = new ItemGranter();
+	/** @type {GrantApproval} */
+	#approval = new GrantApproval();
+	/** @type {DraftStore} */
+	#drafts = DraftStore.instance;
 
 	static DEFAULT_OPTIONS = {
 		id: `${MODULE_ID}-spell-selector`,
@@ -57,12 +79,13 @@ class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(Appli
 			resizable: true,
 		},
 		position: {
-			width: 550,
+			width: 800,
 			height: 'auto',
 		},
 		actions: {
 			filterSchool: SpellSelector.#onFilterSchool,
 			filterTier: SpellSelector.#onFilterTier,
+			showDetail: SpellSelector.#onShowDetail,
 			toggleSpell: SpellSelector.#onToggleSpell,
 			confirm: SpellSelector.#onConfirm,
 			cancel: SpellSelector.#onCancel,
@@ -118,6 +141,7 @@ class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(Appli
 		if (this.#maxTier < 0 || this.#grantedSchools.length === 0) {
 			this.#allSpells = [];
 			this.#spellsByUuid = new Map();
+			this.#spellsKnown = null;
 			this.#dataLoaded = true;
 			return;
 		}
@@ -134,12 +158,20 @@ class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(Appli
 		});
 		this.#spellsByUuid = new Map(this.#allSpells.map((s) => [s.uuid, s]));
 		this.#ownedSpellKeys = buildOwnedItemKeys(this.#actor, 'spell');
+		this.#spellsKnown = this.#spellsKnownResolver.getStatus(
+			this.#actor,
+			this.#classIdentifier,
+			this.#level,
+			this.#subclassIdentifier,
+			this.#allSpells,
+		);
 		this.#dataLoaded = true;
 	}
 
 	/** @override */
 	async _prepareContext() {
 		this.#loadSpellData();
+		this.#restoreDraft();
 
 		const schools = this.#grantedSchools.map((s) => ({
 			id: s,
@@ -149,8 +181,15 @@ class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(Appli
 		}));
 
 		const availableTiers = this.#buildTierFilters();
-		const filteredSpells = this.#getFilteredSpells().map((s) => this.#enrichSpellForDisplay(s));
+		const atLimit = this.#isAtLimit();
+		const filteredSpells = this.#getFilteredSpells().map((s) => this.#enrichSpellForDisplay(s, atLimit));
 		const selectedCount = this.#selectedUuids.size;
+		const spellsKnown = this.#spellsKnown
+			? game.i18n.format('NIMBLE_SELECTOR.spells.knownCounter', {
+				count: this.#spellsKnown.known + selectedCount,
+				limit: this.#spellsKnown.limit,
+			})
+			: '';
 
 		return {
 			className: capitalize(this.#classIdentifier),
@@ -160,11 +199,58 @@ class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(Appli
 			availableTiers,
 			activeTier: this.#activeTier,
 			filteredSpells,
+			searchQuery: this.#searchQuery,
+			detail: await this.#detailResolver.resolve(this.#detailUuid),
+			showPackSource: this.#compendiumBrowser.hasMultipleSources('spells'),
 			selectedCount,
 			hasSelection: selectedCount > 0,
+			spellsKnown,
+			atLimit,
 		};
 	}
 
+	/**
+	 * Key of this class's draft in the DraftStore.
+	 * @returns {string}
+	 */
+	get #draftKey() {
+		return DraftStore.key('spells', this.#classIdentifier);
+	}
+
+	/**
+	 * Restore the saved draft once, keeping the spells still offered and not
+	 * owned, up to the spells-known cap.
+	 */
+	#restoreDraft() {
+		if (this.#draftRestored) return;
+		this.#draftRestored = true;
+
+		const draft = this.#drafts.get(this.#actor, this.#draftKey);
+		if (!Array.isArray(draft?.selection)) return;
+		for (const uuid of draft.selection) {
+			const spell = this.#spellsByUuid.get(uuid);
+			if (!spell || this.#ownedSpellKeys.has(uuid) || this.#ownedSpellKeys.has(spell._normalizedName)) continue;
+			if (this.#isAtLimit()) break;
+			this.#selectedUuids.add(uuid);
+		}
+	}
+
+	/**
+	 * Save the selection as this class's draft.
+	 */
+	#saveDraft() {
+		this.#drafts.set(this.#actor, this.#draftKey, [...this.#selectedUuids], this.#selectedUuids.size);
+	}
+
+	/**
+	 * Whether the owned and selected spells fill the class's spells-known cap.
+	 * @returns {boolean}
+	 */
+	#isAtLimit() {
+		if (!this.#spellsKnown) return false;
+		return this.#spellsKnown.known + this.#selectedUuids.size >= this.#spellsKnown.limit;
+	}
+
 	/**
 	 * Build tier filter buttons from minTier to maxTier.
 	 * @returns {Array<{tier: number, label: string, active: boolean}>}
@@ -182,7 +268,7 @@ class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(Appli
 	}
 
 	/**
-	 * Apply active school and tier filters to the spell list.
+	 * Apply active school and tier filters and the search query to the spell list.
 	 * @returns {import('../core/CompendiumBrowser.mjs').SpellData[]}
 	 */
 	#getFilteredSpells() {
@@ -198,23 +284,27 @@ class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(Appli
 			spells = spells.filter((s) => s.tier === this.#activeTier);
 		}
 
-		return spells;
+		return searchEntries(spells, this.#searchQuery);
 	}
 
 	/**
 	 * Enrich a spell with display-specific properties (ownership, labels, selection state).
 	 * @param {import('../core/CompendiumBrowser.mjs').SpellData} spell
-	 * @returns {import('../core/CompendiumBrowser.mjs').SpellData & {alreadyOwned: boolean, selected: boolean, schoolIcon: string, schoolLabel: string, tierLabel: string, tierClass: string}}
+	 * @param {boolean} atLimit - Whether the spells-known cap is reached
+	 * @returns {import('../core/CompendiumBrowser.mjs').SpellData & {alreadyOwned: boolean, selected: boolean, locked: boolean, inDetail: boolean, schoolIcon: string, schoolLabel: string, tierLabel: string, tierClass: string}}
 	 */
-	#enrichSpellForDisplay(spell) {
+	#enrichSpellForDisplay(spell, atLimit) {
 		const alreadyOwned =
 			this.#ownedSpellKeys.has(spell._normalizedName) ||
 			(spell.uuid && this.#ownedSpellKeys.has(spell.uuid));
+		const selected = !alreadyOwned && this.#selectedUuids.has(spell.uuid);
 
 		return {
 			...spell,
 			alreadyOwned,
-			selected: !alreadyOwned && this.#selectedUuids.has(spell.uuid),
+			selected,
+			locked: atLimit && !alreadyOwned && !selected,
+			inDetail: spell.uuid === this.#detailUuid,
 			schoolIcon: SCHOOL_ICONS[spell._normalizedSchool] ?? '',
 			schoolLabel: capitalize(spell.school),
 			tierLabel: spell.isUtility
@@ -234,6 +324,29 @@ class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(Appli
 		return `${game.i18n.localize('NIMBLE_SELECTOR.spells.tier')} ${tier}`;
 	}
 
+	/**
+	 * Called by ScrollPositionMixin when the search field changes.
+	 * @param {string} query
+	 */
+	_onSearch(query) {
+		this.#searchQuery = query;
+		this.render();
+	}
+
+	/**
+	 * Called by CompendiumBrowser when a source pack changes.
+	 * Reloads the spell list and drops selections that no longer exist.
+	 */
+	invalidateCompendiumData() {
+		this.#detailResolver.clear();
+		this.#dataLoaded = false;
+		this.#loadSpellData();
+		for (const uuid of this.#selectedUuids) {
+			if (!this.#spellsByUuid.has(uuid)) this.#selectedUuids.delete(uuid);
+		}
+		if (this.rendered) this.render();
+	}
+
 	/* ---------------------------------------- */
 	/*  Action Handlers                         */
 	/* ---------------------------------------- */
@@ -267,6 +380,18 @@ class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(Appli
 		this.render();
 	}
 
+	/**
+	 * Show a card in the detail pane without changing the selection.
+	 * @this {SpellSelector}
+	 * @param {PointerEvent} _event
+	 * @param {HTMLElement} target
+	 */
+	static #onShowDetail(_event, target) {
+		this.#detailUuid = target.dataset.uuid || null;
+		this._saveScrollPosition();
+		this.render();
+	}
+
 	/**
 	 * @this {SpellSelector}
 	 * @param {PointerEvent} _event
@@ -283,9 +408,13 @@ class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(Appli
 
 		if (this.#selectedUuids.has(uuid)) {
 			this.#selectedUuids.delete(uuid);
+		} else if (this.#isAtLimit()) {
+			ui.notifications.warn(game.i18n.format('NIMBLE_SELECTOR.spells.limitReached', { limit: this.#spellsKnown.limit }));
+			return;
 		} else {
 			this.#selectedUuids.add(uuid);
 		}
+		this.#saveDraft();
 		this._saveScrollPosition();
 		this.render();
 	}
@@ -295,14 +424,28 @@ class SpellSelector extends ScrollPositionMixin(HandlebarsApplicationMixin(Appli
 		const uuids = [...this.#selectedUuids].filter(Boolean);
 		if (!uuids.length) return;
 
-		await this.#granter.grantItemsByUuid(this.#actor, uuids);
+		if (this.#approval.isRequired()) {
+			if (!this.#approval.request(this.#actor, 'spells', uuids)) return;
+			this.#selectedUuids.clear();
+			this.#drafts.discard(this.#actor, this.#draftKey);
+			this.close();
+			return;
+		}
+
+		if (!await this.#granter.grantItemsByUuid(this.#actor, uuids)) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.notifications.grantCancelled'));
+			return;
+		}
 		this.#selectedUuids.clear();
-		ui.notifications.info(
-			game.i18n.format('NIMBLE_SELECTOR.notifications.grantedSpells', {
-				count: uuids.length,
-				name: this.#actor.name,
-			}),
-		);
+		this.#drafts.discard(this.#actor, this.#draftKey);
+		if (!ChatSummary.replacesToast) {
+			ui.notifications.info(
+				game.i18n.format('NIMBLE_SELECTOR.notifications.grantedSpells', {
+					count: uuids.length,
+					name: this.#actor.name,
+				}),
+			);
+		}
 		this.close();
 	}
 
@@ -1,9 +1,11 @@
 import { MODULE_ID, hasPendingChoices } from '../utils/constants.mjs';
+import { ChatSummary } from './ChatSummary.mjs';
 
 /**
  * Builds and dispatches auto-grant toast notifications.
  * Shows an info toast when everything is granted, a persistent warning
  * when choices remain. Broadcasts to GM via Foundry socket.
+ * The info toast is skipped when the chat summary replaces it.
  */
 class AutoGrantNotifier {
 	/**
@@ -17,6 +19,7 @@ class AutoGrantNotifier {
 		const totalGranted = granted.features.length + granted.spells.length;
 
 		if (totalGranted === 0 && !hasPending) return;
+		if (!hasPending && ChatSummary.replacesToast) return;
 
 		const message = hasPending
 			? this.#buildWarning(actor, granted, pending)
@@ -68,7 +71,7 @@ class AutoGrantNotifier {
 	 */
 	#buildWarning(actor, granted, pending) {
 		const parts = this.#buildGrantedParts(granted);
-		const pendingCount = pending.selectableGroups.length + pending.schoolChoices.length;
+		const pendingCount = pending.selectableGroups.length + pending.schoolChoices.length + pending.spellChoices.length;
 		return game.i18n.format('NIMBLE_SELECTOR.autoGrant.warning', {
 			name: actor.name,
 			granted: parts.join(', ') || game.i18n.localize('NIMBLE_SELECTOR.autoGrant.noneGranted'),
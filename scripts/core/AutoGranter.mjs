@@ -1,14 +1,15 @@
-import { MODULE_ID, LOG_PREFIX, buildOwnedItemKeys } from '../utils/constants.mjs';
+import { MODULE_ID, LOG_PREFIX, HOOKS, buildOwnedItemKeys } from '../utils/constants.mjs';
 import { ClassFeatureResolver } from '../data/ClassFeatureResolver.mjs';
 import { SchoolChoiceResolver } from '../data/SchoolChoiceResolver.mjs';
 import { DataProvider } from '../data/DataProvider.mjs';
+import { SpellsKnownResolver } from '../data/SpellsKnownResolver.mjs';
 import { CompendiumBrowser } from './CompendiumBrowser.mjs';
 import { ItemGranter } from './ItemGranter.mjs';
 
 /**
  * @typedef {object} AutoGrantResult
  * @property {{ features: string[], spells: string[] }} granted - Names of items granted
- * @property {{ selectableGroups: string[], schoolChoices: import('../data/SchoolChoiceResolver.mjs').PendingChoice[] }} pending
+ * @property {import('../utils/constants.mjs').PendingResult} pending
  */
 
 /**
@@ -22,6 +23,8 @@ class AutoGranter {
 	#schoolChoiceResolver;
 	/** @type {DataProvider} */
 	#dataProvider;
+	/** @type {SpellsKnownResolver} */
+	#spellsKnownResolver;
 	/** @type {CompendiumBrowser} */
 	#compendiumBrowser;
 	/** @type {ItemGranter} */
@@ -31,6 +34,7 @@ class AutoGranter {
 		this.#featureResolver = new ClassFeatureResolver();
 		this.#schoolChoiceResolver = new SchoolChoiceResolver();
 		this.#dataProvider = DataProvider.instance;
+		this.#spellsKnownResolver = new SpellsKnownResolver();
 		this.#compendiumBrowser = CompendiumBrowser.instance;
 		this.#itemGranter = new ItemGranter();
 	}
@@ -49,7 +53,7 @@ class AutoGranter {
 
 	/**
 	 * Grant all deterministic features and spells. Collect non-deterministic
-	 * items for caller to handle via notification.
+	 * items for caller to handle via notification, then fire `levelUpResolved`.
 	 * @param {Actor} actor
 	 * @param {string} classIdentifier
 	 * @param {number} fromLevel - Start of level range (inclusive)
@@ -61,7 +65,7 @@ class AutoGranter {
 		/** @type {AutoGrantResult} */
 		const result = {
 			granted: { features: [], spells: [] },
-			pending: { selectableGroups: [], schoolChoices: [] },
+			pending: { selectableGroups: [], schoolChoices: [], spellChoices: [] },
 		};
 
 		try {
@@ -71,9 +75,31 @@ class AutoGranter {
 			console.error(`${LOG_PREFIX} AutoGranter.execute failed:`, err);
 		}
 
+		AutoGranter.#fireResolved(actor, classIdentifier, subclassIdentifier, fromLevel, toLevel, result);
 		return result;
 	}
 
+	/**
+	 * @param {Actor} actor
+	 * @param {string} classIdentifier
+	 * @param {string|null} subclassIdentifier
+	 * @param {number} fromLevel
+	 * @param {number} toLevel
+	 * @param {AutoGrantResult} result
+	 */
+	static #fireResolved(actor, classIdentifier, subclassIdentifier, fromLevel, toLevel, result) {
+		Hooks.callAll(HOOKS.levelUpResolved, {
+			actor,
+			source: 'auto',
+			classIdentifier,
+			subclassIdentifier,
+			fromLevel,
+			toLevel,
+			granted: result.granted,
+			pending: result.pending,
+		});
+	}
+
 	/**
 	 * Grant progression features and collect selectable groups.
 	 */
@@ -98,14 +124,16 @@ class AutoGranter {
 		result.pending.selectableGroups = [...pendingGroups];
 
 		if (uuidsToGrant.length > 0) {
-			await this.#itemGranter.grantItemsByUuid(actor, uuidsToGrant);
-			result.granted.features.push(...featureNames);
+			if (await this.#itemGranter.grantItemsByUuid(actor, uuidsToGrant, { source: 'auto' })) {
+				result.granted.features.push(...featureNames);
+			}
 		}
 	}
 
 	/**
 	 * Grant spells for an actor after all school choices have been resolved.
-	 * Called from SelectorPanel when a school choice is confirmed and none remain pending.
+	 * Called from SelectorPanel when a school choice is confirmed and none remain pending;
+	 * fires `levelUpResolved` for that level.
 	 * @param {Actor} actor
 	 * @param {string} classIdentifier
 	 * @param {number} level
@@ -115,19 +143,22 @@ class AutoGranter {
 	async grantSpellsAfterChoice(actor, classIdentifier, level, subclassIdentifier) {
 		const result = {
 			granted: { features: [], spells: [] },
-			pending: { selectableGroups: [], schoolChoices: [] },
+			pending: { selectableGroups: [], schoolChoices: [], spellChoices: [] },
 		};
 		try {
 			await this.#grantSpells(actor, classIdentifier, level, subclassIdentifier, result);
 		} catch (err) {
 			console.error(`${LOG_PREFIX} AutoGranter.grantSpellsAfterChoice failed:`, err);
 		}
+
+		AutoGranter.#fireResolved(actor, classIdentifier, subclassIdentifier, level, level, result);
 		return result.granted.spells;
 	}
 
 	/**
 	 * Grant all available spells if schools are fully resolved.
 	 * Skips if school choices are pending or the class has no spellcasting.
+	 * Classes capped by the spells-known table get a pending spell choice instead.
 	 */
 	async #grantSpells(actor, classIdentifier, level, subclassIdentifier, result) {
 		const pendingChoices = this.#schoolChoiceResolver.getPendingChoices(
@@ -140,6 +171,14 @@ class AutoGranter {
 		const maxTier = this.#dataProvider.getMaxSpellTier(classIdentifier, level, subclassIdentifier);
 		if (maxTier < 0) return; // No spellcasting
 
+		const spellsKnown = this.#spellsKnownResolver.getStatus(actor, classIdentifier, level, subclassIdentifier);
+		if (spellsKnown) {
+			if (spellsKnown.remaining > 0) {
+				result.pending.spellChoices.push({ classIdentifier, subclassIdentifier, level, ...spellsKnown });
+			}
+			return;
+		}
+
 		const minTier = this.#dataProvider.getMinSpellTier(classIdentifier, subclassIdentifier);
 		const schools = this.#schoolChoiceResolver.resolveAllSchools(
 			actor, classIdentifier, level, subclassIdentifier,
@@ -156,12 +195,13 @@ class AutoGranter {
 
 		const ownedKeys = buildOwnedItemKeys(actor, 'spell');
 		const newSpells = allSpells.filter(
-			(s) => !s.isSecret && !ownedKeys.has(s.uuid) && !ownedKeys.has(s._normalizedName),
+			(s) => !this.#dataProvider.isSecretSpell(s._normalizedName)
+				&& !ownedKeys.has(s.uuid) && !ownedKeys.has(s._normalizedName),
 		);
 
 		if (newSpells.length === 0) return;
 
-		await this.#itemGranter.grantItemsByUuid(actor, newSpells.map((s) => s.uuid));
+		if (!await this.#itemGranter.grantItemsByUuid(actor, newSpells.map((s) => s.uuid), { source: 'auto' })) return;
 		result.granted.spells = newSpells.map((s) => s.name);
 	}
 }
@@ -0,0 +1,161 @@
+import { MODULE_ID, TEMPLATE_PATH, capitalize, hasPendingChoices, pushToMapArray } from '../utils/constants.mjs';
+import { CurrencyManager } from './CurrencyManager.mjs';
+
+/**
+ * @typedef {'off'|'public'|'gmOwner'} ChatSummaryMode
+ */
+
+/**
+ * @typedef {object} ChatSummarySection
+ * @property {string} label
+ * @property {Array<{link: string, img: string, quantity: number}>} items
+ */
+
+/**
+ * Posts a chat card for each grant and level-up, listing every granted item
+ * as a content link. Fed by the module's own `grant` and `levelUpResolved`
+ * hooks; auto-grants are held back until their level-up resolves so one
+ * level-up makes one card.
+ *
+ * Visibility follows the `chatSummaryMode` world setting.
+ */
+class ChatSummary {
+	/** @type {Map<string, import('../utils/constants.mjs').GrantPayload[]>} Auto-grants waiting for their level-up, by actor ID. */
+	#pendingAuto = new Map();
+	/** @type {CurrencyManager} */
+	#currency = new CurrencyManager();
+
+	/**
+	 * @returns {ChatSummaryMode}
+	 */
+	static get mode() {
+		return game.settings.get(MODULE_ID, 'chatSummaryMode');
+	}
+
+	/**
+	 * Whether chat cards are posted and replace the auto-grant summary toast.
+	 * @returns {boolean}
+	 */
+	static get replacesToast() {
+		return ChatSummary.mode !== 'off' && game.settings.get(MODULE_ID, 'chatSummaryReplacesToast');
+	}
+
+	/**
+	 * `grant` hook handler.
+	 * @param {import('../utils/constants.mjs').GrantPayload} payload
+	 * @returns {Promise<void>}
+	 */
+	async onGrant(payload) {
+		if (ChatSummary.mode === 'off') return;
+		if (payload.source === 'auto') {
+			pushToMapArray(this.#pendingAuto, payload.actor.id, payload);
+			return;
+		}
+
+		await this.#post(payload.actor, {
+			title: game.i18n.localize(`NIMBLE_SELECTOR.history.source.${payload.source}`),
+			grants: [payload],
+			pendingCount: 0,
+		});
+	}
+
+	/**
+	 * `levelUpResolved` hook handler: one card for the auto-grants of the range.
+	 * @param {import('../utils/constants.mjs').LevelUpResolvedPayload} payload
+	 * @returns {Promise<void>}
+	 */
+	async onLevelUpResolved(payload) {
+		const grants = this.#pendingAuto.get(payload.actor.id) ?? [];
+		this.#pendingAuto.delete(payload.actor.id);
+		if (ChatSummary.mode === 'off') return;
+		if (!grants.length && !hasPendingChoices(payload.pending)) return;
+
+		const { pending } = payload;
+		await this.#post(payload.actor, {
+			title: game.i18n.format('NIMBLE_SELECTOR.chatSummary.levelUpTitle', {
+				className: capitalize(payload.classIdentifier),
+				level: payload.toLevel,
+			}),
+			grants,
+			pendingCount: pending.selectableGroups.length + pending.schoolChoices.length + pending.spellChoices.length,
+		});
+	}
+
+	/**
+	 * Render and create the chat message.
+	 * @param {Actor} actor
+	 * @param {{title: string, grants: import('../utils/constants.mjs').GrantPayload[], pendingCount: number}} summary
+	 * @returns {Promise<void>}
+	 */
+	async #post(actor, { title, grants, pendingCount }) {
+		const items = grants.flatMap((g) => g.items);
+		// Net of any change received, in the fewest coins
+		let paidCp = 0;
+		for (const { currency } of grants) paidCp += this.#currency.toCp(currency);
+
+		const content = await foundry.applications.handlebars.renderTemplate(`${TEMPLATE_PATH}/chat-summary.hbs`, {
+			title,
+			sections: ChatSummary.#buildSections(items),
+			paid: paidCp > 0 ? this.#currency.formatCoins(this.#currency.fromCp(paidCp)) : '',
+			pending: pendingCount ? game.i18n.format('NIMBLE_SELECTOR.chatSummary.pending', { count: pendingCount }) : '',
+		});
+
+		const messageData = {
+			content,
+			speaker: ChatMessage.getSpeaker({ actor }),
+		};
+		if (ChatSummary.mode === 'gmOwner') {
+			messageData.whisper = game.users
+				.filter((user) => user.isGM || actor.testUserPermission(user, 'OWNER'))
+				.map((user) => user.id);
+		}
+		await ChatMessage.create(messageData);
+	}
+
+	/**
+	 * Group granted items: features, then spells by school and tier, then equipment.
+	 * @param {Array<{data: object, quantity: number}>} items
+	 * @returns {ChatSummarySection[]}
+	 */
+	static #buildSections(items) {
+		/** @type {Map<string, ChatSummarySection['items']>} */
+		const spellGroups = new Map();
+		const features = [];
+		const equipment = [];
+
+		for (const { data, quantity } of items) {
+			const uuid = data._stats?.compendiumSource;
+			const line = {
+				link: uuid ? `@UUID[${uuid}]{${data.name}}` : data.name,
+				img: data.img,
+				quantity: quantity > 1 ? quantity : 0,
+			};
+
+			if (data.type === 'spell') {
+				const tier = data.system?.tier ?? 0;
+				const tierLabel = tier > 0
+					? `${game.i18n.localize('NIMBLE_SELECTOR.spells.tier')} ${tier}`
+					: game.i18n.localize('NIMBLE_SELECTOR.spells.cantrip');
+				pushToMapArray(spellGroups, `${capitalize(data.system?.school ?? '')} — ${tierLabel}`, line);
+			} else if (data.type === 'object') {
+				equipment.push(line);
+			} else {
+				features.push(line);
+			}
+		}
+
+		const sections = [];
+		if (features.length) {
+			sections.push({ label: game.i18n.localize('NIMBLE_SELECTOR.panel.features'), items: features });
+		}
+		for (const [label, spells] of [...spellGroups].sort(([a], [b]) => a.localeCompare(b))) {
+			sections.push({ label, items: spells });
+		}
+		if (equipment.length) {
+			sections.push({ label: game.i18n.localize('NIMBLE_SELECTOR.panel.equipment'), items: equipment });
+		}
+		return sections;
+	}
+}
+
+export { ChatSummary };
@@ -1,5 +1,6 @@
-import { MODULE_ID, PACK_NAMES, LOG_PREFIX, normalizeString, pushToMapArray } from '../utils/constants.mjs';
+import { MODULE_ID, PACK_NAMES, DEFAULT_COMPENDIUM_SOURCES, DEFAULT_SUBCLASS_LEVEL, LOG_PREFIX, normalizeString, pushToMapArray } from '../utils/constants.mjs';
 import { DataProvider } from '../data/DataProvider.mjs';
+import { PackPriorityIndex } from './PackPriorityIndex.mjs';
 
 /**
  * @typedef {object} FeatureData
@@ -13,6 +14,8 @@ import { DataProvider } from '../data/DataProvider.mjs';
  * @property {string} description
  * @property {number[]} gainedAtLevels
  * @property {boolean} subclass
+ * @property {string} packId - Collection ID of the pack the entry came from
+ * @property {string} packLabel - Display label of that pack
  */
 
 /**
@@ -25,8 +28,9 @@ import { DataProvider } from '../data/DataProvider.mjs';
  * @property {string} _normalizedSchool
  * @property {number} tier
  * @property {boolean} isUtility
- * @property {boolean} isSecret
  * @property {string} description
+ * @property {string} packId
+ * @property {string} packLabel
  */
 
 /**
@@ -35,6 +39,7 @@ import { DataProvider } from '../data/DataProvider.mjs';
  * @property {string} name
  * @property {string} img
  * @property {string} objectType
+ * @property {string} objectSizeType - e.g. "stackable"; empty when unset
  * @property {string} _normalizedType
  * @property {object} properties
  * @property {string} description
@@ -43,23 +48,60 @@ import { DataProvider } from '../data/DataProvider.mjs';
  * @property {string|null} armorType
  * @property {number} priceValue
  * @property {string} priceDenomination
+ * @property {string} packId
+ * @property {string} packLabel
  */
 
 /**
- * Indexes and queries the Nimble system's compendium packs.
+ * @typedef {'features'|'spells'|'items'} SourceType
+ */
+
+/**
+ * @typedef {object} ClassEntryData
+ * @property {string} uuid
+ * @property {string} name
+ * @property {string} img
+ * @property {string} identifier - `system.identifier`, or the slugified name like the Nimble system
+ * @property {string|null} parentClass - Identifier of the parent class (subclasses only)
+ * @property {string} description
+ */
+
+/**
+ * Indexes and queries the compendium packs listed in the `compendiumSources`
+ * world setting (the Nimble system packs by default).
  * Provides search methods for features, spells, and equipment items.
+ *
+ * Packs are indexed in priority order. When two packs hold an entry with the
+ * same name (and, for features, the same class), the higher-priority pack wins.
  */
 class CompendiumBrowser {
 	static #instance = null;
 
-	/** @type {Map<string, FeatureData[]>} Name-based feature index. */
+	/** @type {Record<SourceType, string[]>} Index fields requested per content type. */
+	static #INDEX_FIELDS = {
+		features: ['system.class', 'system.featureType', 'system.group', 'system.description', 'system.gainedAtLevel', 'system.gainedAtLevels', 'system.subclass'],
+		spells: ['system.school', 'system.tier', 'system.properties.selected', 'system.description'],
+		items: ['system.objectType', 'system.objectSizeType', 'system.properties', 'system.description', 'system.activation', 'system.price'],
+	};
+
+	/** @type {PackPriorityIndex<FeatureData>} Features deduplicated by name and class. */
+	#features = new PackPriorityIndex((f) => `${normalizeString(f.name)}|${f._normalizedClass}`);
+	/** @type {PackPriorityIndex<SpellData>} Spells deduplicated by name. */
+	#spells = new PackPriorityIndex((s) => s._normalizedName);
+	/** @type {PackPriorityIndex<ItemData>} Items deduplicated by name. */
+	#items = new PackPriorityIndex((i) => normalizeString(i.name));
+	/** @type {Map<string, FeatureData[]>} Name-based feature index (visible features only). */
 	#featureIndex = new Map();
-	/** @type {Map<string, FeatureData[]>} Class-based feature index. */
+	/** @type {Map<string, FeatureData[]>} Class-based feature index (visible features only). */
 	#featureByClassIndex = new Map();
-	/** @type {Map<string, SpellData>} UUID-keyed spell index. */
-	#spellIndex = new Map();
-	/** @type {Map<string, ItemData>} UUID-keyed item index. */
-	#itemIndex = new Map();
+	/** @type {boolean} Whether the two feature lookups must be rebuilt from #features. */
+	#featureLookupsStale = true;
+	/** @type {number} Incremented whenever any index changes. */
+	#revision = 0;
+	/** @type {boolean} */
+	#hooksRegistered = false;
+	/** @type {Function} Debounced re-render of the open selectors. */
+	#scheduleRefresh;
 	/** @type {boolean} */
 	#initialized = false;
 	/** @type {Promise<void>|null} */
@@ -69,6 +111,7 @@ class CompendiumBrowser {
 		if (CompendiumBrowser.#instance) {
 			throw new Error('CompendiumBrowser is a singleton. Use CompendiumBrowser.instance instead.');
 		}
+		this.#scheduleRefresh = foundry.utils.debounce(() => CompendiumBrowser.#refreshOpenApps(), 200);
 	}
 
 	/** @returns {CompendiumBrowser} */
@@ -84,6 +127,15 @@ class CompendiumBrowser {
 		return this.#initialized;
 	}
 
+	/**
+	 * Counter bumped on every index change, so dependent caches
+	 * (e.g. EquipmentProficiencyResolver) can tell when to rebuild.
+	 * @returns {number}
+	 */
+	get revision() {
+		return this.#revision;
+	}
+
 	/**
 	 * Initialize all compendium indexes in parallel.
 	 * Safe to call multiple times — subsequent calls are no-ops.
@@ -96,6 +148,30 @@ class CompendiumBrowser {
 		return this.#initPromise;
 	}
 
+	/**
+	 * Drop every index and rebuild it (e.g. after the compendium sources change).
+	 * Open selectors are refreshed once the new indexes are ready.
+	 * @returns {Promise<void>}
+	 */
+	async reindex() {
+		if (this.#initPromise && !this.#initialized) await this.#initPromise.catch(() => {});
+		this.#initialized = false;
+		this.#initPromise = null;
+		await this.initialize();
+		this.#markChanged();
+	}
+
+	/**
+	 * Whether more than one pack is indexed for a content type.
+	 * The UI only labels entries with their pack when this is true.
+	 * @param {SourceType} type
+	 * @returns {boolean}
+	 */
+	hasMultipleSources(type) {
+		const index = { features: this.#features, spells: this.#spells, items: this.#items }[type];
+		return (index?.packCount ?? 0) > 1;
+	}
+
 	/**
 	 * Internal initialization — called only once.
 	 * Resets the cached promise on failure so future calls can retry.
@@ -108,6 +184,8 @@ class CompendiumBrowser {
 				this.#indexSpells(),
 				this.#indexItems(),
 			]);
+			this.#featureLookupsStale = true;
+			this.#registerHooks();
 			this.#initialized = true;
 		} catch (err) {
 			this.#initPromise = null;
@@ -120,43 +198,86 @@ class CompendiumBrowser {
 	/* ---------------------------------------- */
 
 	/**
-	 * Index all class features from the compendium pack.
-	 * Builds both a name-based and class-based index for fast lookups.
-	 * @returns {Promise<void>}
+	 * Resolve the configured packs for a content type, highest priority first,
+	 * and fetch their indexes in parallel.
+	 * @param {SourceType} type
+	 * @param {PackPriorityIndex} target - Index reset to the new pack order
+	 * @returns {Promise<Array<{pack: CompendiumCollection, index: Collection}>>}
 	 */
-	async #indexFeatures() {
-		const pack = game.packs.get(PACK_NAMES.classFeatures);
-		if (!pack) {
-			console.warn(`${LOG_PREFIX} Pack ${PACK_NAMES.classFeatures} not found`);
-			return;
+	async #loadSourceIndexes(type, target) {
+		const sources = CompendiumBrowser.#getConfiguredSources()[type] ?? [];
+		const packs = [];
+		for (const packId of sources) {
+			const pack = game.packs.get(packId);
+			if (!pack) {
+				console.warn(`${LOG_PREFIX} Pack ${packId} not found`);
+				continue;
+			}
+			if (pack.documentName !== 'Item') {
+				console.warn(`${LOG_PREFIX} Pack ${packId} does not hold Items, skipped`);
+				continue;
+			}
+			packs.push(pack);
 		}
+		target.reset(packs.map((p) => p.collection));
 
-		const index = await pack.getIndex({
-			fields: ['system.class', 'system.featureType', 'system.group', 'system.description', 'system.gainedAtLevel', 'system.gainedAtLevels', 'system.subclass'],
-		});
-
-		const folderClassMap = this.#buildFolderClassMap(pack);
+		const fields = CompendiumBrowser.#INDEX_FIELDS[type];
+		return Promise.all(packs.map(async (pack) => ({ pack, index: await pack.getIndex({ fields }) })));
+	}
 
-		for (const entry of index) {
-			try {
-				const featureData = this.#buildFeatureData(entry, folderClassMap);
-				const nameKey = normalizeString(entry.name);
+	/**
+	 * Read the `compendiumSources` setting, falling back to the Nimble packs.
+	 * @returns {{features: string[], spells: string[], items: string[]}}
+	 */
+	static #getConfiguredSources() {
+		try {
+			return { ...DEFAULT_COMPENDIUM_SOURCES, ...game.settings.get(MODULE_ID, 'compendiumSources') };
+		} catch {
+			return DEFAULT_COMPENDIUM_SOURCES;
+		}
+	}
 
-				pushToMapArray(this.#featureIndex, nameKey, featureData);
-				pushToMapArray(this.#featureByClassIndex, featureData._normalizedClass, featureData);
-			} catch (err) {
-				console.warn(`${LOG_PREFIX} Skipped malformed feature entry "${entry?.name ?? entry?._id}":`, err);
+	/**
+	 * Index all class features from the configured packs.
+	 * @returns {Promise<void>}
+	 */
+	async #indexFeatures() {
+		const sources = await this.#loadSourceIndexes('features', this.#features);
+
+		for (const { pack, index } of sources) {
+			const folderClassMap = this.#buildFolderClassMap(pack);
+			for (const entry of index) {
+				try {
+					this.#features.set(this.#buildFeatureData(entry, folderClassMap, pack));
+				} catch (err) {
+					console.warn(`${LOG_PREFIX} Skipped malformed feature entry "${entry?.name ?? entry?._id}":`, err);
+				}
 			}
 		}
 	}
 
+	/**
+	 * Rebuild the name- and class-based feature lookups from the visible features.
+	 */
+	#ensureFeatureLookups() {
+		if (!this.#featureLookupsStale) return;
+		this.#featureIndex.clear();
+		this.#featureByClassIndex.clear();
+		for (const feature of this.#features.values()) {
+			pushToMapArray(this.#featureIndex, normalizeString(feature.name), feature);
+			pushToMapArray(this.#featureByClassIndex, feature._normalizedClass, feature);
+		}
+		this.#featureLookupsStale = false;
+	}
+
 	/**
 	 * Build a FeatureData object from a compendium index entry.
 	 * @param {object} entry - Raw compendium index entry
 	 * @param {Map<string, string>} folderClassMap - Folder-to-class mapping
+	 * @param {CompendiumCollection} pack - Pack the entry belongs to
 	 * @returns {FeatureData}
 	 */
-	#buildFeatureData(entry, folderClassMap) {
+	#buildFeatureData(entry, folderClassMap, pack) {
 		let cls = entry.system?.class ?? '';
 		if (!cls && entry.folder) {
 			cls = folderClassMap.get(entry.folder) ?? '';
@@ -179,6 +300,8 @@ class CompendiumBrowser {
 			description: CompendiumBrowser.#extractDescription(entry.system?.description),
 			gainedAtLevels: levels,
 			subclass: entry.system?.subclass ?? false,
+			packId: pack.collection,
+			packLabel: pack.metadata.label,
 		};
 	}
 
@@ -217,80 +340,173 @@ class CompendiumBrowser {
 	}
 
 	/**
-	 * Index all spells from the compendium pack.
+	 * Index all spells from the configured packs.
 	 * @returns {Promise<void>}
 	 */
 	async #indexSpells() {
-		const pack = game.packs.get(PACK_NAMES.spells);
-		if (!pack) {
-			console.warn(`${LOG_PREFIX} Pack ${PACK_NAMES.spells} not found`);
-			return;
+		const sources = await this.#loadSourceIndexes('spells', this.#spells);
+
+		for (const { pack, index } of sources) {
+			for (const entry of index) {
+				try {
+					this.#spells.set(CompendiumBrowser.#buildSpellData(entry, pack));
+				} catch (err) {
+					console.warn(`${LOG_PREFIX} Skipped malformed spell entry "${entry?.name ?? entry?._id}":`, err);
+				}
+			}
 		}
+	}
 
-		const index = await pack.getIndex({
-			fields: ['system.school', 'system.tier', 'system.properties.selected', 'system.description'],
-		});
+	/**
+	 * Build a SpellData object from a compendium index entry.
+	 * @param {object} entry - Raw compendium index entry
+	 * @param {CompendiumCollection} pack - Pack the entry belongs to
+	 * @returns {SpellData}
+	 */
+	static #buildSpellData(entry, pack) {
+		const normalizedName = normalizeString(entry.name);
+		const school = entry.system?.school ?? '';
+		return {
+			uuid: entry.uuid,
+			name: entry.name,
+			_normalizedName: normalizedName,
+			img: entry.img,
+			school,
+			_normalizedSchool: normalizeString(school),
+			tier: entry.system?.tier ?? 0,
+			isUtility: CompendiumBrowser.#hasProperty(entry.system?.properties?.selected, 'utilitySpell'),
+			description: CompendiumBrowser.#extractDescription(entry.system?.description),
+			packId: pack.collection,
+			packLabel: pack.metadata.label,
+		};
+	}
 
-		const dataProvider = DataProvider.instance;
-		for (const entry of index) {
+	/**
+	 * Index all equipment items from the configured packs.
+	 * @returns {Promise<void>}
+	 */
+	async #indexItems() {
+		const sources = await this.#loadSourceIndexes('items', this.#items);
+
+		for (const { pack, index } of sources) {
+			for (const entry of index) {
+				try {
+					this.#items.set(CompendiumBrowser.#buildItemData(entry, pack));
+				} catch (err) {
+					console.warn(`${LOG_PREFIX} Skipped malformed item entry "${entry?.name ?? entry?._id}":`, err);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Build an ItemData object from a compendium index entry.
+	 * @param {object} entry - Raw compendium index entry
+	 * @param {CompendiumCollection} pack - Pack the entry belongs to
+	 * @returns {ItemData}
+	 */
+	static #buildItemData(entry, pack) {
+		const objectType = entry.system?.objectType ?? '';
+		const props = entry.system?.properties?.selected ?? [];
+		const price = entry.system?.price ?? {};
+
+		return {
+			uuid: entry.uuid,
+			name: entry.name,
+			img: entry.img,
+			objectType,
+			_normalizedType: normalizeString(objectType),
+			objectSizeType: entry.system?.objectSizeType ?? '',
+			properties: entry.system?.properties ?? {},
+			description: CompendiumBrowser.#extractDescription(entry.system?.description),
+			weaponAttr: CompendiumBrowser.#extractWeaponAttr(entry.system?.activation),
+			isRanged: Array.isArray(props) && props.includes('range'),
+			armorType: CompendiumBrowser.#extractArmorType(entry.system?.description?.public ?? ''),
+			priceValue: price.value ?? 0,
+			priceDenomination: price.denomination ?? 'gp',
+			packId: pack.collection,
+			packLabel: pack.metadata.label,
+		};
+	}
+
+	/* ---------------------------------------- */
+	/*  Live Updates                            */
+	/* ---------------------------------------- */
+
+	/**
+	 * Listen for Item changes inside compendium packs. Registered once,
+	 * after the first successful initialization.
+	 */
+	#registerHooks() {
+		if (this.#hooksRegistered) return;
+		this.#hooksRegistered = true;
+
+		Hooks.on('createItem', (doc) => this.#onCompendiumItemChange(doc, false));
+		Hooks.on('updateItem', (doc) => this.#onCompendiumItemChange(doc, false));
+		Hooks.on('deleteItem', (doc) => this.#onCompendiumItemChange(doc, true));
+	}
+
+	/**
+	 * Update the index entries of a created, updated or deleted compendium item.
+	 * A pack can be a source for several content types; each affected index is updated.
+	 * @param {Item} doc
+	 * @param {boolean} deleted
+	 */
+	#onCompendiumItemChange(doc, deleted) {
+		if (!this.#initialized || !doc.pack) return;
+		const pack = game.packs.get(doc.pack);
+		if (!pack) return;
+
+		const entry = deleted ? null : { ...doc.toObject(), uuid: doc.uuid };
+		const targets = [
+			[this.#features, () => this.#buildFeatureData(entry, this.#buildFolderClassMap(pack), pack)],
+			[this.#spells, () => CompendiumBrowser.#buildSpellData(entry, pack)],
+			[this.#items, () => CompendiumBrowser.#buildItemData(entry, pack)],
+		];
+
+		let changed = false;
+		for (const [index, build] of targets) {
+			if (!index.hasPack(doc.pack)) continue;
 			try {
-				const normalizedName = normalizeString(entry.name);
-				const school = entry.system?.school ?? '';
-				this.#spellIndex.set(entry.uuid, {
-					uuid: entry.uuid,
-					name: entry.name,
-					_normalizedName: normalizedName,
-					img: entry.img,
-					school,
-					_normalizedSchool: normalizeString(school),
-					tier: entry.system?.tier ?? 0,
-					isUtility: CompendiumBrowser.#hasProperty(entry.system?.properties?.selected, 'utilitySpell'),
-					isSecret: dataProvider.isSecretSpell(normalizedName),
-					description: CompendiumBrowser.#extractDescription(entry.system?.description),
-				});
+				if (deleted) index.delete(doc.uuid);
+				else index.set(build());
+				changed = true;
 			} catch (err) {
-				console.warn(`${LOG_PREFIX} Skipped malformed spell entry "${entry?.name ?? entry?._id}":`, err);
+				console.warn(`${LOG_PREFIX} Failed to update index entry "${doc.name}":`, err);
 			}
 		}
+
+		if (changed) this.#markChanged();
 	}
 
 	/**
-	 * Index all equipment items from the compendium pack.
-	 * @returns {Promise<void>}
+	 * Refresh lookups and open selectors after the module data reloaded,
+	 * e.g. when the GM edits the data overrides.
 	 */
-	async #indexItems() {
-		const pack = game.packs.get(PACK_NAMES.items);
-		if (!pack) {
-			console.warn(`${LOG_PREFIX} Pack ${PACK_NAMES.items} not found`);
-			return;
-		}
+	invalidate() {
+		this.#markChanged();
+	}
 
-		const index = await pack.getIndex({
-			fields: ['system.objectType', 'system.properties', 'system.description', 'system.activation', 'system.price'],
-		});
+	/**
+	 * Flag derived lookups as stale, bump the revision and refresh open selectors.
+	 */
+	#markChanged() {
+		this.#featureLookupsStale = true;
+		this.#revision++;
+		this.#scheduleRefresh();
+	}
 
-		for (const entry of index) {
+	/**
+	 * Ask every open application that depends on compendium data to refresh.
+	 * Applications opt in by implementing `invalidateCompendiumData()`.
+	 */
+	static #refreshOpenApps() {
+		for (const app of foundry.applications.instances.values()) {
+			if (typeof app.invalidateCompendiumData !== 'function') continue;
 			try {
-				const objectType = entry.system?.objectType ?? '';
-				const props = entry.system?.properties?.selected ?? [];
-				const price = entry.system?.price ?? {};
-
-				this.#itemIndex.set(entry.uuid, {
-					uuid: entry.uuid,
-					name: entry.name,
-					img: entry.img,
-					objectType,
-					_normalizedType: normalizeString(objectType),
-					properties: entry.system?.properties ?? {},
-					description: CompendiumBrowser.#extractDescription(entry.system?.description),
-					weaponAttr: CompendiumBrowser.#extractWeaponAttr(entry.system?.activation),
-					isRanged: Array.isArray(props) && props.includes('range'),
-					armorType: CompendiumBrowser.#extractArmorType(entry.system?.description?.public ?? ''),
-					priceValue: price.value ?? 0,
-					priceDenomination: price.denomination ?? 'gp',
-				});
+				app.invalidateCompendiumData();
 			} catch (err) {
-				console.warn(`${LOG_PREFIX} Skipped malformed item entry "${entry?.name ?? entry?._id}":`, err);
+				console.error(`${LOG_PREFIX} Failed to refresh ${app.constructor.name}:`, err);
 			}
 		}
 	}
@@ -303,7 +519,7 @@ class CompendiumBrowser {
 	 * Find compendium features matching the given names and class.
 	 * @param {string[]} featureNames - Feature names to search for
 	 * @param {string} classIdentifier - Class identifier to filter by
-	 * @returns {Array<{uuid: string|null, name: string, img: string, matched: boolean, description: string}>}
+	 * @returns {Array<{uuid: string|null, name: string, img: string, matched: boolean, description: string, packLabel: string}>}
 	 */
 	findFeaturesByName(featureNames, classIdentifier) {
 		const normalizedClass = normalizeString(classIdentifier);
@@ -316,6 +532,7 @@ class CompendiumBrowser {
 				img: match?.img ?? 'icons/svg/mystery-man.svg',
 				matched: !!match,
 				description: match?.description ?? '',
+				packLabel: match?.packLabel ?? '',
 			};
 		});
 	}
@@ -329,6 +546,7 @@ class CompendiumBrowser {
 	 */
 	#findBestFeatureMatch(name, normalizedClass) {
 		const key = normalizeString(name);
+		this.#ensureFeatureLookups();
 		let candidates = this.#featureIndex.get(key) ?? [];
 
 		// If no match and name has a numeric suffix like (2), (3), try the base name
@@ -351,10 +569,11 @@ class CompendiumBrowser {
 	 * @param {number} fromLevel - Start of level range (inclusive)
 	 * @param {number} toLevel - End of level range (inclusive)
 	 * @param {string|null} [subclassIdentifier=null] - e.g. "path-of-the-mountainheart"
-	 * @returns {{ progression: Array<{uuid: string, name: string, img: string, description: string, level: number, group: string}>, selectableGroups: Map<string, FeatureData[]> }}
+	 * @returns {{ progression: Array<{uuid: string, name: string, img: string, description: string, level: number, group: string, packLabel: string}>, selectableGroups: Map<string, FeatureData[]> }}
 	 */
 	getClassFeatures(classIdentifier, fromLevel, toLevel, subclassIdentifier = null) {
 		const normalizedClass = normalizeString(classIdentifier);
+		this.#ensureFeatureLookups();
 		const features = this.#featureByClassIndex.get(normalizedClass) ?? [];
 
 		const progression = [];
@@ -385,6 +604,7 @@ class CompendiumBrowser {
 					description: f.description,
 					level,
 					group: f.group,
+					packLabel: f.packLabel,
 				});
 			}
 		}
@@ -437,8 +657,8 @@ class CompendiumBrowser {
 			schools.filter((s) => s !== 'utility').map(normalizeString),
 		);
 
-		for (const spell of this.#spellIndex.values()) {
-			if (hideSecret && spell.isSecret) continue;
+		for (const spell of this.#spells.values()) {
+			if (hideSecret && dataProvider.isSecretSpell(spell._normalizedName)) continue;
 			if (spell.isUtility && !includeUtility) continue;
 			if (classIdentifier && dataProvider.isExcludedByClass(spell._normalizedName, classIdentifier)) continue;
 			if (normalizedSchools.has(spell._normalizedSchool) && spell.tier >= minTier && spell.tier <= maxTier) {
@@ -457,7 +677,7 @@ class CompendiumBrowser {
 		const normalizedTypes = new Set(objectTypes.map(normalizeString));
 		const results = [];
 
-		for (const item of this.#itemIndex.values()) {
+		for (const item of this.#items.values()) {
 			if (normalizedTypes.has(item._normalizedType)) {
 				results.push(item);
 			}
@@ -467,6 +687,64 @@ class CompendiumBrowser {
 		return results;
 	}
 
+	/**
+	 * Find an indexed item by name (case-insensitive).
+	 * @param {string} name
+	 * @returns {ItemData|null} The entry from the highest-priority pack holding it
+	 */
+	findItemByName(name) {
+		return this.#items.getByKey(normalizeString(name))[0] ?? null;
+	}
+
+	/**
+	 * List the items of the Nimble classes or subclasses pack.
+	 * These packs are not configurable sources; they are read on demand.
+	 * @param {'classes'|'subclasses'} type
+	 * @returns {Promise<ClassEntryData[]>} Sorted by name
+	 */
+	async getClassEntries(type) {
+		const pack = game.packs.get(PACK_NAMES[type]);
+		if (!pack) {
+			console.warn(`${LOG_PREFIX} Pack ${PACK_NAMES[type]} not found`);
+			return [];
+		}
+
+		const index = await pack.getIndex({ fields: ['system.identifier', 'system.parentClass', 'system.description'] });
+		return [...index]
+			.map((entry) => ({
+				uuid: entry.uuid,
+				name: entry.name,
+				img: entry.img,
+				identifier: entry.system?.identifier || entry.name.slugify({ strict: true }),
+				parentClass: entry.system?.parentClass || null,
+				description: CompendiumBrowser.#extractDescription(entry.system?.description),
+			}))
+			.sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * Lowest class level at which the class gains a subclass feature,
+	 * i.e. the level its subclass is chosen.
+	 * @param {string} classIdentifier
+	 * @returns {number} DEFAULT_SUBCLASS_LEVEL if no subclass feature is indexed for the class
+	 */
+	getSubclassLevel(classIdentifier) {
+		this.#ensureFeatureLookups();
+		const features = this.#featureByClassIndex.get(normalizeString(classIdentifier)) ?? [];
+		const levels = features.filter((f) => f.subclass).flatMap((f) => f.gainedAtLevels);
+		return levels.length ? Math.min(...levels) : DEFAULT_SUBCLASS_LEVEL;
+	}
+
+	/**
+	 * Look up an indexed feature, spell or item by UUID.
+	 * Entries shadowed by a higher-priority pack are not returned.
+	 * @param {string} uuid
+	 * @returns {FeatureData|SpellData|ItemData|null}
+	 */
+	getEntry(uuid) {
+		return this.#features.get(uuid) ?? this.#spells.get(uuid) ?? this.#items.get(uuid) ?? null;
+	}
+
 	/**
 	 * Get the full document from a UUID.
 	 * @param {string} uuid
@@ -0,0 +1,331 @@
+import { MODULE_ID, LOG_PREFIX } from '../utils/constants.mjs';
+import { DataProvider } from '../data/DataProvider.mjs';
+
+/**
+ * @typedef {Record<string, number>} CoinAmounts - Amount per denomination key
+ */
+
+/**
+ * @typedef {object} CoinLine
+ * @property {string} key
+ * @property {string} label
+ * @property {string} icon
+ * @property {number} amount
+ */
+
+/**
+ * @typedef {object} PaymentPlan
+ * @property {CoinAmounts} spent - Coins taken from the purse
+ * @property {CoinAmounts} change - Coins given back
+ */
+
+/**
+ * Reads, prices and deducts an actor's coins.
+ * Shared by the equipment selector, the GM approval dialog and the item
+ * seller so purchases and sales are valued the same way.
+ *
+ * Denominations come from DataProvider's currency definition. Amounts named
+ * `...Cp` are in its smallest unit, the denomination worth 1 (copper pieces
+ * by default). Denominations the system tracks are read from
+ * `system.currency`; any other is kept in a module flag on the actor.
+ */
+class CurrencyManager {
+	/**
+	 * The currency denominations, largest first.
+	 * @returns {import('../data/DataProvider.mjs').Denomination[]}
+	 */
+	get denominations() {
+		return DataProvider.instance.getDenominations();
+	}
+
+	/**
+	 * Read the actor's current currency.
+	 * @param {Actor} actor
+	 * @returns {CoinAmounts}
+	 */
+	getWealth(actor) {
+		return Object.fromEntries(this.denominations.map(({ key }) => [
+			key,
+			(actor && foundry.utils.getProperty(actor, CurrencyManager.#path(actor, key))) ?? 0,
+		]));
+	}
+
+	/**
+	 * Convert the actor's total wealth to the smallest unit.
+	 * @param {Actor} actor
+	 * @returns {number}
+	 */
+	getWealthInCp(actor) {
+		return this.toCp(this.getWealth(actor));
+	}
+
+	/**
+	 * Convert coin amounts to the smallest unit.
+	 * @param {Partial<CoinAmounts>} coins
+	 * @returns {number}
+	 */
+	toCp(coins) {
+		let total = 0;
+		for (const [denom, amount] of Object.entries(coins ?? {})) total += amount * this.#resolve(denom).value;
+		return total;
+	}
+
+	/**
+	 * Convert an item's unit price to the smallest unit.
+	 * @param {import('./CompendiumBrowser.mjs').ItemData} item
+	 * @returns {number}
+	 */
+	getItemPriceInCp(item) {
+		return (item.priceValue ?? 0) * this.#resolve(item.priceDenomination).value;
+	}
+
+	/**
+	 * Format an item's price for display (e.g. "10 GP").
+	 * @param {import('./CompendiumBrowser.mjs').ItemData} item
+	 * @returns {string} Empty for free items
+	 */
+	formatPrice(item) {
+		const value = item.priceValue ?? 0;
+		if (value === 0) return '';
+		return `${value} ${this.#resolve(item.priceDenomination).label}`;
+	}
+
+	/**
+	 * Break an amount in the smallest unit into the fewest coins, largest first.
+	 * @param {number} totalCp
+	 * @returns {CoinAmounts}
+	 */
+	fromCp(totalCp) {
+		const coins = {};
+		let remaining = totalCp;
+		for (const { key, value } of this.denominations) {
+			coins[key] = Math.floor(remaining / value);
+			remaining -= coins[key] * value;
+		}
+		return coins;
+	}
+
+	/**
+	 * Format coin amounts for display (e.g. "2 GP 5 SP"), skipping empty denominations.
+	 * @param {Partial<CoinAmounts>} coins
+	 * @returns {string} Empty when there are no coins
+	 */
+	formatCoins(coins) {
+		return this.listCoins(coins)
+			.map(({ amount, label }) => `${amount} ${label}`)
+			.join(' ');
+	}
+
+	/**
+	 * List coin amounts with their label and icon for templates, largest first.
+	 * @param {Partial<CoinAmounts>} coins
+	 * @param {boolean} [includeEmpty=false] - Also list denominations with no coins
+	 * @returns {CoinLine[]}
+	 */
+	listCoins(coins, includeEmpty = false) {
+		return this.denominations
+			.map(({ key, label, icon }) => ({ key, label, icon, amount: coins?.[key] ?? 0 }))
+			.filter((line) => includeEmpty || line.amount > 0);
+	}
+
+	/**
+	 * Compute the total cost of a set of items, both as a per-denomination
+	 * breakdown and as a single total in the smallest unit.
+	 * @param {Iterable<[import('./CompendiumBrowser.mjs').ItemData|undefined, number]>} lines - Item and quantity pairs
+	 * @returns {{ byDenom: CoinAmounts, totalCp: number }}
+	 */
+	getCost(lines) {
+		const byDenom = Object.fromEntries(this.denominations.map(({ key }) => [key, 0]));
+		let totalCp = 0;
+		for (const [item, qty] of lines) {
+			if (!item) continue;
+			const { key, value } = this.#resolve(item.priceDenomination);
+			const lineTotal = (item.priceValue ?? 0) * qty;
+			byDenom[key] += lineTotal;
+			totalCp += lineTotal * value;
+		}
+		return { byDenom, totalCp };
+	}
+
+	/**
+	 * Build the actor update that sets denominations to new amounts.
+	 * @param {Actor} actor
+	 * @param {Partial<CoinAmounts>} amounts - New amount per denomination
+	 * @returns {Record<string, number>}
+	 */
+	getUpdateData(actor, amounts) {
+		return Object.fromEntries(Object.entries(amounts)
+			.map(([denom, amount]) => [CurrencyManager.#path(actor, denom), amount]));
+	}
+
+	/**
+	 * Find a denomination by key. Prices in a denomination the definition
+	 * does not know are counted in the largest one.
+	 * @param {string|undefined} key
+	 * @returns {import('../data/DataProvider.mjs').Denomination}
+	 */
+	#resolve(key) {
+		const denominations = this.denominations;
+		return denominations.find((d) => d.key === key) ?? denominations[0];
+	}
+
+	/**
+	 * Data path of a denomination on the actor: the system's own currency
+	 * field when it has one, a module flag otherwise.
+	 * @param {Actor} actor
+	 * @param {string} key
+	 * @returns {string}
+	 */
+	static #path(actor, key) {
+		return actor?.system?.currency?.[key] ? `system.currency.${key}.value` : `flags.${MODULE_ID}.currency.${key}`;
+	}
+
+	/**
+	 * Add coins to the actor's currency.
+	 * @param {Actor} actor
+	 * @param {Partial<CoinAmounts>} coins
+	 * @returns {Promise<boolean>} true if the actor was updated
+	 */
+	async credit(actor, coins) {
+		const wallet = this.getWealth(actor);
+		const amounts = {};
+		for (const [denom, amount] of Object.entries(coins)) {
+			if (amount > 0) amounts[denom] = (wallet[denom] ?? 0) + amount;
+		}
+		if (!Object.keys(amounts).length) return false;
+
+		try {
+			await actor.update(this.getUpdateData(actor, amounts));
+			return true;
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to credit currency to ${actor.name}:`, err);
+			return false;
+		}
+	}
+
+	/**
+	 * Work out how the actor pays a cost: which coins leave the purse and
+	 * which come back as change.
+	 *
+	 * By default each denomination is paid with its own coins first, any
+	 * shortfall with the largest coins that fit, and the rest by breaking the
+	 * smallest coin that covers it. With the `minimiseCoins` world setting the
+	 * purse is instead left holding the fewest coins for what remains.
+	 * @param {Actor} actor
+	 * @param {CoinAmounts} costs
+	 * @returns {PaymentPlan|null} null if the actor cannot afford it
+	 */
+	planPayment(actor, costs) {
+		const denominations = this.denominations;
+		const wallet = this.getWealth(actor);
+		const costCp = this.toCp(costs);
+		const wealthCp = this.getWealthInCp(actor);
+		if (costCp > wealthCp) return null;
+
+		const empty = () => Object.fromEntries(denominations.map(({ key }) => [key, 0]));
+		if (game.settings.get(MODULE_ID, 'minimiseCoins')) {
+			const target = this.fromCp(wealthCp - costCp);
+			const spent = empty();
+			const change = empty();
+			for (const { key } of denominations) {
+				const delta = wallet[key] - target[key];
+				if (delta > 0) spent[key] = delta;
+				else change[key] = -delta;
+			}
+			return { spent, change };
+		}
+
+		const spent = empty();
+		let remaining = costCp;
+
+		// Each denomination from its own coins, then the shortfall from the largest coins that fit
+		for (const { key, value } of denominations) {
+			const paid = Math.min(costs[key] ?? 0, wallet[key]);
+			spent[key] += paid;
+			remaining -= paid * value;
+		}
+		for (const { key, value } of denominations) {
+			const paid = Math.min(wallet[key] - spent[key], Math.floor(remaining / value));
+			spent[key] += paid;
+			remaining -= paid * value;
+		}
+
+		// Less than one of any coin left: break the smallest coin still in the purse
+		let changeCp = 0;
+		if (remaining > 0) {
+			const { key, value } = denominations.findLast((d) => wallet[d.key] > spent[d.key]);
+			spent[key] += 1;
+			changeCp = value - remaining;
+		}
+		return { spent, change: this.fromCp(changeCp) };
+	}
+
+	/**
+	 * Describe a payment for display.
+	 * @param {Actor} actor
+	 * @param {CoinAmounts} costs
+	 * @returns {{spent: string, change: string}|null} null if the actor cannot afford it
+	 */
+	describePayment(actor, costs) {
+		const plan = this.planPayment(actor, costs);
+		if (!plan) return null;
+		return { spent: this.formatCoins(plan.spent), change: this.formatCoins(plan.change) };
+	}
+
+	/**
+	 * Pay costs from the actor's currency, breaking larger coins and taking
+	 * change back as needed (see planPayment).
+	 * @param {Actor} actor
+	 * @param {CoinAmounts} costs
+	 * @param {object} [options={}]
+	 * @param {boolean} [options.quiet=false] - Only log a failed update, without a notification
+	 * @returns {Promise<Record<string, number>|null>} Coins removed per denomination (negative = change received), or null if the actor cannot afford it
+	 */
+	async deduct(actor, costs, { quiet = false } = {}) {
+		const plan = this.planPayment(actor, costs);
+		if (!plan) return null;
+
+		const wallet = this.getWealth(actor);
+		const amounts = {};
+		const removed = {};
+		for (const { key } of this.denominations) {
+			amounts[key] = wallet[key] - plan.spent[key] + plan.change[key];
+			removed[key] = plan.spent[key] - plan.change[key];
+		}
+
+		try {
+			await actor.update(this.getUpdateData(actor, amounts));
+			return removed;
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to deduct currency from ${actor.name}:`, err);
+			if (!quiet) ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.equipment.deductionFailed') || 'Failed to deduct currency. Please try again.');
+			return null;
+		}
+	}
+
+	/**
+	 * Give back what deduct() took: the coins spent, less the change received.
+	 * Used when the items could not be granted after the payment.
+	 * @param {Actor} actor
+	 * @param {Record<string, number>} removed - As returned by deduct()
+	 * @returns {Promise<boolean>} true if the coins were given back
+	 */
+	async refund(actor, removed) {
+		const wallet = this.getWealth(actor);
+		const amounts = {};
+		for (const [denom, amount] of Object.entries(removed)) {
+			if (amount) amounts[denom] = Math.max(0, (wallet[denom] ?? 0) + amount);
+		}
+		if (!Object.keys(amounts).length) return true;
+
+		try {
+			await actor.update(this.getUpdateData(actor, amounts));
+			return true;
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to refund currency to ${actor.name}:`, err);
+			return false;
+		}
+	}
+}
+
+export { CurrencyManager };
@@ -0,0 +1,198 @@
+import { MODULE_ID, LOG_PREFIX } from '../utils/constants.mjs';
+
+/** @type {number} Delay before pending draft changes are written to the user (ms). */
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * @typedef {object} Draft
+ * @property {unknown} selection - Selector-specific selection data (JSON-safe; saved objects are merged, so variable keys go in arrays of pairs)
+ * @property {number} count - Number of items in the selection, for display
+ * @property {number} level - Actor's total class level when the draft was saved
+ * @property {number} updatedAt - Epoch milliseconds
+ */
+
+/**
+ * Singleton for unconfirmed selector selections, kept per actor and per
+ * user so a half-built pick survives closing the window or reloading.
+ *
+ * Drafts live in a flag on the current user (players can always write
+ * their own user), keyed by actor ID then draft key. Keys use `__` as a
+ * separator, since dots would split the flag path (e.g. "spells__mage").
+ *
+ * A draft goes stale once the actor's total class level changes: it is
+ * dropped the next time it is read. Selectors discard their draft once it
+ * is granted or sent for approval.
+ *
+ * Writes are batched: changes apply to an in-memory copy at once and reach
+ * the user document after SAVE_DELAY_MS without further changes.
+ */
+class DraftStore {
+	static #instance = null;
+
+	/** @type {Record<string, Record<string, Draft>>|null} Drafts by actor ID then key, read from the flag on first use. */
+	#drafts = null;
+	/** @type {Map<string, Draft|null>} Changes not yet written, by "actorId.key" flag path (null = delete). */
+	#changes = new Map();
+	/** @type {() => void} */
+	#scheduleWrite = foundry.utils.debounce(() => {
+		this.#write();
+		DraftStore.#refreshOpenApps();
+	}, SAVE_DELAY_MS);
+
+	constructor() {
+		if (DraftStore.#instance) {
+			throw new Error('DraftStore is a singleton. Use DraftStore.instance instead.');
+		}
+	}
+
+	/** @returns {DraftStore} */
+	static get instance() {
+		if (!DraftStore.#instance) {
+			DraftStore.#instance = new DraftStore();
+		}
+		return DraftStore.#instance;
+	}
+
+	/**
+	 * Build a draft key for a selector of one class.
+	 * @param {'features'|'spells'|'equipment'} selector
+	 * @param {string} classIdentifier
+	 * @returns {string} e.g. "spells__mage"
+	 */
+	static key(selector, classIdentifier) {
+		return `${selector}__${classIdentifier}`;
+	}
+
+	/**
+	 * Read a draft, dropping it if the actor's level changed since it was saved.
+	 * @param {Actor} actor
+	 * @param {string} key
+	 * @returns {Draft|null}
+	 */
+	get(actor, key) {
+		const draft = this.#all[actor.id]?.[key];
+		if (!draft) return null;
+		if (draft.level !== DraftStore.#levelOf(actor)) {
+			this.discard(actor, key);
+			return null;
+		}
+		return draft;
+	}
+
+	/**
+	 * List an actor's drafts that are still current, by key.
+	 * @param {Actor} actor
+	 * @returns {Record<string, Draft>}
+	 */
+	list(actor) {
+		const drafts = {};
+		for (const key of Object.keys(this.#all[actor.id] ?? {})) {
+			const draft = this.get(actor, key);
+			if (draft) drafts[key] = draft;
+		}
+		return drafts;
+	}
+
+	/**
+	 * Save a selection as the actor's draft. An empty selection discards it.
+	 * @param {Actor} actor
+	 * @param {string} key
+	 * @param {unknown} selection
+	 * @param {number} count - Number of items in the selection
+	 */
+	set(actor, key, selection, count) {
+		if (count <= 0) {
+			this.discard(actor, key);
+			return;
+		}
+		const draft = { selection, count, level: DraftStore.#levelOf(actor), updatedAt: Date.now() };
+		(this.#all[actor.id] ??= {})[key] = draft;
+		this.#queue(actor.id, key, draft);
+	}
+
+	/**
+	 * Forget a draft.
+	 * @param {Actor} actor
+	 * @param {string} key
+	 */
+	discard(actor, key) {
+		const drafts = this.#all[actor.id];
+		if (!drafts?.[key]) return;
+		delete drafts[key];
+		if (!Object.keys(drafts).length) delete this.#all[actor.id];
+		this.#queue(actor.id, key, null);
+	}
+
+	/**
+	 * The current user's drafts, read from the flag on first use.
+	 * @returns {Record<string, Record<string, Draft>>}
+	 */
+	get #all() {
+		this.#drafts ??= foundry.utils.deepClone(game.user.getFlag(MODULE_ID, 'drafts') ?? {});
+		return this.#drafts;
+	}
+
+	/**
+	 * @param {string} actorId
+	 * @param {string} key
+	 * @param {Draft|null} draft
+	 */
+	#queue(actorId, key, draft) {
+		this.#changes.set(`${actorId}.${key}`, draft);
+		this.#scheduleWrite();
+	}
+
+	/**
+	 * Write the pending changes to the user flag in one update.
+	 * @returns {Promise<void>}
+	 */
+	async #write() {
+		if (!this.#changes.size) return;
+		const update = {};
+		for (const [path, draft] of this.#changes) {
+			if (draft) {
+				update[`flags.${MODULE_ID}.drafts.${path}`] = draft;
+			} else {
+				const [actorId, key] = path.split('.');
+				update[`flags.${MODULE_ID}.drafts.${actorId}.-=${key}`] = null;
+			}
+		}
+		this.#changes.clear();
+
+		try {
+			await game.user.update(update);
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to save selection drafts:`, err);
+		}
+	}
+
+	/**
+	 * Ask every open application that shows drafts to refresh.
+	 * Applications opt in by implementing `invalidateDraftData()`.
+	 */
+	static #refreshOpenApps() {
+		for (const app of foundry.applications.instances.values()) {
+			if (typeof app.invalidateDraftData !== 'function') continue;
+			try {
+				app.invalidateDraftData();
+			} catch (err) {
+				console.error(`${LOG_PREFIX} Failed to refresh ${app.constructor.name}:`, err);
+			}
+		}
+	}
+
+	/**
+	 * The actor's total class level, which stamps its drafts.
+	 * @param {Actor} actor
+	 * @returns {number}
+	 */
+	static #levelOf(actor) {
+		let level = 0;
+		for (const item of actor.items) {
+			if (item.type === 'class') level += item.system?.classLevel ?? 1;
+		}
+		return level;
+	}
+}
+
+export { DraftStore };
@@ -0,0 +1,277 @@
+import { MODULE_ID, LOG_PREFIX } from '../utils/constants.mjs';
+import { CompendiumBrowser } from './CompendiumBrowser.mjs';
+import { CurrencyManager } from './CurrencyManager.mjs';
+import { ItemGranter } from './ItemGranter.mjs';
+import { GrantHistory } from './GrantHistory.mjs';
+import { ShopManager } from './ShopManager.mjs';
+import { ChatSummary } from './ChatSummary.mjs';
+import { GrantApprovalDialog } from '../apps/GrantApprovalDialog.mjs';
+
+/**
+ * @typedef {'features'|'spells'|'equipment'|'kit'} GrantRequestKind
+ */
+
+/**
+ * @typedef {object} GrantRequest
+ * @property {string} requestId
+ * @property {string} senderId - User who asked for the grant
+ * @property {string} actorUuid
+ * @property {GrantRequestKind} kind
+ * @property {Array<[string, number]>} items - UUID and quantity pairs
+ * @property {boolean} payTheBill - Whether the actor is charged for the items on approval
+ * @property {string|null} [shop] - Shop the items are bought from (priced at its markup, taken from its stock)
+ */
+
+/** @type {Record<GrantRequestKind, {source: import('./GrantHistory.mjs').GrantSource, notification: string}>} */
+const KIND_CONFIG = {
+	features: { source: 'manual', notification: 'NIMBLE_SELECTOR.notifications.grantedFeatures' },
+	spells: { source: 'manual', notification: 'NIMBLE_SELECTOR.notifications.grantedSpells' },
+	equipment: { source: 'purchase', notification: 'NIMBLE_SELECTOR.notifications.grantedEquipment' },
+	kit: { source: 'kit', notification: 'NIMBLE_SELECTOR.notifications.grantedKit' },
+};
+
+/**
+ * Routes player-initiated grants through the GM when the
+ * `requireGmApproval` world setting is on.
+ *
+ * The player's client emits a `grantRequest` on the module socket; the
+ * active GM's client opens a GrantApprovalDialog and, once the GM decides,
+ * grants the items through ItemGranter and answers with a `grantResponse`.
+ */
+class GrantApproval {
+	/** @type {CompendiumBrowser} */
+	#compendiumBrowser = CompendiumBrowser.instance;
+	/** @type {CurrencyManager} */
+	#currency = new CurrencyManager();
+	/** @type {ItemGranter} */
+	#granter = new ItemGranter();
+	/** @type {ShopManager} */
+	#shops = ShopManager.instance;
+	/** @type {GrantHistory} */
+	#history = new GrantHistory();
+
+	/**
+	 * Whether grants made by the current user must be approved by a GM.
+	 * @returns {boolean}
+	 */
+	isRequired() {
+		return !game.user.isGM && Boolean(game.settings.get(MODULE_ID, 'requireGmApproval'));
+	}
+
+	/**
+	 * Send a grant request to the active GM.
+	 * @param {Actor} actor
+	 * @param {GrantRequestKind} kind
+	 * @param {string[]|Map<string, number>} uuidsOrQuantities - Array of UUIDs or Map of UUID → quantity
+	 * @param {object} [options={}]
+	 * @param {boolean} [options.payTheBill=false]
+	 * @param {string|null} [options.shop=null] - Shop the items are bought from
+	 * @returns {boolean} true if the request was sent
+	 */
+	request(actor, kind, uuidsOrQuantities, { payTheBill = false, shop = null } = {}) {
+		if (!game.users.activeGM) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.approval.noGm'));
+			return false;
+		}
+
+		const items = uuidsOrQuantities instanceof Map
+			? [...uuidsOrQuantities.entries()]
+			: uuidsOrQuantities.map((uuid) => [uuid, 1]);
+
+		game.socket.emit(`module.${MODULE_ID}`, {
+			type: 'grantRequest',
+			requestId: foundry.utils.randomID(),
+			senderId: game.userId,
+			actorUuid: actor.uuid,
+			kind,
+			items,
+			payTheBill,
+			shop,
+		});
+		ui.notifications.info(game.i18n.format('NIMBLE_SELECTOR.approval.requested', { name: actor.name }));
+		return true;
+	}
+
+	/**
+	 * Open the approval dialog for a request received over the socket.
+	 * Only the active GM answers, so a request is never handled twice.
+	 * @param {GrantRequest} data
+	 */
+	handleRequest(data) {
+		if (game.user !== game.users.activeGM) return;
+		if (!GrantApproval.#isValidRequest(data)) {
+			console.warn(`${LOG_PREFIX} Received malformed grant request:`, data);
+			return;
+		}
+
+		const actor = fromUuidSync(data.actorUuid);
+		const user = game.users.get(data.senderId);
+		if (!actor || !user || !actor.testUserPermission(user, 'OWNER')) {
+			console.warn(`${LOG_PREFIX} Rejected grant request from ${user?.name ?? data.senderId}: no owned actor ${data.actorUuid}`);
+			this.reject(data);
+			return;
+		}
+
+		const items = data.items.filter(([uuid]) => {
+			if (this.#compendiumBrowser.getEntry(uuid)) return true;
+			console.warn(`${LOG_PREFIX} Dropped unindexed item from grant request: ${uuid}`);
+			return false;
+		});
+		if (!items.length) {
+			this.reject(data);
+			return;
+		}
+
+		new GrantApprovalDialog(this, { ...data, items }, actor, user).render(true);
+	}
+
+	/**
+	 * Show the requesting player the GM's decision.
+	 * @param {{recipientId: string, approved: boolean, edited: boolean, count: number, actorName: string}} data
+	 */
+	handleResponse(data) {
+		if (data.recipientId !== game.userId) return;
+		if (typeof data.approved !== 'boolean' || typeof data.actorName !== 'string') {
+			console.warn(`${LOG_PREFIX} Received malformed grant response:`, data);
+			return;
+		}
+
+		if (!data.approved) {
+			ui.notifications.warn(game.i18n.format('NIMBLE_SELECTOR.approval.rejected', { name: data.actorName }));
+			return;
+		}
+		const key = data.edited ? 'NIMBLE_SELECTOR.approval.approvedEdited' : 'NIMBLE_SELECTOR.approval.approved';
+		ui.notifications.info(game.i18n.format(key, { count: data.count, name: data.actorName }));
+	}
+
+	/**
+	 * Look up a requested item, priced at the shop's markup when bought from one.
+	 * @param {string} uuid
+	 * @param {string|null} [shopId=null]
+	 * @returns {import('./CompendiumBrowser.mjs').ItemData|null}
+	 */
+	getEntry(uuid, shopId = null) {
+		const entry = this.#compendiumBrowser.getEntry(uuid);
+		const shop = this.#shops.get(shopId);
+		return entry && shop ? this.#shops.priceItem(entry, shop) : entry;
+	}
+
+	/**
+	 * Total cost of a set of items, priced from the compendium index (or the shop).
+	 * @param {Map<string, number>} quantities
+	 * @param {string|null} [shopId=null]
+	 * @returns {{ byDenom: import('./CurrencyManager.mjs').CoinAmounts, totalCp: number }}
+	 */
+	getCost(quantities, shopId = null) {
+		return this.#currency.getCost(
+			[...quantities].map(([uuid, qty]) => [this.getEntry(uuid, shopId), qty]),
+		);
+	}
+
+	/**
+	 * Grant a request on the GM client, charging the actor if the player asked
+	 * to pay and taking the items out of the shop's stock.
+	 * @param {GrantRequest} request
+	 * @param {Actor} actor
+	 * @param {Map<string, number>} quantities - The items to grant, possibly edited by the GM
+	 * @returns {Promise<boolean>} false if the kit was already taken, a preGrant listener cancelled, the actor could not pay, the shop is short or the items could not be created, so nothing was granted
+	 */
+	async approve(request, actor, quantities) {
+		const shopId = request.shop ?? null;
+		const { source, notification } = KIND_CONFIG[request.kind];
+
+		// A player may send the kit again before the first request is approved
+		if (request.kind === 'kit' && this.#history.hasStartingKit(actor)) {
+			ui.notifications.warn(game.i18n.format('NIMBLE_SELECTOR.kits.alreadyTaken', { name: actor.name }));
+			return false;
+		}
+
+		// Let preGrant listeners edit or cancel before anything is charged
+		const grant = await this.#granter.prepareGrant(actor, quantities, { source });
+		if (!grant) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.notifications.grantCancelled'));
+			return false;
+		}
+		const granted = ItemGranter.quantitiesOf(grant);
+		const { byDenom, totalCp } = this.getCost(granted, shopId);
+		if (request.payTheBill && totalCp > this.#currency.getWealthInCp(actor)) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.equipment.cannotAfford'));
+			return false;
+		}
+		if (shopId && !await this.#shops.reserve(shopId, granted)) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.shops.outOfStock'));
+			return false;
+		}
+
+		let deducted = null;
+		if (request.payTheBill) {
+			deducted = await this.#currency.deduct(actor, byDenom);
+			if (!deducted) {
+				if (shopId) await this.#shops.release(shopId, granted);
+				return false;
+			}
+		}
+
+		const created = await this.#granter.applyGrant(grant, {
+			currency: deducted,
+			shop: shopId ? { id: shopId, items: [...granted] } : null,
+		});
+		if (!created) {
+			if (deducted) await this.#currency.refund(actor, deducted);
+			if (shopId) await this.#shops.release(shopId, granted);
+			ui.notifications.error(game.i18n.localize('NIMBLE_SELECTOR.notifications.grantFailed'));
+			return false;
+		}
+
+		let count = 0;
+		for (const { qty } of grant.entries) count += qty;
+		const edited = granted.size !== request.items.length
+			|| request.items.some(([uuid, qty]) => granted.get(uuid) !== qty);
+
+		if (!ChatSummary.replacesToast) ui.notifications.info(game.i18n.format(notification, { count, name: actor.name }));
+		this.#respond(request, { approved: true, edited, count, actorName: actor.name });
+		return true;
+	}
+
+	/**
+	 * Tell the requesting player their request was turned down.
+	 * @param {GrantRequest} request
+	 */
+	reject(request) {
+		const actorName = fromUuidSync(request.actorUuid)?.name ?? '';
+		this.#respond(request, { approved: false, edited: false, count: 0, actorName });
+	}
+
+	/**
+	 * @param {GrantRequest} request
+	 * @param {{approved: boolean, edited: boolean, count: number, actorName: string}} result
+	 */
+	#respond(request, result) {
+		game.socket.emit(`module.${MODULE_ID}`, {
+			type: 'grantResponse',
+			requestId: request.requestId,
+			recipientId: request.senderId,
+			...result,
+		});
+	}
+
+	/**
+	 * @param {unknown} data
+	 * @returns {boolean}
+	 */
+	static #isValidRequest(data) {
+		return typeof data?.requestId === 'string'
+			&& typeof data.senderId === 'string'
+			&& typeof data.actorUuid === 'string'
+			&& Object.hasOwn(KIND_CONFIG, data.kind)
+			&& typeof data.payTheBill === 'boolean'
+			&& (data.shop == null || typeof data.shop === 'string')
+			&& Array.isArray(data.items)
+			&& data.items.every((entry) => Array.isArray(entry)
+				&& typeof entry[0] === 'string'
+				&& Number.isInteger(entry[1])
+				&& entry[1] > 0);
+	}
+}
+
+export { GrantApproval };
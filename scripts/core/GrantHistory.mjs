@@ -0,0 +1,193 @@
+import { MODULE_ID, LOG_PREFIX } from '../utils/constants.mjs';
+import { CurrencyManager } from './CurrencyManager.mjs';
+import { ShopManager } from './ShopManager.mjs';
+
+/** @type {number} Maximum number of transactions kept per actor (oldest are dropped). */
+const MAX_TRANSACTIONS = 50;
+
+/** @type {Set<GrantSource>} Sources that use up the actor's one starting kit (or its starting gold). */
+const STARTING_KIT_SOURCES = new Set(['kit', 'startingGold']);
+
+/**
+ * @typedef {'manual'|'auto'|'purchase'|'kit'|'startingGold'|'sale'} GrantSource
+ */
+
+/**
+ * @typedef {object} GrantTransaction
+ * @property {string} id
+ * @property {number} timestamp - Epoch milliseconds
+ * @property {GrantSource} source
+ * @property {string} userId - User who triggered the grant
+ * @property {Array<{name: string, img: string, quantity: number}>} items - Display summary
+ * @property {string[]} createdIds - IDs of the embedded items created by the grant
+ * @property {Array<{itemId: string, delta: number}>} quantityDeltas - Quantity added to already-owned stacks (negative = removed)
+ * @property {object[]} [deletedItems] - Source data of owned items removed by the transaction (sales)
+ * @property {Record<string, number>|null} currency - Coins removed per denomination (negative = received)
+ * @property {{id: string, items: Array<[string, number]>}|null} [shop] - Shop the items were bought from, and the UUID and quantity pairs taken out of its stock
+ */
+
+/**
+ * Records grant transactions in an actor flag and reverts them on demand.
+ * Newest transactions come first; the list is capped at MAX_TRANSACTIONS.
+ *
+ * Taking the starting kit or gold is also stored in its own `startingKit`
+ * flag (the transaction ID), since the capped history can lose it; undoing
+ * that transaction clears the flag.
+ */
+class GrantHistory {
+	/** @type {CurrencyManager} */
+	#currency = new CurrencyManager();
+
+	/**
+	 * Read the recorded transactions for an actor, newest first.
+	 * @param {Actor} actor
+	 * @returns {GrantTransaction[]}
+	 */
+	list(actor) {
+		const history = actor?.getFlag(MODULE_ID, 'grantHistory');
+		return Array.isArray(history) ? history : [];
+	}
+
+	/**
+	 * Whether the actor already took its starting kit or starting gold.
+	 * Actors that took it before the flag existed are found in the history.
+	 * @param {Actor} actor
+	 * @returns {boolean}
+	 */
+	hasStartingKit(actor) {
+		return Boolean(actor?.getFlag(MODULE_ID, 'startingKit'))
+			|| this.list(actor).some((t) => STARTING_KIT_SOURCES.has(t.source));
+	}
+
+	/**
+	 * Append a transaction to the actor's history.
+	 * @param {Actor} actor
+	 * @param {Omit<GrantTransaction, 'id'|'timestamp'|'userId'>} transaction
+	 * @returns {Promise<string|null>} The new transaction ID, or null on failure
+	 */
+	async record(actor, transaction) {
+		const { id, update } = this.prepareRecord(actor, transaction);
+		try {
+			await actor.update(update);
+			return id;
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to record grant history for ${actor.name}:`, err);
+			return null;
+		}
+	}
+
+	/**
+	 * Build the actor update that appends a transaction, without writing it,
+	 * so callers can fold it into an update of their own.
+	 * @param {Actor} actor
+	 * @param {Omit<GrantTransaction, 'id'|'timestamp'|'userId'>} transaction
+	 * @returns {{id: string, update: object}} The new transaction ID and the flag update
+	 */
+	prepareRecord(actor, transaction) {
+		const entry = {
+			id: foundry.utils.randomID(),
+			timestamp: Date.now(),
+			userId: game.userId,
+			...transaction,
+		};
+		const history = [entry, ...this.list(actor)].slice(0, MAX_TRANSACTIONS);
+
+		const update = { [`flags.${MODULE_ID}.grantHistory`]: history };
+		if (STARTING_KIT_SOURCES.has(entry.source)) update[`flags.${MODULE_ID}.startingKit`] = entry.id;
+		return { id: entry.id, update };
+	}
+
+	/**
+	 * Revert a transaction: delete the items it created, remove the quantity
+	 * it added to existing stacks, restore the items it removed, refund
+	 * the currency it spent and put the items it bought back in the shop.
+	 *
+	 * Everything is checked before anything is written, so a transaction that
+	 * can no longer be fully reverted (e.g. the received change was spent since)
+	 * is left untouched. The refund and the removal of the transaction from the
+	 * history are written first, in one update, so a failure while reverting
+	 * the items can never let a second undo revert them again. The shop is
+	 * restocked just before, while the purchase is still in the history.
+	 * @param {Actor} actor
+	 * @param {string} transactionId
+	 * @returns {Promise<boolean>} true if the transaction was reverted
+	 */
+	async undo(actor, transactionId) {
+		const history = this.list(actor);
+		const transaction = history.find((t) => t.id === transactionId);
+		if (!transaction) return false;
+
+		const toDelete = (transaction.createdIds ?? []).filter((id) => actor.items.has(id));
+		const quantityUpdates = [];
+		for (const { itemId, delta } of transaction.quantityDeltas ?? []) {
+			const item = actor.items.get(itemId);
+			if (!item) continue;
+			const quantity = (item.system?.quantity ?? 0) - delta;
+			if (quantity > 0) {
+				quantityUpdates.push({ _id: itemId, 'system.quantity': quantity });
+			} else if (!toDelete.includes(itemId)) {
+				toDelete.push(itemId);
+			}
+		}
+
+		const toRestore = (transaction.deletedItems ?? []).filter((data) => !actor.items.has(data._id));
+
+		const currencyUpdate = this.#buildRefund(actor, transaction.currency);
+		if (!currencyUpdate) {
+			console.warn(`${LOG_PREFIX} Cannot undo transaction ${transactionId}: not enough currency to return the change`);
+			return false;
+		}
+
+		const shop = transaction.shop ?? null;
+		const shopItems = new Map(shop?.items ?? []);
+		if (shop && !await ShopManager.instance.restock(shop.id, shopItems, actor, transactionId)) {
+			console.warn(`${LOG_PREFIX} Cannot undo transaction ${transactionId}: its items could not be put back in shop ${shop.id}`);
+			return false;
+		}
+
+		const update = {
+			...currencyUpdate,
+			[`flags.${MODULE_ID}.grantHistory`]: history.filter((t) => t.id !== transactionId),
+		};
+		if (actor.getFlag(MODULE_ID, 'startingKit') === transactionId) update[`flags.${MODULE_ID}.-=startingKit`] = null;
+
+		try {
+			await actor.update(update);
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to undo transaction ${transactionId} on ${actor.name}:`, err);
+			// The purchase stands, so take its items out of the shop again
+			if (shop) await ShopManager.instance.reserve(shop.id, shopItems);
+			return false;
+		}
+
+		try {
+			if (toDelete.length) await actor.deleteEmbeddedDocuments('Item', toDelete);
+			if (quantityUpdates.length) await actor.updateEmbeddedDocuments('Item', quantityUpdates);
+			if (toRestore.length) await actor.createEmbeddedDocuments('Item', toRestore, { keepId: true });
+			return true;
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Transaction ${transactionId} on ${actor.name} was refunded, but its items could not all be reverted:`, err);
+			return false;
+		}
+	}
+
+	/**
+	 * Build the actor update that gives back spent coins (and takes back received change).
+	 * @param {Actor} actor
+	 * @param {Record<string, number>|null} currency
+	 * @returns {Record<string, number>|null} Update data, or null if a denomination would go negative
+	 */
+	#buildRefund(actor, currency) {
+		const wallet = this.#currency.getWealth(actor);
+		const amounts = {};
+		for (const [denom, amount] of Object.entries(currency ?? {})) {
+			if (!amount) continue;
+			const restored = (wallet[denom] ?? 0) + amount;
+			if (restored < 0) return null;
+			amounts[denom] = restored;
+		}
+		return this.#currency.getUpdateData(actor, amounts);
+	}
+}
+
+export { GrantHistory };
@@ -1,8 +1,14 @@
-import { LOG_PREFIX, normalizeString } from '../utils/constants.mjs';
+import { MODULE_ID, LOG_PREFIX, HOOKS, STACKABLE_SIZE_TYPES, normalizeString } from '../utils/constants.mjs';
 import { CompendiumBrowser } from './CompendiumBrowser.mjs';
+import { GrantHistory } from './GrantHistory.mjs';
+import { CurrencyManager } from './CurrencyManager.mjs';
 
-/** @type {Set<string>} objectSizeType values that support quantity stacking. */
-const STACKABLE_SIZE_TYPES = new Set(['stackable', 'smallSized']);
+/**
+ * @typedef {object} PreparedGrant
+ * @property {Actor} actor
+ * @property {import('./GrantHistory.mjs').GrantSource} source
+ * @property {Array<{uuid: string|null, data: object, qty: number}>} entries - Items left after the preGrant hook
+ */
 
 /**
  * Grants items from compendium packs to an actor.
@@ -11,27 +17,57 @@ const STACKABLE_SIZE_TYPES = new Set(['stackable', 'smallSized']);
  *
  * For stackable / smallSized items that the actor already owns,
  * the existing item's quantity is incremented instead of creating a duplicate.
+ *
+ * Every grant is recorded as a transaction in the actor's grant history
+ * so it can be undone from the selector panel.
  */
 class ItemGranter {
 	/** @type {CompendiumBrowser} */
 	#compendiumBrowser;
+	/** @type {GrantHistory} */
+	#history;
+	/** @type {CurrencyManager} */
+	#currency;
 
 	constructor() {
 		this.#compendiumBrowser = CompendiumBrowser.instance;
+		this.#history = new GrantHistory();
+		this.#currency = new CurrencyManager();
 	}
 
 	/**
 	 * Grant multiple items to an actor by UUID.
 	 * Stackable items already owned get their quantity incremented;
 	 * all other items are created as new embedded documents.
+	 *
+	 * Paid grants must not use this: they call prepareGrant() before taking
+	 * any coin or stock, and applyGrant() once paid.
 	 * @param {Actor} actor - The target actor
 	 * @param {string[]|Map<string, number>} uuidsOrQuantities - Array of UUIDs or Map of UUID → quantity
-	 * @returns {Promise<Item[]>} The created embedded items (does not include stacked ones)
+	 * @param {object} [options={}]
+	 * @param {import('./GrantHistory.mjs').GrantSource} [options.source='manual'] - Recorded in the grant history
+	 * @returns {Promise<Item[]|null>} The created embedded items (does not include stacked ones), or null if a preGrant listener cancelled the grant
 	 */
-	async grantItemsByUuid(actor, uuidsOrQuantities) {
+	async grantItemsByUuid(actor, uuidsOrQuantities, { source = 'manual' } = {}) {
+		const grant = await this.prepareGrant(actor, uuidsOrQuantities, { source });
+		if (!grant) return null;
+		return (await this.applyGrant(grant)) ?? [];
+	}
+
+	/**
+	 * Resolve the items of a grant and run the preGrant hook, without writing
+	 * anything. Listeners may edit the items, so callers that charge for the
+	 * grant price what is returned (see quantitiesOf()).
+	 * @param {Actor} actor - The target actor
+	 * @param {string[]|Map<string, number>} uuidsOrQuantities - Array of UUIDs or Map of UUID → quantity
+	 * @param {object} [options={}]
+	 * @param {import('./GrantHistory.mjs').GrantSource} [options.source='manual'] - Recorded in the grant history
+	 * @returns {Promise<PreparedGrant|null>} null if a preGrant listener cancelled the grant or removed every item
+	 */
+	async prepareGrant(actor, uuidsOrQuantities, { source = 'manual' } = {}) {
 		if (!actor || typeof actor.createEmbeddedDocuments !== 'function') {
-			console.error(`${LOG_PREFIX} grantItemsByUuid called with invalid actor:`, actor);
-			return [];
+			console.error(`${LOG_PREFIX} prepareGrant called with invalid actor:`, actor);
+			return { actor, source, entries: [] };
 		}
 
 		/** @type {Map<string, number>} */
@@ -39,26 +75,58 @@ class ItemGranter {
 			? uuidsOrQuantities
 			: new Map(uuidsOrQuantities.map((uuid) => [uuid, 1]));
 
-		if (!quantities.size) return [];
-
-		const entries = await Promise.all(
+		const resolved = await Promise.all(
 			[...quantities.entries()].map(async ([uuid, qty]) => {
 				const data = await this.#prepareItemFromUuid(uuid);
-				return data ? { data, qty } : null;
+				return data ? { uuid, data, quantity: qty } : null;
 			}),
 		);
-		const validEntries = entries.filter(Boolean);
+		/** @type {import('../utils/constants.mjs').PreGrantPayload} */
+		const payload = { actor, source, items: resolved.filter(Boolean) };
+		if (!payload.items.length) return { actor, source, entries: [] };
+		if (Hooks.call(HOOKS.preGrant, payload) === false) return null;
 
-		if (!validEntries.length) return [];
+		const entries = payload.items
+			.filter((entry) => entry?.data && entry.quantity > 0)
+			.map(({ uuid, data, quantity }) => ({ uuid: uuid ?? null, data, qty: quantity }));
+		return entries.length ? { actor, source, entries } : null;
+	}
+
+	/**
+	 * Quantities by UUID of a prepared grant, to price it or take it out of a
+	 * shop's stock. Items a listener added without a UUID are left out.
+	 * @param {PreparedGrant} grant
+	 * @returns {Map<string, number>}
+	 */
+	static quantitiesOf(grant) {
+		const quantities = new Map();
+		for (const { uuid, qty } of grant.entries) {
+			if (uuid) quantities.set(uuid, (quantities.get(uuid) ?? 0) + qty);
+		}
+		return quantities;
+	}
+
+	/**
+	 * Write a prepared grant to its actor and record it in the grant history.
+	 * Nothing is recorded when no item could be written, so callers that
+	 * charged for the grant must refund it.
+	 * @param {PreparedGrant} grant
+	 * @param {object} [options={}]
+	 * @param {Record<string, number>|null} [options.currency=null] - Coins already deducted for this grant, per denomination
+	 * @param {{id: string, items: Array<[string, number]>}|null} [options.shop=null] - Shop whose stock was already taken, so undoing the grant restocks it
+	 * @returns {Promise<Item[]|null>} The created embedded items (does not include stacked ones), or null if nothing was granted
+	 */
+	async applyGrant({ actor, source, entries }, { currency = null, shop = null } = {}) {
+		if (!entries.length) return null;
 
 		// Separate items that should be stacked from those that need creation
 		const toCreate = [];
 		const stackUpdates = [];
 
-		for (const { data: itemData, qty } of validEntries) {
+		for (const { data: itemData, qty } of entries) {
 			const existing = this.#findStackTarget(actor, itemData);
 			if (existing) {
-				stackUpdates.push({ item: existing, qty: existing.system.quantity + qty });
+				stackUpdates.push({ item: existing, qty: existing.system.quantity + qty, delta: qty });
 			} else if (STACKABLE_SIZE_TYPES.has(itemData.system?.objectSizeType)) {
 				// Stackable new item: set quantity on the item data
 				itemData.system = itemData.system ?? {};
@@ -74,22 +142,99 @@ class ItemGranter {
 		}
 
 		// Apply quantity increments for stacked items
-		for (const { item, qty } of stackUpdates) {
+		const quantityDeltas = [];
+		for (const { item, qty, delta } of stackUpdates) {
 			try {
 				await item.update({ 'system.quantity': qty });
+				quantityDeltas.push({ itemId: item.id, delta });
 			} catch (err) {
 				console.error(`${LOG_PREFIX} Failed to update quantity for ${item.name}:`, err);
 			}
 		}
 
 		// Create genuinely new items
-		if (!toCreate.length) return [];
+		let created = [];
+		if (toCreate.length) {
+			try {
+				created = await actor.createEmbeddedDocuments('Item', toCreate, { keepId: true });
+			} catch (err) {
+				console.error(`${LOG_PREFIX} Failed to grant items to ${actor.name}:`, err);
+			}
+		}
+
+		if (!created.length && !quantityDeltas.length) return null;
+
+		await this.#history.record(actor, {
+			source,
+			items: entries.map(({ data, qty }) => ({ name: data.name, img: data.img, quantity: qty })),
+			createdIds: created.map((item) => item.id),
+			quantityDeltas,
+			currency,
+			shop,
+		});
+
+		/** @type {import('../utils/constants.mjs').GrantPayload} */
+		const granted = {
+			actor,
+			source,
+			items: entries.map(({ data, qty }) => ({ data, quantity: qty })),
+			created,
+			quantityDeltas,
+			currency,
+		};
+		Hooks.callAll(HOOKS.grant, granted);
+		if (currency) Hooks.callAll(HOOKS.purchase, granted);
+
+		return created;
+	}
+
+	/**
+	 * Give coins to an actor. The grant is recorded with negative (received)
+	 * currency, so undoing it takes the coins back.
+	 * @param {Actor} actor
+	 * @param {Partial<import('./CurrencyManager.mjs').CoinAmounts>} coins
+	 * @param {object} [options={}]
+	 * @param {import('./GrantHistory.mjs').GrantSource} [options.source='manual']
+	 * @returns {Promise<boolean>} true if the coins were added
+	 */
+	async grantCurrency(actor, coins, { source = 'manual' } = {}) {
+		if (!await this.#currency.credit(actor, coins)) return false;
+
+		await this.#history.record(actor, {
+			source,
+			items: [],
+			createdIds: [],
+			quantityDeltas: [],
+			currency: Object.fromEntries(Object.entries(coins).map(([denom, amount]) => [denom, -amount])),
+		});
+		return true;
+	}
+
+	/**
+	 * Add class or subclass items from their packs.
+	 * They are not recorded in the grant history, and the createItem hook
+	 * leaves them alone: the caller grants the class content itself.
+	 * @param {Actor} actor
+	 * @param {string[]} uuids - Class and subclass UUIDs
+	 * @param {object} [options={}]
+	 * @param {number|null} [options.classLevel=null] - Starting level set on class items
+	 * @returns {Promise<Item[]|null>} The created items, or null if any could not be resolved or created
+	 */
+	async createClassItems(actor, uuids, { classLevel = null } = {}) {
+		const itemData = await Promise.all(uuids.map((uuid) => this.#prepareItemFromUuid(uuid)));
+		if (itemData.includes(null)) return null;
+
+		if (classLevel != null) {
+			for (const data of itemData) {
+				if (data.type === 'class') foundry.utils.setProperty(data, 'system.classLevel', classLevel);
+			}
+		}
 
 		try {
-			return await actor.createEmbeddedDocuments('Item', toCreate, { keepId: true });
+			return await actor.createEmbeddedDocuments('Item', itemData, { keepId: true, [MODULE_ID]: { skipAutoOpen: true } });
 		} catch (err) {
-			console.error(`${LOG_PREFIX} Failed to grant items to ${actor.name}:`, err);
-			return [];
+			console.error(`${LOG_PREFIX} Failed to add class items to ${actor.name}:`, err);
+			return null;
 		}
 	}
 
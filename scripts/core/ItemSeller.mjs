@@ -0,0 +1,150 @@
+import { MODULE_ID, LOG_PREFIX } from '../utils/constants.mjs';
+import { CompendiumBrowser } from './CompendiumBrowser.mjs';
+import { CurrencyManager } from './CurrencyManager.mjs';
+import { GrantHistory } from './GrantHistory.mjs';
+
+/**
+ * Sells an actor's owned equipment back for coin, at the `sellRatio` world
+ * setting's share of the compendium price.
+ *
+ * The removed items and the proceeds are recorded as a single grant-history
+ * transaction, so undoing a sale restores the items and takes the coins back.
+ * The proceeds and the history entry are written in one update; if it fails,
+ * the removed items are put back.
+ */
+class ItemSeller {
+	/** @type {CompendiumBrowser} */
+	#compendiumBrowser = CompendiumBrowser.instance;
+	/** @type {CurrencyManager} */
+	#currency = new CurrencyManager();
+	/** @type {GrantHistory} */
+	#history = new GrantHistory();
+
+	/**
+	 * Share of the price paid when selling, from 0 to 1.
+	 * @returns {number}
+	 */
+	static get ratio() {
+		return game.settings.get(MODULE_ID, 'sellRatio') / 100;
+	}
+
+	/**
+	 * Price an owned item from its compendium entry, falling back to its own
+	 * price when it has no known source.
+	 * @param {Item} item
+	 * @returns {{priceValue: number, priceDenomination: string}}
+	 */
+	getPrice(item) {
+		const source = item._stats?.compendiumSource ?? item.flags?.core?.sourceId;
+		const entry = source ? this.#compendiumBrowser.getEntry(source) : null;
+		if (entry) return entry;
+		return {
+			priceValue: item.system?.price?.value ?? 0,
+			priceDenomination: item.system?.price?.denomination ?? 'gp',
+		};
+	}
+
+	/**
+	 * What selling some units of an item brings in, in the smallest coin (rounded down).
+	 * @param {Item} item
+	 * @param {number} quantity
+	 * @returns {number}
+	 */
+	getSaleValueInCp(item, quantity) {
+		return Math.floor(this.#currency.getItemPriceInCp(this.getPrice(item)) * quantity * ItemSeller.ratio);
+	}
+
+	/**
+	 * Sell owned items: delete sold-out stacks, decrement the others and
+	 * credit the proceeds in the fewest coins.
+	 * @param {Actor} actor
+	 * @param {Map<string, number>} quantities - Owned item ID → quantity to sell
+	 * @returns {Promise<import('./CurrencyManager.mjs').CoinAmounts|null>} Coins credited, or null if nothing was sold
+	 */
+	async sell(actor, quantities) {
+		const items = [];
+		const toDelete = [];
+		const deletedItems = [];
+		const quantityUpdates = [];
+		const quantityDeltas = [];
+		let totalCp = 0;
+
+		for (const [itemId, requested] of quantities) {
+			const item = actor.items.get(itemId);
+			if (!item) continue;
+			const owned = item.system?.quantity ?? 1;
+			const quantity = Math.min(requested, owned);
+			if (quantity <= 0) continue;
+
+			totalCp += this.getSaleValueInCp(item, quantity);
+			items.push({ name: item.name, img: item.img, quantity });
+			if (quantity >= owned) {
+				toDelete.push(itemId);
+				deletedItems.push(item.toObject());
+			} else {
+				quantityUpdates.push({ _id: itemId, 'system.quantity': owned - quantity });
+				quantityDeltas.push({ itemId, delta: -quantity });
+			}
+		}
+		if (!items.length) return null;
+
+		const proceeds = this.#currency.fromCp(totalCp);
+		const wallet = this.#currency.getWealth(actor);
+		const currencyUpdate = {};
+		const received = {};
+		for (const [denom, amount] of Object.entries(proceeds)) {
+			if (!amount) continue;
+			Object.assign(currencyUpdate, this.#currency.getUpdateData(actor, { [denom]: wallet[denom] + amount }));
+			received[denom] = -amount;
+		}
+
+		const { update } = this.#history.prepareRecord(actor, {
+			source: 'sale',
+			items,
+			createdIds: [],
+			quantityDeltas,
+			deletedItems,
+			currency: Object.keys(received).length ? received : null,
+		});
+
+		let deleted = false;
+		let decremented = false;
+		try {
+			if (toDelete.length) await actor.deleteEmbeddedDocuments('Item', toDelete);
+			deleted = true;
+			if (quantityUpdates.length) await actor.updateEmbeddedDocuments('Item', quantityUpdates);
+			decremented = true;
+			await actor.update({ ...currencyUpdate, ...update });
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to sell items from ${actor.name}:`, err);
+			await ItemSeller.#rollback(actor, {
+				deletedItems: deleted ? deletedItems : [],
+				quantityDeltas: decremented ? quantityDeltas : [],
+			});
+			return null;
+		}
+		return proceeds;
+	}
+
+	/**
+	 * Put back the items of a sale whose coins and history could not be written,
+	 * so a failed sale leaves nothing sold and nothing paid.
+	 * @param {Actor} actor
+	 * @param {{deletedItems: object[], quantityDeltas: Array<{itemId: string, delta: number}>}} changes - Item changes already written
+	 * @returns {Promise<void>}
+	 */
+	static async #rollback(actor, { deletedItems, quantityDeltas }) {
+		try {
+			if (deletedItems.length) await actor.createEmbeddedDocuments('Item', deletedItems, { keepId: true });
+			const restores = quantityDeltas.map(({ itemId, delta }) => ({
+				_id: itemId,
+				'system.quantity': (actor.items.get(itemId)?.system?.quantity ?? 0) - delta,
+			}));
+			if (restores.length) await actor.updateEmbeddedDocuments('Item', restores);
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to restore the items of a failed sale from ${actor.name}:`, err);
+		}
+	}
+}
+
+export { ItemSeller };
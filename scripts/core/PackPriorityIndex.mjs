@@ -0,0 +1,147 @@
+/**
+ * Entries indexed from several prioritized compendium packs, deduplicated by key.
+ *
+ * Every entry is kept so the index can be updated one document at a time;
+ * for each key only the entries from the highest-priority pack holding that
+ * key are visible. Duplicates inside a single pack all stay visible.
+ * @template {{uuid: string, packId: string}} T
+ */
+class PackPriorityIndex {
+	/** @type {(entry: T) => string} Dedupe key of an entry. */
+	#keyOf;
+	/** @type {Map<string, number>} Pack ID → rank (0 = highest priority). */
+	#ranks = new Map();
+	/** @type {Map<string, T>} Every entry, visible or shadowed, by UUID. */
+	#all = new Map();
+	/** @type {Map<string, Set<string>>} Dedupe key → UUIDs of every entry with that key. */
+	#uuidsByKey = new Map();
+	/** @type {Map<string, T>} Visible entries by UUID. */
+	#visible = new Map();
+
+	/**
+	 * @param {(entry: T) => string} keyOf
+	 */
+	constructor(keyOf) {
+		this.#keyOf = keyOf;
+	}
+
+	/** @returns {number} Number of packs in the priority order. */
+	get packCount() {
+		return this.#ranks.size;
+	}
+
+	/**
+	 * Clear every entry and set a new pack order.
+	 * @param {string[]} packIds - Highest priority first
+	 */
+	reset(packIds) {
+		this.#ranks = new Map(packIds.map((id, rank) => [id, rank]));
+		this.#all.clear();
+		this.#uuidsByKey.clear();
+		this.#visible.clear();
+	}
+
+	/**
+	 * @param {string} packId
+	 * @returns {boolean}
+	 */
+	hasPack(packId) {
+		return this.#ranks.has(packId);
+	}
+
+	/**
+	 * @param {string} uuid
+	 * @returns {T|undefined} The entry if it is visible
+	 */
+	get(uuid) {
+		return this.#visible.get(uuid);
+	}
+
+	/**
+	 * @param {string} key - Dedupe key
+	 * @returns {T[]} The visible entries with this key
+	 */
+	getByKey(key) {
+		return [...(this.#uuidsByKey.get(key) ?? [])]
+			.map((uuid) => this.#visible.get(uuid))
+			.filter(Boolean);
+	}
+
+	/** @returns {IterableIterator<T>} Visible entries */
+	values() {
+		return this.#visible.values();
+	}
+
+	/**
+	 * Add an entry, or replace the entry with the same UUID.
+	 * @param {T} entry
+	 */
+	set(entry) {
+		const previousKey = this.#remove(entry.uuid);
+		const key = this.#keyOf(entry);
+
+		this.#all.set(entry.uuid, entry);
+		let uuids = this.#uuidsByKey.get(key);
+		if (!uuids) {
+			uuids = new Set();
+			this.#uuidsByKey.set(key, uuids);
+		}
+		uuids.add(entry.uuid);
+
+		if (previousKey != null && previousKey !== key) this.#refreshKey(previousKey);
+		this.#refreshKey(key);
+	}
+
+	/**
+	 * Remove an entry; a shadowed entry with the same key may become visible.
+	 * @param {string} uuid
+	 * @returns {boolean} true if the entry was indexed
+	 */
+	delete(uuid) {
+		const key = this.#remove(uuid);
+		if (key == null) return false;
+		this.#refreshKey(key);
+		return true;
+	}
+
+	/**
+	 * Drop an entry from every map without refreshing its key.
+	 * @param {string} uuid
+	 * @returns {string|null} The entry's key, or null if it was not indexed
+	 */
+	#remove(uuid) {
+		const entry = this.#all.get(uuid);
+		if (!entry) return null;
+
+		const key = this.#keyOf(entry);
+		this.#all.delete(uuid);
+		this.#visible.delete(uuid);
+		const uuids = this.#uuidsByKey.get(key);
+		uuids?.delete(uuid);
+		if (!uuids?.size) this.#uuidsByKey.delete(key);
+		return key;
+	}
+
+	/**
+	 * Recompute which entries of a key are visible.
+	 * @param {string} key
+	 */
+	#refreshKey(key) {
+		const entries = [...(this.#uuidsByKey.get(key) ?? [])].map((uuid) => this.#all.get(uuid));
+		const best = Math.min(...entries.map((e) => this.#rank(e)));
+		for (const entry of entries) {
+			if (this.#rank(entry) === best) this.#visible.set(entry.uuid, entry);
+			else this.#visible.delete(entry.uuid);
+		}
+	}
+
+	/**
+	 * @param {T} entry
+	 * @returns {number}
+	 */
+	#rank(entry) {
+		return this.#ranks.get(entry.packId) ?? Infinity;
+	}
+}
+
+export { PackPriorityIndex };
@@ -0,0 +1,359 @@
+import { buildOwnedItemKeys } from '../utils/constants.mjs';
+import { ClassFeatureResolver } from '../data/ClassFeatureResolver.mjs';
+import { SchoolChoiceResolver } from '../data/SchoolChoiceResolver.mjs';
+import { SpellsKnownResolver } from '../data/SpellsKnownResolver.mjs';
+import { EquipmentProficiencyResolver } from '../data/EquipmentProficiencyResolver.mjs';
+import { AutoGranter } from './AutoGranter.mjs';
+import { ItemGranter } from './ItemGranter.mjs';
+import { CurrencyManager } from './CurrencyManager.mjs';
+import { CompendiumBrowser } from './CompendiumBrowser.mjs';
+import { GrantApproval } from './GrantApproval.mjs';
+
+/**
+ * @typedef {object} ApiClassOptions
+ * @property {string|null} [classItemId=null] - Class to resolve for (defaults to the primary class)
+ */
+
+/**
+ * @typedef {object} ApiFeature
+ * @property {string|null} uuid - null when the feature has no compendium match
+ * @property {string} name
+ * @property {string} img
+ * @property {number|null} level
+ * @property {string|null} selectableGroup - Set when the feature is one option of a choice
+ * @property {boolean} alreadyOwned
+ */
+
+/**
+ * @typedef {object} ApiSpell
+ * @property {string} uuid
+ * @property {string} name
+ * @property {string} img
+ * @property {string} school
+ * @property {number} tier
+ * @property {boolean} isUtility
+ * @property {boolean} alreadyOwned
+ */
+
+/**
+ * @typedef {object} ApiEquipment
+ * @property {string} uuid
+ * @property {string} name
+ * @property {string} img
+ * @property {string} objectType
+ * @property {number} priceCp - Unit price in the smallest coin (copper pieces by default)
+ * @property {boolean} proficient
+ */
+
+/**
+ * @typedef {object} ApiPendingChoices
+ * @property {string} classItemId
+ * @property {string} classIdentifier
+ * @property {string|null} subclassIdentifier
+ * @property {number} level
+ * @property {string[]} selectableGroups - Groups with no option owned yet
+ * @property {import('../data/SchoolChoiceResolver.mjs').PendingChoice[]} schoolChoices
+ * @property {import('../data/SpellsKnownResolver.mjs').PendingSpellChoice[]} spellChoices
+ */
+
+/**
+ * @typedef {object} ApiResult
+ * @property {boolean} success
+ * @property {string|null} reason - Why nothing was done: 'invalidActor', 'noClass', 'noItems', 'invalidChoice', 'cannotAfford', 'cancelled' (by a preGrant listener), 'needsApproval' (a player with GM approval on) or 'failed'
+ */
+
+/**
+ * Headless access to the selector's resolution and granting, exposed as
+ * `game.modules.get('nimble-selector').api`.
+ *
+ * Every method returns plain data and never opens a window or shows a
+ * notification, so macros and other modules can drive the same logic as
+ * the selector apps. Grants are applied directly with the current user's
+ * permissions. With the GM approval setting on, `grant` and `purchase` are
+ * refused to players, who must ask through the apps.
+ */
+class SelectorApi {
+	/** @type {import('./SelectorOrchestrator.mjs').SelectorOrchestrator} */
+	#orchestrator;
+	/** @type {ClassFeatureResolver} */
+	#featureResolver = new ClassFeatureResolver();
+	/** @type {SchoolChoiceResolver} */
+	#schoolChoiceResolver = new SchoolChoiceResolver();
+	/** @type {SpellsKnownResolver} */
+	#spellsKnownResolver = new SpellsKnownResolver();
+	/** @type {EquipmentProficiencyResolver} */
+	#proficiencyResolver = new EquipmentProficiencyResolver();
+	/** @type {AutoGranter} */
+	#autoGranter = new AutoGranter();
+	/** @type {ItemGranter} */
+	#granter = new ItemGranter();
+	/** @type {CurrencyManager} */
+	#currency = new CurrencyManager();
+	/** @type {CompendiumBrowser} */
+	#compendiumBrowser = CompendiumBrowser.instance;
+	/** @type {GrantApproval} */
+	#approval = new GrantApproval();
+
+	/**
+	 * @param {import('./SelectorOrchestrator.mjs').SelectorOrchestrator} orchestrator
+	 */
+	constructor(orchestrator) {
+		this.#orchestrator = orchestrator;
+	}
+
+	/* ---------------------------------------- */
+	/*  Resolution                              */
+	/* ---------------------------------------- */
+
+	/**
+	 * List the actor's classes, primary class first.
+	 * @param {Actor} actor
+	 * @returns {Promise<import('./SelectorOrchestrator.mjs').ActorClassInfo[]>} Empty if `actor` is not an Actor
+	 */
+	async getClasses(actor) {
+		if (!SelectorApi.#isActor(actor)) return [];
+		await this.#orchestrator.ensureReady();
+		return this.#orchestrator.getActorClassInfo(actor);
+	}
+
+	/**
+	 * List the features of a class up to its current level.
+	 * @param {Actor} actor
+	 * @param {ApiClassOptions & {fromLevel?: number, toLevel?: number|null}} [options={}]
+	 * @returns {Promise<ApiFeature[]>} Empty if the actor has no class
+	 */
+	async getAvailableFeatures(actor, { classItemId = null, fromLevel = 1, toLevel = null } = {}) {
+		const info = await this.#getClassInfo(actor, classItemId);
+		if (!info) return [];
+
+		const resolved = this.#featureResolver.resolveRange(
+			info.classIdentifier, fromLevel, toLevel ?? info.level, info.subclassIdentifier,
+		);
+		return this.#featureResolver.markOwnedFeatures(actor, resolved).map((f) => ({
+			uuid: f.matched ? f.uuid : null,
+			name: f.name,
+			img: f.img,
+			level: f.level,
+			selectableGroup: f.selectableGroup,
+			alreadyOwned: f.alreadyOwned,
+		}));
+	}
+
+	/**
+	 * List the spells a class can learn at its current level, with the
+	 * actor's saved school choices.
+	 * @param {Actor} actor
+	 * @param {ApiClassOptions} [options={}]
+	 * @returns {Promise<ApiSpell[]>} Empty if the actor has no class or no spellcasting
+	 */
+	async getAvailableSpells(actor, { classItemId = null } = {}) {
+		const info = await this.#getClassInfo(actor, classItemId);
+		if (!info) return [];
+
+		const ownedKeys = buildOwnedItemKeys(actor, 'spell');
+		return this.#spellsKnownResolver
+			.findLearnableSpells(actor, info.classIdentifier, info.level, info.subclassIdentifier)
+			.map((s) => ({
+				uuid: s.uuid,
+				name: s.name,
+				img: s.img,
+				school: s.school,
+				tier: s.tier,
+				isUtility: s.isUtility,
+				alreadyOwned: ownedKeys.has(s.uuid) || ownedKeys.has(s._normalizedName),
+			}));
+	}
+
+	/**
+	 * List the equipment a class can pick from.
+	 * @param {Actor} actor
+	 * @param {ApiClassOptions & {proficientOnly?: boolean}} [options={}]
+	 * @returns {Promise<ApiEquipment[]>} Empty if the actor has no class
+	 */
+	async getAvailableEquipment(actor, { classItemId = null, proficientOnly = true } = {}) {
+		const info = await this.#getClassInfo(actor, classItemId);
+		if (!info) return [];
+
+		const proficiencies = this.#proficiencyResolver.resolve(info.classIdentifier, info.subclassIdentifier);
+		return this.#proficiencyResolver.findAvailableEquipment(info.classIdentifier, info.subclassIdentifier)
+			.map((item) => ({
+				uuid: item.uuid,
+				name: item.name,
+				img: item.img,
+				objectType: item.objectType,
+				priceCp: this.#currency.getItemPriceInCp(item),
+				proficient: this.#proficiencyResolver.matchesProficiency(item, proficiencies),
+			}))
+			.filter((item) => !proficientOnly || item.proficient);
+	}
+
+	/**
+	 * List the choices left open on every class of the actor.
+	 * @param {Actor} actor
+	 * @returns {Promise<ApiPendingChoices[]>} One entry per class, primary class first
+	 */
+	async getPendingChoices(actor) {
+		const infos = await this.getClasses(actor);
+		return infos.map((info) => {
+			const features = this.#featureResolver.markOwnedFeatures(
+				actor,
+				this.#featureResolver.resolveRange(info.classIdentifier, 1, info.level, info.subclassIdentifier),
+			);
+			const groups = new Map();
+			for (const f of features) {
+				if (!f.selectableGroup) continue;
+				groups.set(f.selectableGroup, groups.get(f.selectableGroup) || f.alreadyOwned);
+			}
+
+			const spellsKnown = this.#spellsKnownResolver.getStatus(
+				actor, info.classIdentifier, info.level, info.subclassIdentifier,
+			);
+			return {
+				classItemId: info.classItemId,
+				classIdentifier: info.classIdentifier,
+				subclassIdentifier: info.subclassIdentifier,
+				level: info.level,
+				selectableGroups: [...groups].filter(([, owned]) => !owned).map(([group]) => group),
+				schoolChoices: this.#schoolChoiceResolver.getPendingChoices(
+					actor, info.classIdentifier, info.level, info.subclassIdentifier,
+				),
+				spellChoices: spellsKnown?.remaining > 0
+					? [{ classIdentifier: info.classIdentifier, subclassIdentifier: info.subclassIdentifier, level: info.level, ...spellsKnown }]
+					: [],
+			};
+		});
+	}
+
+	/* ---------------------------------------- */
+	/*  Granting                                */
+	/* ---------------------------------------- */
+
+	/**
+	 * Grant compendium items to an actor, recorded in its grant history.
+	 * @param {Actor} actor
+	 * @param {string[]|Map<string, number>} uuidsOrQuantities - Array of UUIDs or Map of UUID → quantity
+	 * @param {object} [options={}]
+	 * @param {import('./GrantHistory.mjs').GrantSource} [options.source='manual']
+	 * @returns {Promise<ApiResult & {createdIds: string[]}>} Items stacked onto owned ones are not listed in createdIds
+	 */
+	async grant(actor, uuidsOrQuantities, { source = 'manual' } = {}) {
+		if (!SelectorApi.#isActor(actor)) return { success: false, reason: 'invalidActor', createdIds: [] };
+		const count = uuidsOrQuantities instanceof Map ? uuidsOrQuantities.size : uuidsOrQuantities?.length;
+		if (!count) return { success: false, reason: 'noItems', createdIds: [] };
+		if (this.#approval.isRequired()) return { success: false, reason: 'needsApproval', createdIds: [] };
+
+		await this.#orchestrator.ensureReady();
+		const grant = await this.#granter.prepareGrant(actor, uuidsOrQuantities, { source });
+		if (!grant) return { success: false, reason: 'cancelled', createdIds: [] };
+		if (!grant.entries.length) return { success: false, reason: 'noItems', createdIds: [] };
+
+		const created = await this.#granter.applyGrant(grant);
+		if (!created) return { success: false, reason: 'failed', createdIds: [] };
+		return { success: true, reason: null, createdIds: created.map((item) => item.id) };
+	}
+
+	/**
+	 * Auto-grant the deterministic features and spells of a level range,
+	 * like a level-up with auto-grant on, without the toast or the panel.
+	 * @param {Actor} actor
+	 * @param {number} fromLevel - Start of the range (inclusive)
+	 * @param {number} toLevel - End of the range (inclusive)
+	 * @param {ApiClassOptions} [options={}]
+	 * @returns {Promise<ApiResult & {result: import('./AutoGranter.mjs').AutoGrantResult|null}>}
+	 */
+	async autoGrant(actor, fromLevel, toLevel, { classItemId = null } = {}) {
+		if (!SelectorApi.#isActor(actor)) return { success: false, reason: 'invalidActor', result: null };
+		const info = await this.#getClassInfo(actor, classItemId);
+		if (!info) return { success: false, reason: 'noClass', result: null };
+
+		const result = await this.#autoGranter.execute(
+			actor, info.classIdentifier, fromLevel, toLevel, info.subclassIdentifier,
+		);
+		return { success: true, reason: null, result };
+	}
+
+	/**
+	 * Save the schools picked for a pending school choice.
+	 * @param {Actor} actor
+	 * @param {string} key - PendingChoice key, from getPendingChoices()
+	 * @param {string[]} schools - Exactly `count` schools among the choice's available options
+	 * @returns {Promise<ApiResult>}
+	 */
+	async saveSchoolChoice(actor, key, schools) {
+		if (!SelectorApi.#isActor(actor)) return { success: false, reason: 'invalidActor' };
+		const pending = (await this.getPendingChoices(actor)).flatMap((p) => p.schoolChoices);
+		const choice = pending.find((c) => c.key === key);
+		const valid = choice
+			&& Array.isArray(schools)
+			&& new Set(schools).size === choice.count
+			&& schools.length === choice.count
+			&& schools.every((s) => choice.availableOptions.includes(s));
+		if (!valid) return { success: false, reason: 'invalidChoice' };
+
+		await this.#schoolChoiceResolver.saveChoice(actor, key, schools);
+		return { success: true, reason: null };
+	}
+
+	/**
+	 * Buy equipment: charge the actor, then grant the items. The preGrant hook
+	 * runs first, and only the items it leaves are charged.
+	 * @param {Actor} actor
+	 * @param {Map<string, number>} quantities - UUID → quantity
+	 * @param {object} [options={}]
+	 * @param {boolean} [options.payTheBill=true] - false grants the items without charging
+	 * @returns {Promise<ApiResult & {paid: Record<string, number>|null, createdIds: string[]}>} `paid` is per denomination, negative for change received
+	 */
+	async purchase(actor, quantities, { payTheBill = true } = {}) {
+		if (!SelectorApi.#isActor(actor)) return { success: false, reason: 'invalidActor', paid: null, createdIds: [] };
+		if (!quantities?.size) return { success: false, reason: 'noItems', paid: null, createdIds: [] };
+		if (this.#approval.isRequired()) return { success: false, reason: 'needsApproval', paid: null, createdIds: [] };
+		await this.#orchestrator.ensureReady();
+
+		const grant = await this.#granter.prepareGrant(actor, quantities, { source: 'purchase' });
+		if (!grant) return { success: false, reason: 'cancelled', paid: null, createdIds: [] };
+		if (!grant.entries.length) return { success: false, reason: 'noItems', paid: null, createdIds: [] };
+
+		let paid = null;
+		if (payTheBill) {
+			const { byDenom, totalCp } = this.#currency.getCost(
+				[...ItemGranter.quantitiesOf(grant)].map(([uuid, qty]) => [this.#compendiumBrowser.getEntry(uuid), qty]),
+			);
+			if (totalCp > this.#currency.getWealthInCp(actor)) {
+				return { success: false, reason: 'cannotAfford', paid: null, createdIds: [] };
+			}
+			paid = await this.#currency.deduct(actor, byDenom, { quiet: true });
+			if (!paid) return { success: false, reason: 'failed', paid: null, createdIds: [] };
+		}
+
+		const created = await this.#granter.applyGrant(grant, { currency: paid });
+		if (!created) {
+			if (paid) await this.#currency.refund(actor, paid);
+			return { success: false, reason: 'failed', paid: null, createdIds: [] };
+		}
+		return { success: true, reason: null, paid, createdIds: created.map((item) => item.id) };
+	}
+
+	/* ---------------------------------------- */
+	/*  Helpers                                 */
+	/* ---------------------------------------- */
+
+	/**
+	 * @param {Actor} actor
+	 * @param {string|null} classItemId
+	 * @returns {Promise<import('./SelectorOrchestrator.mjs').ActorClassInfo|null>}
+	 */
+	async #getClassInfo(actor, classItemId) {
+		const infos = await this.getClasses(actor);
+		return infos.find((i) => i.classItemId === classItemId) ?? infos[0] ?? null;
+	}
+
+	/**
+	 * @param {unknown} actor
+	 * @returns {boolean}
+	 */
+	static #isActor(actor) {
+		return actor instanceof Actor;
+	}
+}
+
+export { SelectorApi };
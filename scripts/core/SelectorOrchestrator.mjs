@@ -5,14 +5,25 @@ import { SelectorPanel } from '../apps/SelectorPanel.mjs';
 import { ClassFeatureSelector } from '../apps/ClassFeatureSelector.mjs';
 import { SpellSelector } from '../apps/SpellSelector.mjs';
 import { EquipmentSelector } from '../apps/EquipmentSelector.mjs';
+import { CharacterCreationWizard } from '../apps/CharacterCreationWizard.mjs';
+import { PartyLevelUp } from '../apps/PartyLevelUp.mjs';
 import { AutoGranter } from './AutoGranter.mjs';
 import { AutoGrantNotifier } from './AutoGrantNotifier.mjs';
+import { RespecResolver } from '../data/RespecResolver.mjs';
 
 /**
  * @typedef {object} ActorClassInfo
+ * @property {string} classItemId - ID of the embedded class item
  * @property {string} classIdentifier
  * @property {string|null} subclassIdentifier
- * @property {number} level
+ * @property {number} level - Level in this class (not total character level)
+ */
+
+/**
+ * @typedef {object} ClassLevelRange
+ * @property {ActorClassInfo} info
+ * @property {number} fromLevel
+ * @property {number} toLevel
  */
 
 /**
@@ -28,12 +39,15 @@ class SelectorOrchestrator {
 	#autoGranter;
 	/** @type {AutoGrantNotifier} */
 	#autoGrantNotifier;
+	/** @type {RespecResolver} */
+	#respecResolver;
 
 	constructor() {
 		this.#dataProvider = DataProvider.instance;
 		this.#compendiumBrowser = CompendiumBrowser.instance;
 		this.#autoGranter = new AutoGranter();
 		this.#autoGrantNotifier = new AutoGrantNotifier();
+		this.#respecResolver = new RespecResolver();
 	}
 
 	/**
@@ -50,58 +64,112 @@ class SelectorOrchestrator {
 	}
 
 	/**
-	 * Extract class information from an actor.
+	 * Extract class information from an actor, one entry per class item.
 	 * Uses the Nimble system's native `item.identifier` getter which returns
 	 * `system.identifier || name.slugify({ strict: true })`.
+	 *
+	 * Subclasses are paired with their class through `system.parentClass`;
+	 * any subclass without a resolvable parent goes to the first class that
+	 * has no subclass yet. Entries are sorted by level, highest first, so the
+	 * primary class comes first.
 	 * @param {Actor} actor
-	 * @returns {ActorClassInfo|null}
+	 * @returns {ActorClassInfo[]} Empty if the actor has no class
 	 */
 	getActorClassInfo(actor) {
-		if (actor?.type !== 'character') return null;
+		if (actor?.type !== 'character') return [];
 
-		// Single pass over actor.items to find both class and subclass
-		let classItem = null;
-		let subclassItem = null;
+		const classItems = [];
+		const subclassItems = [];
 		for (const item of actor.items) {
-			if (item.type === 'class') classItem = item;
-			else if (item.type === 'subclass') subclassItem = item;
-			if (classItem && subclassItem) break;
+			if (item.type === 'class') classItems.push(item);
+			else if (item.type === 'subclass') subclassItems.push(item);
 		}
-		if (!classItem) return null;
 
-		return {
+		/** @type {ActorClassInfo[]} */
+		const infos = classItems.map((classItem) => ({
+			classItemId: classItem.id,
 			classIdentifier: SelectorOrchestrator.#getIdentifier(classItem),
-			subclassIdentifier: subclassItem ? SelectorOrchestrator.#getIdentifier(subclassItem) : null,
+			subclassIdentifier: null,
 			level: classItem.system?.classLevel ?? 1,
-		};
+		}));
+
+		const unpaired = [];
+		for (const subclassItem of subclassItems) {
+			const parent = subclassItem.system?.parentClass;
+			const info = parent && infos.find((i) => i.classIdentifier === parent && !i.subclassIdentifier);
+			if (info) info.subclassIdentifier = SelectorOrchestrator.#getIdentifier(subclassItem);
+			else unpaired.push(subclassItem);
+		}
+		for (const subclassItem of unpaired) {
+			const info = infos.find((i) => !i.subclassIdentifier);
+			if (!info) break;
+			info.subclassIdentifier = SelectorOrchestrator.#getIdentifier(subclassItem);
+		}
+
+		return infos.sort((a, b) => b.level - a.level);
 	}
 
 	/**
-	 * Open the main selector panel for an actor.
+	 * Open the main selector panel for an actor, with one tab per class.
+	 * A character without a class gets the creation wizard instead.
 	 * @param {Actor} actor
 	 * @returns {Promise<void>}
 	 */
 	async openForActor(actor) {
-		const info = await this.#requireClassInfo(actor);
-		if (!info) return;
+		await this.ensureReady();
+		if (actor?.type === 'character' && !this.getActorClassInfo(actor).length) {
+			await this.openCreationWizard(actor);
+			return;
+		}
+
+		const infos = await this.#requireClassInfo(actor);
+		if (!infos.length) return;
+
+		new SelectorPanel(actor, infos.map((info) => ({ ...info, fromLevel: 1 })))
+			.render(true);
+	}
+
+	/**
+	 * Open the character-creation wizard (class, subclass, schools, features,
+	 * spells and starting gear) for a character.
+	 * @param {Actor} actor
+	 * @returns {Promise<void>}
+	 */
+	async openCreationWizard(actor) {
+		await this.ensureReady();
+		if (actor?.type !== 'character') return;
+
+		new CharacterCreationWizard(actor)
+			.render(true);
+	}
+
+	/**
+	 * Open the GM tool that levels up several characters at once.
+	 * @returns {Promise<void>}
+	 */
+	async openPartyLevelUp() {
+		if (!game.user.isGM) return;
+		await this.ensureReady();
 
-		new SelectorPanel(actor, info.classIdentifier, info.level, 1, info.subclassIdentifier)
+		new PartyLevelUp(this)
 			.render(true);
 	}
 
 	/**
 	 * Open the selector panel for a specific level-up range.
+	 * The levelled class gets the range; other classes show their full progression.
 	 * @param {Actor} actor
 	 * @param {number} fromLevel
 	 * @param {number} toLevel
+	 * @param {string|null} [classItemId=null] - Levelled class (defaults to the primary class)
 	 * @returns {Promise<void>}
 	 */
-	async openForLevelUp(actor, fromLevel, toLevel) {
-		const info = await this.#requireClassInfo(actor);
-		if (!info) return;
+	async openForLevelUp(actor, fromLevel, toLevel, classItemId = null) {
+		const infos = await this.#requireClassInfo(actor);
+		if (!infos.length) return;
 
-		new SelectorPanel(actor, info.classIdentifier, toLevel, fromLevel, info.subclassIdentifier)
-			.render(true);
+		const target = SelectorOrchestrator.#findClassInfo(infos, classItemId);
+		this.#openPanel(actor, infos, [{ info: target, fromLevel, toLevel }]);
 	}
 
 	/**
@@ -111,10 +179,43 @@ class SelectorOrchestrator {
 	 * @param {Actor} actor
 	 * @param {number} fromLevel
 	 * @param {number} toLevel
+	 * @param {string|null} [classItemId=null] - Levelled class (defaults to the primary class)
 	 * @returns {Promise<void>}
 	 */
-	async handleLevelUp(actor, fromLevel, toLevel) {
-		await this.#autoGrantOrOpen(actor, fromLevel, toLevel);
+	async handleLevelUp(actor, fromLevel, toLevel, classItemId = null) {
+		const infos = await this.#requireClassInfo(actor);
+		if (!infos.length) return;
+
+		const target = SelectorOrchestrator.#findClassInfo(infos, classItemId);
+		await this.#autoGrantOrOpen(actor, infos, [{ info: target, fromLevel, toLevel }]);
+	}
+
+	/**
+	 * Called from the updateItem hook when a class level goes down.
+	 * Opens the panel in respec mode on that class when anything granted
+	 * above the new level is still on the actor.
+	 * @param {Actor} actor
+	 * @param {number} previousLevel - Class level before the update
+	 * @param {number} newLevel - Class level after the update
+	 * @param {string|null} [classItemId=null] - Lowered class (defaults to the primary class)
+	 * @returns {Promise<void>}
+	 */
+	async handleLevelDown(actor, previousLevel, newLevel, classItemId = null) {
+		const infos = await this.#requireClassInfo(actor);
+		if (!infos.length) return;
+
+		const target = SelectorOrchestrator.#findClassInfo(infos, classItemId);
+		const others = infos.filter((i) => i !== target);
+		const { features, spells, schoolChoiceKeys } = this.#respecResolver.findRemovable(
+			actor, target, previousLevel, newLevel, others,
+		);
+		if (!features.length && !spells.length && !schoolChoiceKeys.length) return;
+
+		const entries = infos.map((info) => (info === target
+			? { ...info, fromLevel: 1, respecFromLevel: previousLevel }
+			: { ...info, fromLevel: 1 }));
+		new SelectorPanel(actor, entries, target.classItemId)
+			.render(true);
 	}
 
 	/**
@@ -122,48 +223,81 @@ class SelectorOrchestrator {
 	 * If auto-grant is enabled, grants items silently.
 	 * Otherwise falls back to opening the selector panel.
 	 * @param {Actor} actor
+	 * @param {string|null} [classItemId=null] - The new class (defaults to every class)
 	 * @returns {Promise<void>}
 	 */
-	async handleClassCreation(actor) {
-		const info = await this.#requireClassInfo(actor);
-		if (!info) return;
-		await this.#autoGrantOrOpen(actor, 1, info.level);
+	async handleClassCreation(actor, classItemId = null) {
+		const infos = await this.#requireClassInfo(actor);
+		if (!infos.length) return;
+
+		const targets = classItemId
+			? [SelectorOrchestrator.#findClassInfo(infos, classItemId)]
+			: infos;
+		const ranges = targets.map((info) => ({ info, fromLevel: 1, toLevel: info.level }));
+		await this.#autoGrantOrOpen(actor, infos, ranges);
 	}
 
 	/**
-	 * Attempt auto-grant for the level range; open the panel if auto-grant
-	 * is disabled or if user choices remain pending.
+	 * Attempt auto-grant for each class range; open the panel if auto-grant
+	 * is disabled or if user choices remain pending for any class.
 	 * @param {Actor} actor
-	 * @param {number} fromLevel
-	 * @param {number} toLevel
+	 * @param {ActorClassInfo[]} infos - Every class the actor holds
+	 * @param {ClassLevelRange[]} ranges - Classes to grant for
 	 * @returns {Promise<void>}
 	 */
-	async #autoGrantOrOpen(actor, fromLevel, toLevel) {
-		const info = await this.#requireClassInfo(actor);
-		if (!info) return;
-
+	async #autoGrantOrOpen(actor, infos, ranges) {
 		if (this.#autoGranter.shouldAutoGrant(actor)) {
-			const result = await this.#autoGranter.execute(
-				actor, info.classIdentifier, fromLevel, toLevel, info.subclassIdentifier,
-			);
-			this.#autoGrantNotifier.notify(actor, result.granted, result.pending);
+			const granted = { features: [], spells: [] };
+			const pending = { selectableGroups: [], schoolChoices: [], spellChoices: [] };
 
-			if (!hasPendingChoices(result.pending)) return;
+			for (const { info, fromLevel, toLevel } of ranges) {
+				const result = await this.#autoGranter.execute(
+					actor, info.classIdentifier, fromLevel, toLevel, info.subclassIdentifier,
+				);
+				granted.features.push(...result.granted.features);
+				granted.spells.push(...result.granted.spells);
+				pending.selectableGroups.push(...result.pending.selectableGroups);
+				pending.schoolChoices.push(...result.pending.schoolChoices);
+				pending.spellChoices.push(...result.pending.spellChoices);
+			}
+			this.#autoGrantNotifier.notify(actor, granted, pending);
+
+			if (!hasPendingChoices(pending)) return;
 		}
 
-		new SelectorPanel(actor, info.classIdentifier, toLevel, fromLevel, info.subclassIdentifier)
+		this.#openPanel(actor, infos, ranges);
+	}
+
+	/**
+	 * Open the panel with one tab per class. Classes covered by `ranges` use
+	 * that range and the first of them becomes the active tab.
+	 * @param {Actor} actor
+	 * @param {ActorClassInfo[]} infos
+	 * @param {ClassLevelRange[]} ranges
+	 */
+	#openPanel(actor, infos, ranges) {
+		const entries = infos.map((info) => {
+			const range = ranges.find((r) => r.info.classItemId === info.classItemId);
+			return range
+				? { ...info, level: range.toLevel, fromLevel: range.fromLevel }
+				: { ...info, fromLevel: 1 };
+		});
+
+		new SelectorPanel(actor, entries, ranges[0]?.info.classItemId ?? null)
 			.render(true);
 	}
 
 	/**
 	 * Open only the feature selector.
 	 * @param {Actor} actor
+	 * @param {string|null} [classItemId=null] - Class to open for (defaults to the primary class)
 	 * @returns {Promise<void>}
 	 */
-	async openFeatureSelector(actor) {
-		const info = await this.#requireClassInfo(actor);
-		if (!info) return;
+	async openFeatureSelector(actor, classItemId = null) {
+		const infos = await this.#requireClassInfo(actor);
+		if (!infos.length) return;
 
+		const info = SelectorOrchestrator.#findClassInfo(infos, classItemId);
 		new ClassFeatureSelector(actor, info.classIdentifier, 1, info.level, info.subclassIdentifier)
 			.render(true);
 	}
@@ -171,12 +305,14 @@ class SelectorOrchestrator {
 	/**
 	 * Open only the spell selector.
 	 * @param {Actor} actor
+	 * @param {string|null} [classItemId=null] - Class to open for (defaults to the primary class)
 	 * @returns {Promise<void>}
 	 */
-	async openSpellSelector(actor) {
-		const info = await this.#requireClassInfo(actor);
-		if (!info) return;
+	async openSpellSelector(actor, classItemId = null) {
+		const infos = await this.#requireClassInfo(actor);
+		if (!infos.length) return;
 
+		const info = SelectorOrchestrator.#findClassInfo(infos, classItemId);
 		new SpellSelector(actor, info.classIdentifier, info.level, info.subclassIdentifier)
 			.render(true);
 	}
@@ -184,28 +320,42 @@ class SelectorOrchestrator {
 	/**
 	 * Open only the equipment selector.
 	 * @param {Actor} actor
+	 * @param {string|null} [classItemId=null] - Class to open for (defaults to the primary class)
+	 * @param {object} [options={}]
+	 * @param {string|null} [options.shop=null] - Shop to buy from (world shop ID or merchant actor UUID) instead of the full catalogue
 	 * @returns {Promise<void>}
 	 */
-	async openEquipmentSelector(actor) {
-		const info = await this.#requireClassInfo(actor);
-		if (!info) return;
+	async openEquipmentSelector(actor, classItemId = null, { shop = null } = {}) {
+		const infos = await this.#requireClassInfo(actor);
+		if (!infos.length) return;
 
-		new EquipmentSelector(actor, info.classIdentifier)
+		const info = SelectorOrchestrator.#findClassInfo(infos, classItemId);
+		new EquipmentSelector(actor, info.classIdentifier, info.subclassIdentifier, { shop })
 			.render(true);
 	}
 
 	/**
 	 * Ensure ready, extract class info, and warn the user if missing.
 	 * @param {Actor} actor
-	 * @returns {Promise<ActorClassInfo|null>}
+	 * @returns {Promise<ActorClassInfo[]>}
 	 */
 	async #requireClassInfo(actor) {
 		await this.ensureReady();
-		const info = this.getActorClassInfo(actor);
-		if (!info) {
+		const infos = this.getActorClassInfo(actor);
+		if (!infos.length) {
 			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.notifications.noClass'));
 		}
-		return info;
+		return infos;
+	}
+
+	/**
+	 * Pick the class entry matching a class item ID, falling back to the primary class.
+	 * @param {ActorClassInfo[]} infos - Non-empty
+	 * @param {string|null} classItemId
+	 * @returns {ActorClassInfo}
+	 */
+	static #findClassInfo(infos, classItemId) {
+		return infos.find((i) => i.classItemId === classItemId) ?? infos[0];
 	}
 
 	/**
@@ -0,0 +1,537 @@
+import { MODULE_ID, LOG_PREFIX } from '../utils/constants.mjs';
+import { CompendiumBrowser } from './CompendiumBrowser.mjs';
+import { CurrencyManager } from './CurrencyManager.mjs';
+
+/** @type {number} How long a player waits for the GM to answer a stock request (ms). */
+const STOCK_RESPONSE_TIMEOUT_MS = 10000;
+
+/** @type {number} How long the GM lets a player hand back a reservation (ms); after that it counts as sold. */
+const RESERVATION_TTL_MS = 120000;
+
+/**
+ * @typedef {object} ShopData
+ * @property {string} name
+ * @property {number} markup - Price multiplier (1 = list price)
+ * @property {string[]} categories - Object types the shop deals in (empty = all)
+ * @property {Record<string, number|null>} stock - Compendium item UUID → units in stock (null = unlimited)
+ */
+
+/**
+ * @typedef {ShopData & {id: string, merchant: Actor|null}} Shop
+ * `id` is the key in the `shops` world setting, or the merchant actor's UUID.
+ */
+
+/**
+ * @typedef {import('./CompendiumBrowser.mjs').ItemData & {stock: number|null}} ShopItem
+ * An indexed item priced at the shop's markup.
+ */
+
+/**
+ * @typedef {object} StockRequest
+ * @property {string} requestId
+ * @property {string} senderId
+ * @property {string} shopId
+ * @property {'reserve'|'release'|'restock'} operation
+ * @property {Array<[string, number]>} items - UUID and quantity pairs
+ * @property {string} [actorUuid] - Restock only: actor whose purchase is undone
+ * @property {string} [transactionId] - Restock only: the purchase in that actor's grant history
+ */
+
+/**
+ * @typedef {object} Reservation
+ * @property {string} senderId - Player who reserved the items
+ * @property {string} shopId
+ * @property {Array<[string, number]>} items - UUID and quantity pairs
+ * @property {number} expires - Epoch milliseconds after which it can no longer be released
+ */
+
+/**
+ * Singleton for the GM-defined shops: named inventories drawn from the item
+ * index, with stock counts, a price multiplier and category restrictions.
+ * Shops live in the `shops` world setting or in a flag on a merchant actor.
+ *
+ * Only the GM may write either, so players reserve stock through the module
+ * socket: the active GM's client checks and applies the change, then answers.
+ * Stock changes on the GM client run one at a time so two purchases never
+ * read the same count. The GM remembers each player reservation for a while,
+ * and a player may only release stock it reserved itself. Undoing a purchase
+ * restocks the shop once, for an actor the player owns.
+ */
+class ShopManager {
+	static #instance = null;
+
+	/** @type {CompendiumBrowser} */
+	#compendiumBrowser = CompendiumBrowser.instance;
+	/** @type {CurrencyManager} */
+	#currency = new CurrencyManager();
+	/** @type {Map<string, (ok: boolean) => void>} Stock requests awaiting the GM, by request ID. */
+	#pending = new Map();
+	/** @type {Map<string, Reservation>} Player reservations the GM still accepts a release for, by request ID. */
+	#reservations = new Map();
+	/** @type {Set<string>} Purchases already restocked on the GM client, by transaction ID. */
+	#restocked = new Set();
+	/** @type {Promise<unknown>} Tail of the GM-side stock change queue. */
+	#queue = Promise.resolve();
+
+	constructor() {
+		if (ShopManager.#instance) {
+			throw new Error('ShopManager is a singleton. Use ShopManager.instance instead.');
+		}
+	}
+
+	/** @returns {ShopManager} */
+	static get instance() {
+		if (!ShopManager.#instance) {
+			ShopManager.#instance = new ShopManager();
+		}
+		return ShopManager.#instance;
+	}
+
+	/* ---------------------------------------- */
+	/*  Reading                                 */
+	/* ---------------------------------------- */
+
+	/**
+	 * List every shop: world shops and merchant actors, sorted by name.
+	 * @returns {Shop[]}
+	 */
+	list() {
+		const worldShops = Object.entries(game.settings.get(MODULE_ID, 'shops') ?? {})
+			.map(([id, data]) => ShopManager.#normalize(id, data, null));
+		const merchants = game.actors
+			.filter((actor) => actor.getFlag(MODULE_ID, 'shop'))
+			.map((actor) => ShopManager.#normalize(actor.uuid, actor.getFlag(MODULE_ID, 'shop'), actor));
+		return [...worldShops, ...merchants].sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * Find a shop by ID.
+	 * @param {string|null} id - World shop key or merchant actor UUID
+	 * @returns {Shop|null}
+	 */
+	get(id) {
+		if (!id) return null;
+		if (ShopManager.#isMerchantId(id)) {
+			const actor = fromUuidSync(id);
+			const data = actor?.getFlag(MODULE_ID, 'shop');
+			return data ? ShopManager.#normalize(id, data, actor) : null;
+		}
+		const data = game.settings.get(MODULE_ID, 'shops')?.[id];
+		return data ? ShopManager.#normalize(id, data, null) : null;
+	}
+
+	/**
+	 * The items a shop sells, priced at its markup and sorted by name.
+	 * Entries no longer indexed or outside the shop's categories are left out;
+	 * sold-out entries are kept so they can be shown as such.
+	 * @param {Shop} shop
+	 * @returns {ShopItem[]}
+	 */
+	getInventory(shop) {
+		const items = [];
+		for (const [uuid, stock] of Object.entries(shop.stock)) {
+			const entry = this.#compendiumBrowser.getEntry(uuid);
+			if (!entry?.objectType || !ShopManager.sells(shop, entry)) continue;
+			items.push({ ...this.priceItem(entry, shop), stock });
+		}
+		return items.sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * Whether an item belongs to a category the shop deals in.
+	 * @param {ShopData} shop
+	 * @param {import('./CompendiumBrowser.mjs').ItemData} entry
+	 * @returns {boolean}
+	 */
+	static sells(shop, entry) {
+		return !shop.categories.length || shop.categories.includes(entry.objectType);
+	}
+
+	/**
+	 * Apply a shop's markup to an item's price, rounding up to the smallest coin.
+	 * The price keeps its denomination when the result is a whole number of it.
+	 * @param {import('./CompendiumBrowser.mjs').ItemData} entry
+	 * @param {ShopData} shop
+	 * @returns {import('./CompendiumBrowser.mjs').ItemData}
+	 */
+	priceItem(entry, shop) {
+		if (shop.markup === 1) return entry;
+
+		const priceCp = Math.ceil(this.#currency.getItemPriceInCp(entry) * shop.markup);
+		const denomination = this.#currency.denominations.find((d) => d.key === entry.priceDenomination);
+		if (denomination && priceCp % denomination.value === 0) {
+			return { ...entry, priceValue: priceCp / denomination.value };
+		}
+		return { ...entry, priceValue: priceCp, priceDenomination: this.#currency.denominations.at(-1).key };
+	}
+
+	/* ---------------------------------------- */
+	/*  Writing (GM)                            */
+	/* ---------------------------------------- */
+
+	/**
+	 * Store a shop. A merchant actor UUID stores it on that actor.
+	 * @param {string} id
+	 * @param {ShopData} data
+	 * @returns {Promise<void>}
+	 */
+	async save(id, data) {
+		const clean = {
+			name: data.name,
+			markup: data.markup,
+			categories: [...data.categories],
+			stock: { ...data.stock },
+		};
+		if (ShopManager.#isMerchantId(id)) {
+			const actor = fromUuidSync(id);
+			if (!actor) throw new Error(`Merchant actor ${id} not found`);
+			// Replace the whole flag in one write, so removed stock entries do not
+			// linger and other clients never see the shop missing
+			await actor.update({ [`flags.${MODULE_ID}.==shop`]: clean });
+			return;
+		}
+		const shops = { ...game.settings.get(MODULE_ID, 'shops') };
+		shops[id] = clean;
+		await game.settings.set(MODULE_ID, 'shops', shops);
+	}
+
+	/**
+	 * Delete a shop (a merchant actor only loses its shop flag).
+	 * @param {string} id
+	 * @returns {Promise<void>}
+	 */
+	async delete(id) {
+		if (ShopManager.#isMerchantId(id)) {
+			await fromUuidSync(id)?.unsetFlag(MODULE_ID, 'shop');
+			return;
+		}
+		const shops = { ...game.settings.get(MODULE_ID, 'shops') };
+		delete shops[id];
+		await game.settings.set(MODULE_ID, 'shops', shops);
+	}
+
+	/* ---------------------------------------- */
+	/*  Stock                                   */
+	/* ---------------------------------------- */
+
+	/**
+	 * Take items out of a shop's stock before they are paid for.
+	 * Players ask the active GM over the socket.
+	 * @param {string} shopId
+	 * @param {Map<string, number>} quantities - UUID → quantity
+	 * @returns {Promise<boolean|null>} false if the stock is short, null if no GM answered (already reported)
+	 */
+	async reserve(shopId, quantities) {
+		if (game.user.isGM) return this.#enqueue(shopId, [...quantities], -1);
+		return this.#ask(shopId, 'reserve', quantities);
+	}
+
+	/**
+	 * Put reserved items back, e.g. when the payment failed.
+	 * @param {string} shopId
+	 * @param {Map<string, number>} quantities - UUID → quantity
+	 * @returns {Promise<boolean|null>}
+	 */
+	async release(shopId, quantities) {
+		if (game.user.isGM) return this.#enqueue(shopId, [...quantities], 1);
+		return this.#ask(shopId, 'release', quantities);
+	}
+
+	/**
+	 * Put back the items of an undone purchase. Players ask the active GM,
+	 * which checks the purchase is still in the actor's grant history, so
+	 * call this before removing it.
+	 * @param {string} shopId
+	 * @param {Map<string, number>} quantities - UUID → quantity
+	 * @param {Actor} actor - The actor whose purchase is undone
+	 * @param {string} transactionId - The purchase in the actor's grant history
+	 * @returns {Promise<boolean|null>}
+	 */
+	async restock(shopId, quantities, actor, transactionId) {
+		if (game.user.isGM) return this.#enqueue(shopId, [...quantities], 1);
+		return this.#ask(shopId, 'restock', quantities, { actorUuid: actor.uuid, transactionId });
+	}
+
+	/**
+	 * Apply a stock request received over the socket and answer the player.
+	 * Only the active GM answers, so a request is never applied twice.
+	 * @param {StockRequest} data
+	 * @returns {Promise<void>}
+	 */
+	async handleRequest(data) {
+		if (game.user !== game.users.activeGM) return;
+		if (!ShopManager.#isValidRequest(data)) {
+			console.warn(`${LOG_PREFIX} Received malformed stock request:`, data);
+			return;
+		}
+
+		const handlers = {
+			reserve: () => this.#reserveFor(data),
+			release: () => this.#releaseFor(data),
+			restock: () => this.#restockFor(data),
+		};
+		const ok = game.users.has(data.senderId) && await handlers[data.operation]();
+		game.socket.emit(`module.${MODULE_ID}`, {
+			type: 'shopStockResponse',
+			requestId: data.requestId,
+			recipientId: data.senderId,
+			ok,
+		});
+	}
+
+	/**
+	 * Reserve stock for a player and remember it, so the player can release it.
+	 * @param {StockRequest} data
+	 * @returns {Promise<boolean>}
+	 */
+	async #reserveFor(data) {
+		if (!await this.#enqueue(data.shopId, data.items, -1)) return false;
+		this.#pruneReservations();
+		this.#reservations.set(data.requestId, {
+			senderId: data.senderId,
+			shopId: data.shopId,
+			items: data.items,
+			expires: Date.now() + RESERVATION_TTL_MS,
+		});
+		return true;
+	}
+
+	/**
+	 * Release stock for a player, only if it matches a reservation that player made.
+	 * @param {StockRequest} data
+	 * @returns {Promise<boolean>}
+	 */
+	async #releaseFor(data) {
+		const requestId = this.#findReservation(data);
+		if (!requestId) {
+			console.warn(`${LOG_PREFIX} Refused to release stock that ${game.users.get(data.senderId)?.name} did not reserve:`, data);
+			return false;
+		}
+
+		this.#reservations.delete(requestId);
+		return this.#enqueue(data.shopId, data.items, 1);
+	}
+
+	/**
+	 * Restock an undone purchase for a player, once, if the player owns the actor
+	 * and the purchase in its grant history took these items from this shop.
+	 * @param {StockRequest} data
+	 * @returns {Promise<boolean>}
+	 */
+	async #restockFor(data) {
+		const actor = fromUuidSync(data.actorUuid ?? '');
+		const history = actor?.getFlag(MODULE_ID, 'grantHistory');
+		const transaction = Array.isArray(history) ? history.find((t) => t.id === data.transactionId) : null;
+		const restocked = new Map(data.items);
+		const valid = actor?.testUserPermission(game.users.get(data.senderId), 'OWNER')
+			&& transaction?.shop?.id === data.shopId
+			&& transaction.shop.items.length === restocked.size
+			&& transaction.shop.items.every(([uuid, qty]) => restocked.get(uuid) === qty)
+			&& !this.#restocked.has(data.transactionId);
+		if (!valid) {
+			console.warn(`${LOG_PREFIX} Refused to restock a purchase ${game.users.get(data.senderId)?.name} cannot undo:`, data);
+			return false;
+		}
+
+		// The purchase went through, so its reservation can no longer be released
+		this.#restocked.add(data.transactionId);
+		this.#reservations.delete(this.#findReservation(data));
+		return this.#enqueue(data.shopId, data.items, 1);
+	}
+
+	/**
+	 * Find a live reservation the sender made for exactly these items.
+	 * @param {StockRequest} data
+	 * @returns {string|null} The reservation's request ID
+	 */
+	#findReservation(data) {
+		this.#pruneReservations();
+		const requested = new Map(data.items);
+		const match = [...this.#reservations].find(([, reservation]) => reservation.senderId === data.senderId
+			&& reservation.shopId === data.shopId
+			&& reservation.items.length === requested.size
+			&& reservation.items.every(([uuid, qty]) => requested.get(uuid) === qty));
+		return match?.[0] ?? null;
+	}
+
+	/** Forget reservations that can no longer be released. */
+	#pruneReservations() {
+		const now = Date.now();
+		for (const [requestId, reservation] of this.#reservations) {
+			if (reservation.expires <= now) this.#reservations.delete(requestId);
+		}
+	}
+
+	/**
+	 * Settle a stock request this client is waiting on.
+	 * @param {{requestId: string, recipientId: string, ok: boolean}} data
+	 */
+	handleResponse(data) {
+		if (data.recipientId !== game.userId) return;
+		if (typeof data.ok !== 'boolean') {
+			console.warn(`${LOG_PREFIX} Received malformed stock response:`, data);
+			return;
+		}
+		this.#pending.get(data.requestId)?.(data.ok);
+	}
+
+	/**
+	 * Send a stock request to the active GM and wait for the answer.
+	 * A reserve the GM applies after the wait has timed out is released again
+	 * as soon as its answer arrives.
+	 * @param {string} shopId
+	 * @param {'reserve'|'release'|'restock'} operation
+	 * @param {Map<string, number>} quantities
+	 * @param {{actorUuid?: string, transactionId?: string}} [undone={}] - The undone purchase, for a restock
+	 * @returns {Promise<boolean|null>} The GM's answer, or null if there was none
+	 */
+	#ask(shopId, operation, quantities, undone = {}) {
+		if (!game.users.activeGM) {
+			ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.approval.noGm'));
+			return Promise.resolve(null);
+		}
+
+		const requestId = foundry.utils.randomID();
+		return new Promise((resolve) => {
+			const timeout = setTimeout(() => {
+				this.#pending.set(requestId, (ok) => {
+					this.#pending.delete(requestId);
+					if (ok && operation === 'reserve') this.#ask(shopId, 'release', quantities);
+				});
+				setTimeout(() => this.#pending.delete(requestId), RESERVATION_TTL_MS);
+				ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.shops.noResponse'));
+				resolve(null);
+			}, STOCK_RESPONSE_TIMEOUT_MS);
+
+			this.#pending.set(requestId, (ok) => {
+				clearTimeout(timeout);
+				this.#pending.delete(requestId);
+				resolve(ok);
+			});
+
+			game.socket.emit(`module.${MODULE_ID}`, {
+				type: 'shopStockRequest',
+				requestId,
+				senderId: game.userId,
+				shopId,
+				operation,
+				items: [...quantities],
+				...undone,
+			});
+		});
+	}
+
+	/**
+	 * Queue a stock change behind the ones already running.
+	 * @param {string} shopId
+	 * @param {Array<[string, number]>} items
+	 * @param {-1|1} direction - -1 takes items out, 1 puts them back
+	 * @returns {Promise<boolean>}
+	 */
+	#enqueue(shopId, items, direction) {
+		const result = this.#queue.then(() => this.#changeStock(shopId, items, direction));
+		this.#queue = result.catch(() => {});
+		return result;
+	}
+
+	/**
+	 * Change the stock of a shop, all or nothing.
+	 * @param {string} shopId
+	 * @param {Array<[string, number]>} items
+	 * @param {-1|1} direction
+	 * @returns {Promise<boolean>} false if the shop is gone, does not sell an item or is short
+	 */
+	async #changeStock(shopId, items, direction) {
+		const shop = this.get(shopId);
+		if (!shop) return false;
+
+		const stock = { ...shop.stock };
+		let changed = false;
+		for (const [uuid, quantity] of items) {
+			if (!Object.hasOwn(stock, uuid)) return false;
+			if (stock[uuid] === null) continue;
+			const next = stock[uuid] + direction * quantity;
+			if (next < 0) return false;
+			stock[uuid] = next;
+			changed = true;
+		}
+		if (!changed) return true;
+
+		try {
+			await this.save(shopId, { ...shop, stock });
+			return true;
+		} catch (err) {
+			console.error(`${LOG_PREFIX} Failed to update the stock of shop ${shop.name}:`, err);
+			return false;
+		}
+	}
+
+	/* ---------------------------------------- */
+	/*  Refresh                                 */
+	/* ---------------------------------------- */
+
+	/**
+	 * Ask every open application that shows a shop to refresh.
+	 * Applications opt in by implementing `invalidateShopData()`.
+	 */
+	static refreshOpenApps() {
+		for (const app of foundry.applications.instances.values()) {
+			if (typeof app.invalidateShopData !== 'function') continue;
+			try {
+				app.invalidateShopData();
+			} catch (err) {
+				console.error(`${LOG_PREFIX} Failed to refresh ${app.constructor.name}:`, err);
+			}
+		}
+	}
+
+	/* ---------------------------------------- */
+	/*  Helpers                                 */
+	/* ---------------------------------------- */
+
+	/**
+	 * Fill in defaults for a stored shop.
+	 * @param {string} id
+	 * @param {Partial<ShopData>} data
+	 * @param {Actor|null} merchant
+	 * @returns {Shop}
+	 */
+	static #normalize(id, data, merchant) {
+		const markup = Number(data.markup);
+		return {
+			id,
+			merchant,
+			name: data.name || merchant?.name || id,
+			markup: Number.isFinite(markup) && markup >= 0 ? markup : 1,
+			categories: Array.isArray(data.categories) ? data.categories : [],
+			stock: data.stock && typeof data.stock === 'object' ? data.stock : {},
+		};
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {boolean} true for a merchant actor UUID, false for a world shop key
+	 */
+	static #isMerchantId(id) {
+		return id.startsWith('Actor.');
+	}
+
+	/**
+	 * @param {unknown} data
+	 * @returns {boolean}
+	 */
+	static #isValidRequest(data) {
+		return typeof data?.requestId === 'string'
+			&& typeof data.senderId === 'string'
+			&& typeof data.shopId === 'string'
+			&& ['reserve', 'release', 'restock'].includes(data.operation)
+			&& (data.operation !== 'restock' || (typeof data.actorUuid === 'string' && typeof data.transactionId === 'string'))
+			&& Array.isArray(data.items)
+			&& data.items.every((entry) => Array.isArray(entry)
+				&& typeof entry[0] === 'string'
+				&& Number.isInteger(entry[1])
+				&& entry[1] > 0);
+	}
+}
+
+export { ShopManager };
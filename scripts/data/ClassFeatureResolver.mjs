@@ -11,6 +11,7 @@ import { buildOwnedItemKeys, slugToLabel, normalizeString } from '../utils/const
  * @property {string|null} selectableGroup - Human-readable group label
  * @property {string|null} selectableGroupId - Kebab-case group identifier
  * @property {string} description
+ * @property {string} packLabel - Label of the compendium pack the feature came from
  */
 
 /**
@@ -58,6 +59,7 @@ class ClassFeatureResolver {
 				selectableGroup: null,
 				selectableGroupId: null,
 				description: f.description,
+				packLabel: f.packLabel,
 			});
 		}
 
@@ -74,6 +76,7 @@ class ClassFeatureResolver {
 					selectableGroup: groupLabel,
 					selectableGroupId: groupId,
 					description: f.description,
+					packLabel: f.packLabel,
 				});
 			}
 		}
@@ -0,0 +1,323 @@
+import { DATASET_FILES } from '../utils/constants.mjs';
+
+/**
+ * Structural checks for the world data overrides, one schema per dataset.
+ * Overrides are partial: every key is optional and `null` removes a bundled
+ * entry, so only the values that are present are checked.
+ */
+class DataOverrideValidator {
+	/**
+	 * Validate an override for one dataset.
+	 * @param {string} datasetKey - A key of DATASET_FILES
+	 * @param {*} data - Parsed override JSON
+	 * @returns {string[]} Localized error messages (empty when valid)
+	 */
+	static validate(datasetKey, data) {
+		const errors = [];
+		switch (datasetKey) {
+			case 'spellSchools':
+				DataOverrideValidator.#validateSpellSchools(data, errors);
+				break;
+			case 'spellTiers':
+				DataOverrideValidator.#validateSpellTiers(data, errors);
+				break;
+			case 'spellsKnown':
+				DataOverrideValidator.#validateSpellsKnown(data, errors);
+				break;
+			case 'equipmentProficiencies':
+				DataOverrideValidator.#validateEquipmentProficiencies(data, errors);
+				break;
+			case 'startingKits':
+				DataOverrideValidator.#validateStartingKits(data, errors);
+				break;
+			case 'currency':
+				DataOverrideValidator.#validateCurrency(data, errors);
+				break;
+			case 'inventory':
+				DataOverrideValidator.#validateInventory(data, errors);
+				break;
+			case 'secretSpells':
+				DataOverrideValidator.#expectStrings(data, datasetKey, errors);
+				break;
+			case 'classExclusiveSpells':
+				if (DataOverrideValidator.#expectObject(data, datasetKey, errors)) {
+					for (const [name, cls] of Object.entries(data)) {
+						if (cls !== null && typeof cls !== 'string') {
+							errors.push(DataOverrideValidator.#error('expectedString', `${datasetKey}.${name}`));
+						}
+					}
+				}
+				break;
+			default:
+				if (!(datasetKey in DATASET_FILES)) errors.push(DataOverrideValidator.#error('unknownDataset', datasetKey));
+		}
+		return errors;
+	}
+
+	/**
+	 * Class → { base: {level: schools}, choices: {level: choice}, subclasses: {id: {level: schools|{choices}}} }
+	 * @param {*} data
+	 * @param {string[]} errors - Mutated
+	 */
+	static #validateSpellSchools(data, errors) {
+		if (!DataOverrideValidator.#expectObject(data, 'spellSchools', errors)) return;
+
+		for (const [cls, classData] of Object.entries(data)) {
+			const path = `spellSchools.${cls}`;
+			if (classData === null || !DataOverrideValidator.#expectObject(classData, path, errors)) continue;
+
+			DataOverrideValidator.#forEachLevel(classData.base, `${path}.base`, errors,
+				(value, p) => DataOverrideValidator.#expectStrings(value, p, errors));
+			DataOverrideValidator.#forEachLevel(classData.choices, `${path}.choices`, errors,
+				(value, p) => DataOverrideValidator.#validateChoice(value, p, errors));
+
+			DataOverrideValidator.#forEachSubclass(classData.subclasses, `${path}.subclasses`, errors, (subData, subPath) => {
+				DataOverrideValidator.#forEachLevel(subData, subPath, errors, (value, p) => {
+					if (Array.isArray(value)) {
+						DataOverrideValidator.#expectStrings(value, p, errors);
+					} else if (DataOverrideValidator.#expectObject(value, p, errors)) {
+						DataOverrideValidator.#validateChoice(value.choices, `${p}.choices`, errors);
+					}
+				});
+			});
+		}
+	}
+
+	/**
+	 * Class → { base: {level: tier}, subclasses: {id: {level: tier}} }
+	 * @param {*} data
+	 * @param {string[]} errors - Mutated
+	 */
+	static #validateSpellTiers(data, errors) {
+		if (!DataOverrideValidator.#expectObject(data, 'spellTiers', errors)) return;
+
+		const checkTier = (value, path) => {
+			if (!Number.isInteger(value) || value < 0 || value > 9) {
+				errors.push(DataOverrideValidator.#error('invalidTier', path));
+			}
+		};
+
+		for (const [cls, classData] of Object.entries(data)) {
+			const path = `spellTiers.${cls}`;
+			if (classData === null || !DataOverrideValidator.#expectObject(classData, path, errors)) continue;
+
+			DataOverrideValidator.#forEachLevel(classData.base, `${path}.base`, errors, checkTier);
+			DataOverrideValidator.#forEachSubclass(classData.subclasses, `${path}.subclasses`, errors,
+				(subData, subPath) => DataOverrideValidator.#forEachLevel(subData, subPath, errors, checkTier));
+		}
+	}
+
+	/**
+	 * Class → { base: {level: count}, subclasses: {id: {level: count}} }
+	 * @param {*} data
+	 * @param {string[]} errors - Mutated
+	 */
+	static #validateSpellsKnown(data, errors) {
+		if (!DataOverrideValidator.#expectObject(data, 'spellsKnown', errors)) return;
+
+		const checkLimit = (value, path) => {
+			if (!Number.isInteger(value) || value < 0) {
+				errors.push(DataOverrideValidator.#error('invalidLimit', path));
+			}
+		};
+
+		for (const [cls, classData] of Object.entries(data)) {
+			const path = `spellsKnown.${cls}`;
+			if (classData === null || !DataOverrideValidator.#expectObject(classData, path, errors)) continue;
+
+			DataOverrideValidator.#forEachLevel(classData.base, `${path}.base`, errors, checkLimit);
+			DataOverrideValidator.#forEachSubclass(classData.subclasses, `${path}.subclasses`, errors,
+				(subData, subPath) => DataOverrideValidator.#forEachLevel(subData, subPath, errors, checkLimit));
+		}
+	}
+
+	/**
+	 * Class → { kits: {kit name: {item name: quantity}}, gold }
+	 * @param {*} data
+	 * @param {string[]} errors - Mutated
+	 */
+	static #validateStartingKits(data, errors) {
+		if (!DataOverrideValidator.#expectObject(data, 'startingKits', errors)) return;
+
+		for (const [cls, classData] of Object.entries(data)) {
+			const path = `startingKits.${cls}`;
+			if (classData === null || !DataOverrideValidator.#expectObject(classData, path, errors)) continue;
+
+			if (classData.gold != null && (!Number.isInteger(classData.gold) || classData.gold < 0)) {
+				errors.push(DataOverrideValidator.#error('invalidLimit', `${path}.gold`));
+			}
+			if (classData.kits == null || !DataOverrideValidator.#expectObject(classData.kits, `${path}.kits`, errors)) continue;
+
+			for (const [kit, items] of Object.entries(classData.kits)) {
+				const kitPath = `${path}.kits.${kit}`;
+				if (items === null || !DataOverrideValidator.#expectObject(items, kitPath, errors)) continue;
+				for (const [item, quantity] of Object.entries(items)) {
+					if (quantity !== null && (!Number.isInteger(quantity) || quantity < 1)) {
+						errors.push(DataOverrideValidator.#error('invalidCount', `${kitPath}.${item}`));
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Denomination key → { label, value, icon }
+	 * @param {*} data
+	 * @param {string[]} errors - Mutated
+	 */
+	static #validateCurrency(data, errors) {
+		if (!DataOverrideValidator.#expectObject(data, 'currency', errors)) return;
+
+		for (const [key, def] of Object.entries(data)) {
+			const path = `currency.${key}`;
+			if (def === null || !DataOverrideValidator.#expectObject(def, path, errors)) continue;
+
+			if (def.value != null && (!Number.isInteger(def.value) || def.value < 1)) {
+				errors.push(DataOverrideValidator.#error('invalidCount', `${path}.value`));
+			}
+			for (const field of ['label', 'icon']) {
+				if (def[field] != null && typeof def[field] !== 'string') {
+					errors.push(DataOverrideValidator.#error('expectedString', `${path}.${field}`));
+				}
+			}
+		}
+	}
+
+	/**
+	 * { baseSlots, ability, unitsPerSlot: {sizeType: count} }
+	 * @param {*} data
+	 * @param {string[]} errors - Mutated
+	 */
+	static #validateInventory(data, errors) {
+		if (!DataOverrideValidator.#expectObject(data, 'inventory', errors)) return;
+
+		if (data.baseSlots != null && (!Number.isInteger(data.baseSlots) || data.baseSlots < 0)) {
+			errors.push(DataOverrideValidator.#error('invalidLimit', 'inventory.baseSlots'));
+		}
+		if (data.ability != null && typeof data.ability !== 'string') {
+			errors.push(DataOverrideValidator.#error('expectedString', 'inventory.ability'));
+		}
+		if (data.unitsPerSlot == null || !DataOverrideValidator.#expectObject(data.unitsPerSlot, 'inventory.unitsPerSlot', errors)) return;
+		for (const [sizeType, count] of Object.entries(data.unitsPerSlot)) {
+			if (count !== null && (!Number.isInteger(count) || count < 0)) {
+				errors.push(DataOverrideValidator.#error('invalidLimit', `inventory.unitsPerSlot.${sizeType}`));
+			}
+		}
+	}
+
+	/**
+	 * weaponCategories → {tag: names}; class → { armor, weapons, subclasses: {id: {armor, weapons}} }
+	 * @param {*} data
+	 * @param {string[]} errors - Mutated
+	 */
+	static #validateEquipmentProficiencies(data, errors) {
+		if (!DataOverrideValidator.#expectObject(data, 'equipmentProficiencies', errors)) return;
+
+		const checkLists = (entry, path) => {
+			for (const key of ['armor', 'weapons']) {
+				if (entry[key] != null) DataOverrideValidator.#expectStrings(entry[key], `${path}.${key}`, errors);
+			}
+		};
+
+		for (const [key, value] of Object.entries(data)) {
+			const path = `equipmentProficiencies.${key}`;
+			if (value === null || !DataOverrideValidator.#expectObject(value, path, errors)) continue;
+
+			if (key === 'weaponCategories') {
+				for (const [tag, names] of Object.entries(value)) {
+					if (names !== null) DataOverrideValidator.#expectStrings(names, `${path}.${tag}`, errors);
+				}
+				continue;
+			}
+
+			checkLists(value, path);
+			DataOverrideValidator.#forEachSubclass(value.subclasses, `${path}.subclasses`, errors, checkLists);
+		}
+	}
+
+	/**
+	 * { count, type?, options? }
+	 * @param {*} choice
+	 * @param {string} path
+	 * @param {string[]} errors - Mutated
+	 */
+	static #validateChoice(choice, path, errors) {
+		if (!DataOverrideValidator.#expectObject(choice, path, errors)) return;
+		if (!Number.isInteger(choice.count) || choice.count < 1) {
+			errors.push(DataOverrideValidator.#error('invalidCount', `${path}.count`));
+		}
+		if (choice.type != null && typeof choice.type !== 'string') {
+			errors.push(DataOverrideValidator.#error('expectedString', `${path}.type`));
+		}
+		if (choice.options != null) DataOverrideValidator.#expectStrings(choice.options, `${path}.options`, errors);
+	}
+
+	/**
+	 * Run a check on every entry of an optional level-keyed map, skipping removals.
+	 * @param {*} levelMap
+	 * @param {string} path
+	 * @param {string[]} errors - Mutated
+	 * @param {(value: *, path: string) => void} check
+	 */
+	static #forEachLevel(levelMap, path, errors, check) {
+		if (levelMap == null || !DataOverrideValidator.#expectObject(levelMap, path, errors)) return;
+		for (const [lvl, value] of Object.entries(levelMap)) {
+			const n = Number(lvl);
+			if (!Number.isInteger(n) || n < 1) {
+				errors.push(DataOverrideValidator.#error('invalidLevel', `${path}.${lvl}`));
+				continue;
+			}
+			if (value !== null) check(value, `${path}.${lvl}`);
+		}
+	}
+
+	/**
+	 * Run a check on every entry of an optional subclass map, skipping removals.
+	 * @param {*} subclasses
+	 * @param {string} path
+	 * @param {string[]} errors - Mutated
+	 * @param {(value: object, path: string) => void} check
+	 */
+	static #forEachSubclass(subclasses, path, errors, check) {
+		if (subclasses == null || !DataOverrideValidator.#expectObject(subclasses, path, errors)) return;
+		for (const [id, value] of Object.entries(subclasses)) {
+			if (value === null) continue;
+			if (DataOverrideValidator.#expectObject(value, `${path}.${id}`, errors)) check(value, `${path}.${id}`);
+		}
+	}
+
+	/**
+	 * @param {*} value
+	 * @param {string} path
+	 * @param {string[]} errors - Mutated
+	 * @returns {boolean} true if value is a plain object
+	 */
+	static #expectObject(value, path, errors) {
+		if (value && typeof value === 'object' && !Array.isArray(value)) return true;
+		errors.push(DataOverrideValidator.#error('expectedObject', path));
+		return false;
+	}
+
+	/**
+	 * @param {*} value
+	 * @param {string} path
+	 * @param {string[]} errors - Mutated
+	 * @returns {boolean} true if value is an array of strings
+	 */
+	static #expectStrings(value, path, errors) {
+		if (Array.isArray(value) && value.every((v) => typeof v === 'string')) return true;
+		errors.push(DataOverrideValidator.#error('expectedStrings', path));
+		return false;
+	}
+
+	/**
+	 * @param {string} key - Error key under NIMBLE_SELECTOR.dataOverrides.errors
+	 * @param {string} path - Dotted location of the faulty value
+	 * @returns {string}
+	 */
+	static #error(key, path) {
+		return game.i18n.format(`NIMBLE_SELECTOR.dataOverrides.errors.${key}`, { path });
+	}
+}
+
+export { DataOverrideValidator };
@@ -1,4 +1,5 @@
-import { DATA_PATH, LOG_PREFIX, normalizeString } from '../utils/constants.mjs';
+import { MODULE_ID, DATA_PATH, DATASET_FILES, LOG_PREFIX, normalizeString } from '../utils/constants.mjs';
+import { DataOverrideValidator } from './DataOverrideValidator.mjs';
 
 /**
  * @typedef {object} SpellSchoolChoice
@@ -17,9 +18,38 @@ import { DATA_PATH, LOG_PREFIX, normalizeString } from '../utils/constants.mjs';
  */
 
 /**
- * Singleton that loads and caches the JSON data files.
- * Provides lookup methods for spell schools, spell tiers,
- * and equipment proficiencies.
+ * @typedef {object} StartingKit
+ * @property {string} name
+ * @property {Array<{name: string, quantity: number}>} items - Compendium item names
+ */
+
+/**
+ * @typedef {object} StartingKitOptions
+ * @property {StartingKit[]} kits
+ * @property {number} gold - Coins of the largest denomination offered instead of a kit (0 = no gold option)
+ */
+
+/**
+ * @typedef {object} Denomination
+ * @property {string} key - e.g. "gp"; also the actor currency key
+ * @property {string} label - Localized short label (e.g. "GP")
+ * @property {number} value - Worth in the smallest unit (the denomination worth 1)
+ * @property {string} icon - FontAwesome icon class
+ */
+
+/**
+ * @typedef {object} InventoryRules
+ * @property {number} baseSlots - Inventory slots every character has
+ * @property {string|null} ability - Ability whose value adds slots (null = none)
+ * @property {Record<string, number>} unitsPerSlot - objectSizeType → units of a stack that share one slot (0 = takes no slot)
+ */
+
+/**
+ * Singleton that loads and caches the JSON data files, merged with the
+ * world's `dataOverrides` setting.
+ * Provides lookup methods for spell schools, spell tiers, spells-known
+ * limits, equipment proficiencies, starting kits, the currency and the
+ * inventory slot rules.
  */
 class DataProvider {
 	static #instance = null;
@@ -28,12 +58,22 @@ class DataProvider {
 	#spellSchools = null;
 	/** @type {object|null} */
 	#spellTiers = null;
+	/** @type {object} Class → spells-known caps (empty = no class is capped). */
+	#spellsKnown = {};
 	/** @type {object|null} */
 	#equipmentProficiencies = null;
+	/** @type {object} Class → { kits: {name: {item: quantity}}, gold }. */
+	#startingKits = {};
+	/** @type {Denomination[]} Largest first. */
+	#denominations = [];
+	/** @type {object} { baseSlots, ability, unitsPerSlot } as merged from the dataset. */
+	#inventory = {};
 	/** @type {Set<string>} Normalized names of secret spells. */
 	#secretSpellNames = new Set();
 	/** @type {Map<string, string>} Normalized spell name → exclusive class identifier. */
 	#classExclusiveSpells = new Map();
+	/** @type {number} Bumped on every successful load, so dependent caches can tell when to rebuild. */
+	#revision = 0;
 	/** @type {boolean} */
 	#loaded = false;
 	/** @type {Promise<void>|null} */
@@ -58,6 +98,15 @@ class DataProvider {
 		return this.#loaded;
 	}
 
+	/**
+	 * Counter bumped every time the data is (re)loaded, e.g. after the
+	 * overrides change, so dependent caches can tell when to rebuild.
+	 * @returns {number}
+	 */
+	get revision() {
+		return this.#revision;
+	}
+
 	/**
 	 * Load all data files in parallel. Safe to call multiple times.
 	 * @returns {Promise<void>}
@@ -69,6 +118,17 @@ class DataProvider {
 		return this.#loadPromise;
 	}
 
+	/**
+	 * Drop the cached data and load it again (e.g. after the overrides change).
+	 * @returns {Promise<void>}
+	 */
+	async reload() {
+		if (this.#loadPromise && !this.#loaded) await this.#loadPromise.catch(() => {});
+		this.#loaded = false;
+		this.#loadPromise = null;
+		return this.load();
+	}
+
 	/**
 	 * Internal load implementation — called only once.
 	 * Resets the cached promise on failure so future calls can retry.
@@ -76,19 +136,25 @@ class DataProvider {
 	 */
 	async #doLoad() {
 		try {
-			const [spellSchools, spellTiers, equipmentProficiencies, secretSpells, classExclusiveSpells] = await Promise.all([
-				this.#fetchJSON('spell-schools.json'),
-				this.#fetchJSON('spell-tiers.json'),
-				this.#fetchJSON('equipment-proficiencies.json'),
-				this.#fetchJSON('secret-spells.json'),
-				this.#fetchJSON('class-exclusive-spells.json'),
-			]);
+			const overrides = DataProvider.#readOverrides();
+			const bundled = {};
+			const datasets = await Promise.all(Object.entries(DATASET_FILES).map(async ([key, filename]) => {
+				bundled[key] = await this.#fetchJSON(filename);
+				return [key, DataProvider.#applyOverride(key, bundled[key], overrides[key])];
+			}));
+			const { spellSchools, spellTiers, equipmentProficiencies, secretSpells, classExclusiveSpells, spellsKnown, startingKits, currency, inventory } = Object.fromEntries(datasets);
 
 			this.#spellSchools = spellSchools;
 			this.#spellTiers = spellTiers;
+			this.#spellsKnown = spellsKnown ?? {};
 			this.#equipmentProficiencies = equipmentProficiencies;
+			this.#startingKits = startingKits ?? {};
+			this.#denominations = DataProvider.#toDenominations(currency)
+				?? DataProvider.#toDenominations(bundled.currency)
+				?? [];
+			this.#inventory = inventory ?? {};
 			this.#secretSpellNames = new Set(
-				(Array.isArray(secretSpells) ? secretSpells : []).map(normalizeString),
+				(Array.isArray(secretSpells) ? secretSpells : []).map((name) => normalizeString(String(name).replace(/^\+/, ''))),
 			);
 			this.#classExclusiveSpells = new Map(
 				Object.entries(classExclusiveSpells ?? {}).map(([name, cls]) => [
@@ -96,6 +162,7 @@ class DataProvider {
 					normalizeString(cls),
 				]),
 			);
+			this.#revision++;
 			this.#loaded = true;
 		} catch (err) {
 			this.#loadPromise = null;
@@ -103,6 +170,85 @@ class DataProvider {
 		}
 	}
 
+	/**
+	 * Read the world overrides, or an empty object if the setting is unavailable.
+	 * @returns {Record<string, *>}
+	 */
+	static #readOverrides() {
+		try {
+			return game.settings.get(MODULE_ID, 'dataOverrides') ?? {};
+		} catch {
+			return {};
+		}
+	}
+
+	/**
+	 * Merge a validated world override over a bundled dataset.
+	 * Invalid overrides are ignored so a bad edit can never break the module.
+	 * @param {string} key - Dataset key
+	 * @param {*} bundled
+	 * @param {*} override
+	 * @returns {*}
+	 */
+	static #applyOverride(key, bundled, override) {
+		if (override == null) return bundled;
+		const errors = DataOverrideValidator.validate(key, override);
+		if (errors.length) {
+			console.warn(`${LOG_PREFIX} Ignoring invalid ${key} override:`, errors);
+			return bundled;
+		}
+		return DataProvider.#deepMerge(bundled, override);
+	}
+
+	/**
+	 * Turn the merged currency dataset into a denomination list, largest first.
+	 * Entries without a positive whole value are skipped.
+	 * @param {object|undefined} currency - Key → { label, value, icon }
+	 * @returns {Denomination[]|null} null when no denomination is worth 1, since
+	 *   amounts could not be paid or given as change exactly
+	 */
+	static #toDenominations(currency) {
+		const denominations = Object.entries(currency ?? {})
+			.filter(([, def]) => Number.isInteger(def?.value) && def.value > 0)
+			.map(([key, def]) => ({
+				key,
+				label: game.i18n.localize(def.label ?? key.toUpperCase()),
+				value: def.value,
+				icon: def.icon ?? 'fa-solid fa-coins',
+			}))
+			.sort((a, b) => b.value - a.value);
+		if (!denominations.some((d) => d.value === 1)) {
+			console.warn(`${LOG_PREFIX} Ignoring currency definition without a denomination worth 1`);
+			return null;
+		}
+		return denominations;
+	}
+
+	/**
+	 * Deep-merge an override into bundled data without mutating either.
+	 * Objects merge key by key and a `null` value removes the key.
+	 * Arrays whose entries all start with "+" are appended to the bundled
+	 * array; any other array replaces it.
+	 * @param {*} base
+	 * @param {*} override
+	 * @returns {*}
+	 */
+	static #deepMerge(base, override) {
+		if (Array.isArray(override)) {
+			const isAddition = override.length > 0
+				&& override.every((v) => typeof v === 'string' && v.startsWith('+'));
+			return isAddition && Array.isArray(base) ? [...base, ...override] : [...override];
+		}
+		if (!override || typeof override !== 'object') return override;
+
+		const result = base && typeof base === 'object' && !Array.isArray(base) ? { ...base } : {};
+		for (const [key, value] of Object.entries(override)) {
+			if (value === null) delete result[key];
+			else result[key] = DataProvider.#deepMerge(result[key], value);
+		}
+		return result;
+	}
+
 	/**
 	 * Fetch and parse a JSON file from the module data directory.
 	 * @param {string} filename
@@ -291,6 +437,72 @@ class DataProvider {
 		return DataProvider.#findMinTier(classData.base);
 	}
 
+	/**
+	 * Get how many spells a class may know at a given level.
+	 * The table is optional: classes without an entry learn every spell
+	 * their schools and tiers allow.
+	 * @param {string} classIdentifier
+	 * @param {number} level
+	 * @param {string|null} [subclassIdentifier=null]
+	 * @returns {number|null} The cap, or null if the class is not capped
+	 */
+	getSpellsKnownLimit(classIdentifier, level, subclassIdentifier = null) {
+		const classData = this.#spellsKnown?.[classIdentifier];
+
+		const limits = (subclassIdentifier && classData?.subclasses?.[subclassIdentifier]) || classData?.base;
+		if (!limits) return null;
+
+		let limit = 0;
+		for (const [lvl, count] of DataProvider.#toSortedPairs(limits)) {
+			if (lvl > level) break;
+			limit = count;
+		}
+		return limit;
+	}
+
+	/**
+	 * Get the starting kits of a class and the gold offered instead.
+	 * @param {string} classIdentifier
+	 * @returns {StartingKitOptions|null} null when the class has neither kits nor gold
+	 */
+	getStartingKits(classIdentifier) {
+		const classData = this.#startingKits?.[classIdentifier];
+		if (!classData) return null;
+
+		const kits = Object.entries(classData.kits ?? {})
+			.filter(([, items]) => items)
+			.map(([name, items]) => ({
+				name,
+				items: Object.entries(items)
+					.filter(([, quantity]) => quantity > 0)
+					.map(([itemName, quantity]) => ({ name: itemName, quantity })),
+			}))
+			.filter((kit) => kit.items.length);
+		const gold = classData.gold > 0 ? classData.gold : 0;
+
+		return kits.length || gold ? { kits, gold } : null;
+	}
+
+	/**
+	 * Get the currency denominations, largest first.
+	 * @returns {Denomination[]}
+	 */
+	getDenominations() {
+		return this.#denominations;
+	}
+
+	/**
+	 * Get the inventory slot rules. Size types without an entry take one slot per unit.
+	 * @returns {InventoryRules}
+	 */
+	getInventoryRules() {
+		return {
+			baseSlots: this.#inventory.baseSlots ?? 0,
+			ability: this.#inventory.ability ?? null,
+			unitsPerSlot: { ...this.#inventory.unitsPerSlot },
+		};
+	}
+
 	/**
 	 * Find the lowest tier value in a tier map.
 	 * @param {Record<string, number>} tierMap
@@ -358,12 +570,27 @@ class DataProvider {
 	}
 
 	/**
-	 * Get equipment proficiencies for a class.
+	 * Get equipment proficiencies for a class, merged with its subclass additions.
 	 * @param {string} classIdentifier
+	 * @param {string|null} [subclassIdentifier=null]
 	 * @returns {{ armor: string[], weapons: string[] }}
 	 */
-	getEquipmentProficiencies(classIdentifier) {
-		return this.#equipmentProficiencies?.[classIdentifier] ?? { armor: [], weapons: [] };
+	getEquipmentProficiencies(classIdentifier, subclassIdentifier = null) {
+		const classData = this.#equipmentProficiencies?.[classIdentifier];
+		const subData = subclassIdentifier ? classData?.subclasses?.[subclassIdentifier] : null;
+
+		const merge = (key) => {
+			const tags = new Set();
+			for (const list of [classData?.[key], subData?.[key]]) {
+				if (!Array.isArray(list)) continue;
+				for (const tag of list) {
+					if (typeof tag === 'string') tags.add(tag.replace('+', ''));
+				}
+			}
+			return [...tags];
+		};
+
+		return { armor: merge('armor'), weapons: merge('weapons') };
 	}
 
 	/**
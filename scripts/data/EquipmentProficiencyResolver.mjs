@@ -9,7 +9,7 @@ import { CompendiumBrowser } from '../core/CompendiumBrowser.mjs';
 
 /**
  * Resolves available equipment for a character based on their
- * class proficiencies.
+ * class (and subclass) proficiencies.
  */
 class EquipmentProficiencyResolver {
 	/** @type {DataProvider} */
@@ -18,8 +18,12 @@ class EquipmentProficiencyResolver {
 	#compendiumBrowser;
 	/** @type {Map<string, Set<string>>|null} Lazily built weapon category index. */
 	#weaponCategoryIndex = null;
-	/** @type {Map<string, import('../core/CompendiumBrowser.mjs').ItemData[]>} Cached equipment lists by class. */
+	/** @type {Map<string, import('../core/CompendiumBrowser.mjs').ItemData[]>} Cached equipment lists by class and subclass. */
 	#equipmentCache = new Map();
+	/** @type {number} CompendiumBrowser revision the equipment cache was built against. */
+	#cacheRevision = -1;
+	/** @type {number} DataProvider revision both caches were built against. */
+	#dataRevision = -1;
 
 	constructor() {
 		this.#dataProvider = DataProvider.instance;
@@ -27,26 +31,35 @@ class EquipmentProficiencyResolver {
 	}
 
 	/**
-	 * Get the proficiency data for a class.
+	 * Get the proficiency data for a class, including subclass additions.
 	 * @param {string} classIdentifier
+	 * @param {string|null} [subclassIdentifier=null]
 	 * @returns {Proficiencies}
 	 */
-	resolve(classIdentifier) {
-		return this.#dataProvider.getEquipmentProficiencies(classIdentifier);
+	resolve(classIdentifier, subclassIdentifier = null) {
+		return this.#dataProvider.getEquipmentProficiencies(classIdentifier, subclassIdentifier);
 	}
 
 	/**
 	 * Find all equipment items from the compendium that match the class proficiencies.
 	 * Always includes consumables and misc items regardless of class.
-	 * Results are cached per class identifier for the session lifetime.
+	 * Results are cached per class/subclass pair until the compendium index or the data changes.
 	 * @param {string} classIdentifier
+	 * @param {string|null} [subclassIdentifier=null]
 	 * @returns {import('../core/CompendiumBrowser.mjs').ItemData[]}
 	 */
-	findAvailableEquipment(classIdentifier) {
-		const cached = this.#equipmentCache.get(classIdentifier);
+	findAvailableEquipment(classIdentifier, subclassIdentifier = null) {
+		this.#checkDataRevision();
+		if (this.#cacheRevision !== this.#compendiumBrowser.revision) {
+			this.#equipmentCache.clear();
+			this.#cacheRevision = this.#compendiumBrowser.revision;
+		}
+
+		const cacheKey = `${classIdentifier}|${subclassIdentifier ?? ''}`;
+		const cached = this.#equipmentCache.get(cacheKey);
 		if (cached) return cached;
 
-		const proficiencies = this.resolve(classIdentifier);
+		const proficiencies = this.resolve(classIdentifier, subclassIdentifier);
 		const objectTypes = new Set(['consumable', 'misc']);
 
 		if (proficiencies.armor.length > 0) objectTypes.add('armor');
@@ -56,7 +69,7 @@ class EquipmentProficiencyResolver {
 		if (proficiencies.weapons.length > 0) objectTypes.add('weapon');
 
 		const result = this.#compendiumBrowser.findEquipmentByType([...objectTypes]);
-		this.#equipmentCache.set(classIdentifier, result);
+		this.#equipmentCache.set(cacheKey, result);
 		return result;
 	}
 
@@ -127,6 +140,7 @@ class EquipmentProficiencyResolver {
 	 * @returns {Map<string, Set<string>>}
 	 */
 	#getWeaponCategoryIndex() {
+		this.#checkDataRevision();
 		if (!this.#weaponCategoryIndex) {
 			this.#weaponCategoryIndex = new Map();
 			const categories = this.#dataProvider.getWeaponCategories();
@@ -136,6 +150,17 @@ class EquipmentProficiencyResolver {
 		}
 		return this.#weaponCategoryIndex;
 	}
+
+	/**
+	 * Drop both caches once DataProvider has reloaded (e.g. after the overrides
+	 * change), since proficiencies and weapon categories may differ.
+	 */
+	#checkDataRevision() {
+		if (this.#dataRevision === this.#dataProvider.revision) return;
+		this.#equipmentCache.clear();
+		this.#weaponCategoryIndex = null;
+		this.#dataRevision = this.#dataProvider.revision;
+	}
 }
 
 export { EquipmentProficiencyResolver };
@@ -0,0 +1,130 @@
+import { MODULE_ID, STACKABLE_SIZE_TYPES, normalizeString } from '../utils/constants.mjs';
+import { DataProvider } from './DataProvider.mjs';
+
+/**
+ * @typedef {object} InventoryStatus
+ * @property {number} capacity - Slots the actor can fill
+ * @property {number} current - Slots its owned equipment fills
+ * @property {number} incoming - Slots the selection would add
+ * @property {number} total - current + incoming
+ * @property {boolean} over - Whether the selection adds slots past the capacity
+ */
+
+/**
+ * Counts inventory slots from the `inventory` dataset: a capacity of
+ * `baseSlots` plus the actor's `ability` value, filled by its owned objects.
+ *
+ * Each owned object (or stack) takes one slot per `unitsPerSlot` units of
+ * its objectSizeType, rounded up; size types without an entry take one slot
+ * per unit, and 0 takes no slot. Incoming items are counted as ItemGranter
+ * will add them, so a stackable item tops up an owned stack of the same name.
+ */
+class InventoryLoadResolver {
+	/** @type {DataProvider} */
+	#dataProvider;
+
+	constructor() {
+		this.#dataProvider = DataProvider.instance;
+	}
+
+	/**
+	 * Whether purchases past the capacity are refused rather than flagged.
+	 * @returns {boolean}
+	 */
+	static get blocking() {
+		return game.settings.get(MODULE_ID, 'capacityMode') === 'block';
+	}
+
+	/**
+	 * Slots the actor can fill.
+	 * @param {Actor} actor
+	 * @returns {number}
+	 */
+	getCapacity(actor) {
+		const { baseSlots, ability } = this.#dataProvider.getInventoryRules();
+		const score = ability ? actor.system?.abilities?.[ability] : null;
+		return Math.max(0, baseSlots + (score?.mod ?? score?.baseValue ?? 0));
+	}
+
+	/**
+	 * Slots the actor's owned objects fill.
+	 * @param {Actor} actor
+	 * @returns {number}
+	 */
+	getLoad(actor) {
+		const { unitsPerSlot } = this.#dataProvider.getInventoryRules();
+		let load = 0;
+		for (const item of actor.items) {
+			if (item.type !== 'object') continue;
+			load += InventoryLoadResolver.#slotsFor(item.system?.objectSizeType, item.system?.quantity ?? 1, unitsPerSlot);
+		}
+		return load;
+	}
+
+	/**
+	 * Slots that adding units of an item would fill.
+	 * @param {Actor} actor
+	 * @param {import('../core/CompendiumBrowser.mjs').ItemData} entry
+	 * @param {number} [selected=0] - Units of the item already in the selection
+	 * @param {number} [added=1] - Units to add on top of them
+	 * @returns {number}
+	 */
+	getAddedLoad(actor, entry, selected = 0, added = 1) {
+		const { unitsPerSlot } = this.#dataProvider.getInventoryRules();
+		const sizeType = entry.objectSizeType;
+		if (!STACKABLE_SIZE_TYPES.has(sizeType)) {
+			return added * InventoryLoadResolver.#slotsFor(sizeType, 1, unitsPerSlot);
+		}
+
+		const stacked = InventoryLoadResolver.#ownedStack(actor, entry) + selected;
+		return InventoryLoadResolver.#slotsFor(sizeType, stacked + added, unitsPerSlot)
+			- InventoryLoadResolver.#slotsFor(sizeType, stacked, unitsPerSlot);
+	}
+
+	/**
+	 * Compare the actor's load, with a selection added, to its capacity.
+	 * @param {Actor} actor
+	 * @param {Iterable<[import('../core/CompendiumBrowser.mjs').ItemData|undefined, number]>} selection - Entry and quantity pairs
+	 * @returns {InventoryStatus}
+	 */
+	getStatus(actor, selection) {
+		const capacity = this.getCapacity(actor);
+		const current = this.getLoad(actor);
+		let incoming = 0;
+		for (const [entry, qty] of selection) {
+			if (entry) incoming += this.getAddedLoad(actor, entry, 0, qty);
+		}
+		const total = current + incoming;
+		return { capacity, current, incoming, total, over: incoming > 0 && total > capacity };
+	}
+
+	/**
+	 * Quantity of the owned stack an incoming stackable item would join (0 = none).
+	 * Matches ItemGranter's stacking: same normalized name, stackable size type.
+	 * @param {Actor} actor
+	 * @param {import('../core/CompendiumBrowser.mjs').ItemData} entry
+	 * @returns {number}
+	 */
+	static #ownedStack(actor, entry) {
+		const name = normalizeString(entry.name);
+		const stack = actor.items.find((item) => item.type === 'object'
+			&& STACKABLE_SIZE_TYPES.has(item.system?.objectSizeType)
+			&& normalizeString(item.name) === name);
+		return stack?.system?.quantity ?? 0;
+	}
+
+	/**
+	 * Slots one object or stack fills.
+	 * @param {string|undefined} sizeType
+	 * @param {number} quantity
+	 * @param {Record<string, number>} unitsPerSlot
+	 * @returns {number}
+	 */
+	static #slotsFor(sizeType, quantity, unitsPerSlot) {
+		const perSlot = unitsPerSlot[sizeType] ?? 1;
+		if (perSlot === 0 || quantity <= 0) return 0;
+		return Math.ceil(quantity / perSlot);
+	}
+}
+
+export { InventoryLoadResolver };
@@ -0,0 +1,160 @@
+import { capitalize, slugToLabel } from '../utils/constants.mjs';
+import { CompendiumBrowser } from '../core/CompendiumBrowser.mjs';
+import { CurrencyManager } from '../core/CurrencyManager.mjs';
+
+/**
+ * @typedef {object} ItemDetailField
+ * @property {string} label
+ * @property {string} value
+ */
+
+/**
+ * @typedef {object} ItemDetail
+ * @property {string} uuid
+ * @property {string} name
+ * @property {string} img
+ * @property {ItemDetailField[]} fields - System fields relevant to the item type
+ * @property {string} description - Enriched HTML
+ * @property {string} higherTiers - Enriched HTML of a spell's higher-tier effect (empty otherwise)
+ */
+
+/**
+ * Loads the full document behind a compendium entry for the selectors'
+ * detail pane: enriched description plus the system fields worth showing
+ * for its type. Results are cached until the compendium data changes.
+ */
+class ItemDetailResolver {
+	/** @type {Map<string, ItemDetail>} */
+	#cache = new Map();
+	/** @type {CompendiumBrowser} */
+	#compendiumBrowser = CompendiumBrowser.instance;
+	/** @type {CurrencyManager} */
+	#currency = new CurrencyManager();
+
+	/**
+	 * Resolve the detail of a compendium entry.
+	 * @param {string|null} uuid
+	 * @returns {Promise<ItemDetail|null>} null when the document cannot be loaded
+	 */
+	async resolve(uuid) {
+		if (!uuid) return null;
+		const cached = this.#cache.get(uuid);
+		if (cached) return cached;
+
+		const doc = await this.#compendiumBrowser.getFullDocument(uuid);
+		if (!doc) return null;
+
+		const { main, higherTiers } = ItemDetailResolver.#getDescriptionParts(doc);
+		const detail = {
+			uuid,
+			name: doc.name,
+			img: doc.img,
+			fields: this.#buildFields(doc),
+			description: await ItemDetailResolver.#enrich(main, doc),
+			higherTiers: await ItemDetailResolver.#enrich(higherTiers, doc),
+		};
+		this.#cache.set(uuid, detail);
+		return detail;
+	}
+
+	/**
+	 * Drop cached details, e.g. after a source pack changed.
+	 */
+	clear() {
+		this.#cache.clear();
+	}
+
+	/**
+	 * Build the field list for the document's type.
+	 * @param {Item} doc
+	 * @returns {ItemDetailField[]}
+	 */
+	#buildFields(doc) {
+		const system = doc.system ?? {};
+		const field = (key, value) => ({ label: game.i18n.localize(`NIMBLE_SELECTOR.detail.${key}`), value: String(value) });
+		const fields = [];
+		const properties = ItemDetailResolver.#formatProperties(system.properties?.selected);
+
+		if (doc.type === 'spell') {
+			fields.push(field('school', capitalize(system.school ?? '')));
+			fields.push(field('tier', system.tier > 0
+				? `${game.i18n.localize('NIMBLE_SELECTOR.spells.tier')} ${system.tier}`
+				: game.i18n.localize('NIMBLE_SELECTOR.spells.cantrip')));
+		} else if (doc.type === 'object') {
+			const entry = this.#compendiumBrowser.getEntry(doc.uuid);
+			fields.push(field('type', capitalize(system.objectType ?? '')));
+			if (entry?.armorType) fields.push(field('armorType', capitalize(entry.armorType)));
+
+			const price = entry ? this.#currency.formatPrice(entry) : '';
+			if (price) fields.push(field('price', price));
+
+			const damage = ItemDetailResolver.#findDamage(system.activation);
+			if (damage) fields.push(field('damage', damage));
+
+			const armor = (system.rules ?? []).find((rule) => rule?.type === 'armorClass')?.formula;
+			if (armor) fields.push(field('armor', armor));
+		} else {
+			if (system.featureType) fields.push(field('featureType', slugToLabel(system.featureType)));
+			if (system.group) fields.push(field('group', slugToLabel(system.group)));
+		}
+
+		if (properties) fields.push(field('properties', properties));
+		return fields.filter((f) => f.value);
+	}
+
+	/**
+	 * Split the description into the main text and, for spells, the higher-tier effect.
+	 * Mirrors the formats handled by CompendiumBrowser's index extraction.
+	 * @param {Item} doc
+	 * @returns {{main: string, higherTiers: string}}
+	 */
+	static #getDescriptionParts(doc) {
+		const desc = doc.system?.description;
+		if (!desc) return { main: '', higherTiers: '' };
+		if (typeof desc === 'string') return { main: desc, higherTiers: '' };
+		return {
+			main: String(desc.baseEffect ?? desc.public ?? desc.value ?? ''),
+			higherTiers: String(desc.higherLevelEffect ?? ''),
+		};
+	}
+
+	/**
+	 * Run HTML through Foundry's enrichment (content links, inline rolls, formatting).
+	 * @param {string} html
+	 * @param {Item} doc
+	 * @returns {Promise<string>}
+	 */
+	static async #enrich(html, doc) {
+		if (!html) return '';
+		return foundry.applications.ux.TextEditor.implementation.enrichHTML(html, {
+			relativeTo: doc,
+			rollData: doc.getRollData?.() ?? {},
+		});
+	}
+
+	/**
+	 * Find the damage formula of a weapon's activation, with its damage type.
+	 * @param {object|undefined} activation
+	 * @returns {string}
+	 */
+	static #findDamage(activation) {
+		const effects = activation?.effects ?? [];
+		const damage = effects.find((e) => e?.type === 'damage') ?? effects[0];
+		if (!damage?.formula) return '';
+		return damage.damageType ? `${damage.formula} ${capitalize(damage.damageType)}` : damage.formula;
+	}
+
+	/**
+	 * Format a selected-properties collection (e.g. `utilitySpell`) as a comma-separated label list.
+	 * @param {Array|Set|undefined} selected
+	 * @returns {string}
+	 */
+	static #formatProperties(selected) {
+		if (!selected) return '';
+		return [...selected]
+			.map((p) => slugToLabel(p.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase()))
+			.join(', ');
+	}
+}
+
+export { ItemDetailResolver };
@@ -0,0 +1,150 @@
+import { normalizeString } from '../utils/constants.mjs';
+import { ClassFeatureResolver } from './ClassFeatureResolver.mjs';
+import { DataProvider } from './DataProvider.mjs';
+import { SchoolChoiceResolver } from './SchoolChoiceResolver.mjs';
+
+/**
+ * @typedef {object} RemovableContent
+ * @property {Item[]} features - Owned features only granted above the target level
+ * @property {Item[]} spells - Owned spells the character can no longer access
+ * @property {string[]} schoolChoiceKeys - Persisted school choices configured above the target level
+ */
+
+/**
+ * @typedef {object} SpellAccess
+ * @property {Set<string>} schools - Real schools (utility excluded)
+ * @property {boolean} hasUtility
+ * @property {number} minTier
+ * @property {number} maxTier - -1 when the class has no spellcasting at that level
+ */
+
+/**
+ * Works out which owned features, spells and school choices stop applying
+ * when a class drops to a lower level (or is rebuilt from level 0).
+ */
+class RespecResolver {
+	/** @type {ClassFeatureResolver} */
+	#featureResolver;
+	/** @type {DataProvider} */
+	#dataProvider;
+	/** @type {SchoolChoiceResolver} */
+	#choiceResolver;
+
+	constructor() {
+		this.#featureResolver = new ClassFeatureResolver();
+		this.#dataProvider = DataProvider.instance;
+		this.#choiceResolver = new SchoolChoiceResolver();
+	}
+
+	/**
+	 * Find owned content granted by a class between `targetLevel + 1` and `previousLevel`.
+	 * Spells still reachable through another class the actor holds are kept.
+	 * @param {Actor} actor
+	 * @param {import('../core/SelectorOrchestrator.mjs').ActorClassInfo} classInfo - The class being lowered
+	 * @param {number} previousLevel - Class level before the drop
+	 * @param {number} targetLevel - Class level after the drop (0 = remove everything)
+	 * @param {import('../core/SelectorOrchestrator.mjs').ActorClassInfo[]} [otherClasses=[]]
+	 * @returns {RemovableContent}
+	 */
+	findRemovable(actor, classInfo, previousLevel, targetLevel, otherClasses = []) {
+		return {
+			features: this.#findRemovableFeatures(actor, classInfo, previousLevel, targetLevel),
+			spells: this.#findRemovableSpells(actor, classInfo, previousLevel, targetLevel, otherClasses),
+			schoolChoiceKeys: this.#choiceResolver.findChoiceKeysAboveLevel(
+				actor, classInfo.classIdentifier, classInfo.subclassIdentifier, targetLevel,
+			),
+		};
+	}
+
+	/**
+	 * Match owned features against the ones resolved above the target level,
+	 * ignoring any that are also resolved at or below it.
+	 * @returns {Item[]}
+	 */
+	#findRemovableFeatures(actor, { classIdentifier, subclassIdentifier }, previousLevel, targetLevel) {
+		const lost = this.#featureResolver.resolveRange(classIdentifier, targetLevel + 1, previousLevel, subclassIdentifier);
+		const kept = this.#featureResolver.resolveRange(classIdentifier, 1, targetLevel, subclassIdentifier);
+
+		const keptKeys = new Set();
+		for (const f of kept) {
+			keptKeys.add(normalizeString(f.name));
+			if (f.uuid) keptKeys.add(f.uuid);
+		}
+
+		const lostKeys = new Set();
+		for (const f of lost) {
+			const name = normalizeString(f.name);
+			if (keptKeys.has(name) || (f.uuid && keptKeys.has(f.uuid))) continue;
+			lostKeys.add(name);
+			if (f.uuid) lostKeys.add(f.uuid);
+		}
+
+		return actor.items.filter((item) => {
+			if (item.type !== 'feature') return false;
+			const source = item._stats?.compendiumSource ?? item.flags?.core?.sourceId;
+			return lostKeys.has(normalizeString(item.name)) || (source != null && lostKeys.has(source));
+		});
+	}
+
+	/**
+	 * Keep spells the class could cast before the drop but no class can cast after it.
+	 * @returns {Item[]}
+	 */
+	#findRemovableSpells(actor, classInfo, previousLevel, targetLevel, otherClasses) {
+		const before = this.#getSpellAccess(actor, { ...classInfo, level: previousLevel });
+		if (before.maxTier < 0) return [];
+
+		const after = [
+			this.#getSpellAccess(actor, { ...classInfo, level: targetLevel }),
+			...otherClasses.map((info) => this.#getSpellAccess(actor, info)),
+		];
+
+		return actor.items.filter((item) => item.type === 'spell'
+			&& RespecResolver.#canAccess(before, item)
+			&& !after.some((access) => RespecResolver.#canAccess(access, item)));
+	}
+
+	/**
+	 * Resolve the schools and tier range a class grants at a level.
+	 * @param {Actor} actor
+	 * @param {import('../core/SelectorOrchestrator.mjs').ActorClassInfo} info
+	 * @returns {SpellAccess}
+	 */
+	#getSpellAccess(actor, { classIdentifier, subclassIdentifier, level }) {
+		const maxTier = level > 0
+			? this.#dataProvider.getMaxSpellTier(classIdentifier, level, subclassIdentifier)
+			: -1;
+		const schools = maxTier < 0
+			? []
+			: this.#choiceResolver.resolveAllSchools(actor, classIdentifier, level, subclassIdentifier);
+
+		return {
+			schools: new Set(schools.filter((s) => s !== 'utility').map(normalizeString)),
+			hasUtility: schools.includes('utility'),
+			minTier: this.#dataProvider.getMinSpellTier(classIdentifier, subclassIdentifier),
+			maxTier,
+		};
+	}
+
+	/**
+	 * Check whether an owned spell falls inside a class's spell access.
+	 * @param {SpellAccess} access
+	 * @param {Item} spell
+	 * @returns {boolean}
+	 */
+	static #canAccess(access, spell) {
+		if (access.maxTier < 0) return false;
+		const tier = spell.system?.tier ?? 0;
+		if (tier < access.minTier || tier > access.maxTier) return false;
+
+		const selected = spell.system?.properties?.selected;
+		const isUtility = Array.isArray(selected)
+			? selected.includes('utilitySpell')
+			: selected instanceof Set && selected.has('utilitySpell');
+		if (isUtility && !access.hasUtility) return false;
+
+		return access.schools.has(normalizeString(spell.system?.school));
+	}
+}
+
+export { RespecResolver };
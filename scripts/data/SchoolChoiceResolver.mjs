@@ -1,4 +1,4 @@
-import { MODULE_ID, LOG_PREFIX } from '../utils/constants.mjs';
+import { MODULE_ID, LOG_PREFIX, HOOKS } from '../utils/constants.mjs';
 import { DataProvider } from './DataProvider.mjs';
 
 /** @type {readonly string[]} Core schools available for open choices. */
@@ -72,6 +72,21 @@ class SchoolChoiceResolver {
 			console.warn(`${LOG_PREFIX} saveChoice called with unknown schools:`, invalidSchools);
 		}
 		await actor.setFlag(MODULE_ID, `schoolChoices.${key}`, schools);
+		Hooks.callAll(HOOKS.schoolChoice, { actor, source: 'manual', choices: { [key]: schools } });
+	}
+
+	/**
+	 * Persist several school choices in a single actor update.
+	 * @param {Actor} actor
+	 * @param {Record<string, string[]>} choices - key → chosen schools
+	 */
+	async saveChoices(actor, choices) {
+		const entries = Object.entries(choices ?? {}).filter(([, schools]) => schools?.length);
+		if (!entries.length) return;
+		await actor.update(Object.fromEntries(
+			entries.map(([key, schools]) => [`flags.${MODULE_ID}.schoolChoices.${key}`, schools]),
+		));
+		Hooks.callAll(HOOKS.schoolChoice, { actor, source: 'manual', choices: Object.fromEntries(entries) });
 	}
 
 	/**
@@ -84,16 +99,45 @@ class SchoolChoiceResolver {
 		await actor.unsetFlag(MODULE_ID, `schoolChoices.${key}`);
 	}
 
+	/**
+	 * List persisted choice keys made by a class or its subclass above a level.
+	 * @param {Actor} actor
+	 * @param {string} classIdentifier
+	 * @param {string|null} subclassIdentifier
+	 * @param {number} level - Choices configured above this level are returned
+	 * @returns {string[]}
+	 */
+	findChoiceKeysAboveLevel(actor, classIdentifier, subclassIdentifier, level) {
+		return Object.keys(this.getChoices(actor)).filter((key) => {
+			const [source, identifier, choiceLevel] = key.split('__');
+			const owner = source === 'class' ? classIdentifier : subclassIdentifier;
+			return identifier === owner && Number(choiceLevel) > level;
+		});
+	}
+
+	/**
+	 * Remove several persisted choices in a single actor update.
+	 * @param {Actor} actor
+	 * @param {string[]} keys
+	 */
+	async removeChoices(actor, keys) {
+		if (!keys?.length) return;
+		await actor.update(Object.fromEntries(
+			keys.map((key) => [`flags.${MODULE_ID}.schoolChoices.-=${key}`, null]),
+		));
+	}
+
 	/**
 	 * Return unresolved choices — configured in JSON but not yet persisted.
 	 * @param {Actor} actor
 	 * @param {string} classIdentifier
 	 * @param {number} level
 	 * @param {string|null} subclassIdentifier
+	 * @param {Record<string, string[]>|null} [draft=null] - Unsaved choices to read instead of the actor's flags
 	 * @returns {PendingChoice[]}
 	 */
-	getPendingChoices(actor, classIdentifier, level, subclassIdentifier) {
-		const { choices, granted, persisted } = this.#getChoiceState(actor, classIdentifier, level, subclassIdentifier);
+	getPendingChoices(actor, classIdentifier, level, subclassIdentifier, draft = null) {
+		const { choices, granted, persisted } = this.#getChoiceState(actor, classIdentifier, level, subclassIdentifier, draft);
 		const grantedSet = new Set(granted);
 
 		/** @type {PendingChoice[]} */
@@ -140,10 +184,11 @@ class SchoolChoiceResolver {
 	 * @param {string} classIdentifier
 	 * @param {number} level
 	 * @param {string|null} subclassIdentifier
+	 * @param {Record<string, string[]>|null} [draft=null] - Unsaved choices to read instead of the actor's flags
 	 * @returns {string[]}
 	 */
-	resolveAllSchools(actor, classIdentifier, level, subclassIdentifier) {
-		const { choices, granted, persisted } = this.#getChoiceState(actor, classIdentifier, level, subclassIdentifier);
+	resolveAllSchools(actor, classIdentifier, level, subclassIdentifier, draft = null) {
+		const { choices, granted, persisted } = this.#getChoiceState(actor, classIdentifier, level, subclassIdentifier, draft);
 		const allSchools = new Set(granted);
 
 		for (const choice of choices) {
@@ -165,13 +210,14 @@ class SchoolChoiceResolver {
 	 * @param {string} classIdentifier
 	 * @param {number} level
 	 * @param {string|null} subclassIdentifier
+	 * @param {Record<string, string[]>|null} [draft=null] - Used instead of the actor's flags when given
 	 * @returns {{ granted: string[], choices: import('./DataProvider.mjs').SpellSchoolChoice[], persisted: Record<string, string[]> }}
 	 */
-	#getChoiceState(actor, classIdentifier, level, subclassIdentifier) {
+	#getChoiceState(actor, classIdentifier, level, subclassIdentifier, draft = null) {
 		const { granted, choices } = this.#dataProvider.getSpellSchools(
 			classIdentifier, level, subclassIdentifier,
 		);
-		const persisted = this.getChoices(actor);
+		const persisted = draft ?? this.getChoices(actor);
 		return { granted, choices, persisted };
 	}
 }
@@ -0,0 +1,95 @@
+import { buildOwnedItemKeys } from '../utils/constants.mjs';
+import { DataProvider } from './DataProvider.mjs';
+import { SchoolChoiceResolver } from './SchoolChoiceResolver.mjs';
+import { CompendiumBrowser } from '../core/CompendiumBrowser.mjs';
+
+/**
+ * @typedef {object} SpellsKnownStatus
+ * @property {number} limit - Spells the class may know at this level
+ * @property {number} known - Learnable spells the actor already owns
+ * @property {number} remaining - Spells still to choose (never more than are left to learn)
+ */
+
+/**
+ * @typedef {object} PendingSpellChoice
+ * @property {string} classIdentifier
+ * @property {string|null} subclassIdentifier
+ * @property {number} level
+ * @property {number} limit
+ * @property {number} known
+ * @property {number} remaining
+ */
+
+/**
+ * Applies the optional spells-known table to a class's learnable spells.
+ * The learnable spells are the ones SpellSelector lists: every spell of the
+ * resolved schools between the class's min and max tier, utility included
+ * when the class has it. Owned spells among them count toward the cap.
+ */
+class SpellsKnownResolver {
+	/** @type {DataProvider} */
+	#dataProvider;
+	/** @type {SchoolChoiceResolver} */
+	#choiceResolver;
+	/** @type {CompendiumBrowser} */
+	#compendiumBrowser;
+
+	constructor() {
+		this.#dataProvider = DataProvider.instance;
+		this.#choiceResolver = new SchoolChoiceResolver();
+		this.#compendiumBrowser = CompendiumBrowser.instance;
+	}
+
+	/**
+	 * Find the spells a class can learn at a level.
+	 * @param {Actor} actor
+	 * @param {string} classIdentifier
+	 * @param {number} level
+	 * @param {string|null} [subclassIdentifier=null]
+	 * @param {Record<string, string[]>|null} [schoolChoices=null] - Unsaved school choices to use instead of the actor's
+	 * @returns {import('../core/CompendiumBrowser.mjs').SpellData[]}
+	 */
+	findLearnableSpells(actor, classIdentifier, level, subclassIdentifier = null, schoolChoices = null) {
+		const maxTier = this.#dataProvider.getMaxSpellTier(classIdentifier, level, subclassIdentifier);
+		if (maxTier < 0) return [];
+
+		const schools = this.#choiceResolver.resolveAllSchools(
+			actor, classIdentifier, level, subclassIdentifier, schoolChoices,
+		);
+		if (schools.length === 0) return [];
+
+		return this.#compendiumBrowser.findSpells({
+			schools: schools.filter((s) => s !== 'utility'),
+			maxTier,
+			minTier: this.#dataProvider.getMinSpellTier(classIdentifier, subclassIdentifier),
+			includeUtility: schools.includes('utility'),
+			classIdentifier,
+		});
+	}
+
+	/**
+	 * Compare the actor's known spells with the class's cap.
+	 * @param {Actor} actor
+	 * @param {string} classIdentifier
+	 * @param {number} level
+	 * @param {string|null} [subclassIdentifier=null]
+	 * @param {import('../core/CompendiumBrowser.mjs').SpellData[]|null} [spells=null] - Learnable spells, if already loaded
+	 * @returns {SpellsKnownStatus|null} null when the class is not capped
+	 */
+	getStatus(actor, classIdentifier, level, subclassIdentifier = null, spells = null) {
+		const limit = this.#dataProvider.getSpellsKnownLimit(classIdentifier, level, subclassIdentifier);
+		if (limit == null) return null;
+
+		const learnable = spells ?? this.findLearnableSpells(actor, classIdentifier, level, subclassIdentifier);
+		const ownedKeys = buildOwnedItemKeys(actor, 'spell');
+		const known = learnable.filter((s) => ownedKeys.has(s.uuid) || ownedKeys.has(s._normalizedName)).length;
+
+		return {
+			limit,
+			known,
+			remaining: Math.max(0, Math.min(limit - known, learnable.length - known)),
+		};
+	}
+}
+
+export { SpellsKnownResolver };
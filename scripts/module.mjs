@@ -1,17 +1,26 @@
-import { MODULE_ID, LOG_PREFIX } from './utils/constants.mjs';
+import { MODULE_ID, LOG_PREFIX, HOOKS, DEFAULT_COMPENDIUM_SOURCES } from './utils/constants.mjs';
 import { DataProvider } from './data/DataProvider.mjs';
 import { CompendiumBrowser } from './core/CompendiumBrowser.mjs';
 import { SelectorOrchestrator } from './core/SelectorOrchestrator.mjs';
+import { GrantApproval } from './core/GrantApproval.mjs';
+import { SelectorApi } from './core/SelectorApi.mjs';
+import { ChatSummary } from './core/ChatSummary.mjs';
+import { ShopManager } from './core/ShopManager.mjs';
+import { DataOverridesConfig } from './apps/DataOverridesConfig.mjs';
+import { CompendiumSourcesConfig } from './apps/CompendiumSourcesConfig.mjs';
+import { ShopsConfig } from './apps/ShopsConfig.mjs';
 
 /**
  * Nimble Selector Module Entry Point
  *
  * Integration hooks:
- * - init: register settings + keybinding
- * - ready: load data, create orchestrator, expose API
- * - updateItem: detect level-up (classLevel change)
- * - createItem: detect character creation (class added)
- * - getSceneControlButtons: add button to token controls bar
+ * - init: register settings, GM menus (data overrides, compendium sources, shops) + keybinding
+ * - ready: load data, create orchestrator, listen on the module socket and the grant hooks (chat summary), expose API
+ * - updateActor: refresh open shops when a merchant actor's shop changes
+ * - preUpdateItem: remember the class level before it changes
+ * - updateItem: detect level-up / level-down (classLevel change, unless made by the party level-up)
+ * - createItem: detect character creation (class added, unless added by the creation wizard)
+ * - getSceneControlButtons: add buttons to token controls bar (party level-up for GMs)
  *
  * Note: The Nimble system uses SvelteApplicationMixin(ActorSheetV2).
  * We patch _getHeaderControls() on character sheet classes to add
@@ -47,6 +56,25 @@ function _openForControlledToken() {
 	orchestrator.openForActor(actor);
 }
 
+/**
+ * Show an auto-grant notification forwarded over the socket to GMs.
+ * @param {{senderId: string, message: string, isWarning: boolean}} data
+ * @returns {void}
+ */
+function _showForwardedNotification(data) {
+	if (!game.user.isGM) return;
+	if (data.senderId === game.userId) return; // Already shown locally
+	if (typeof data.message !== 'string' || typeof data.isWarning !== 'boolean') {
+		console.warn(`${LOG_PREFIX} Received malformed socket payload:`, data);
+		return;
+	}
+	if (data.isWarning) {
+		ui.notifications.warn(data.message);
+	} else {
+		ui.notifications.info(data.message);
+	}
+}
+
 /**
  * Collect all registered character sheet classes from CONFIG and the Foundry registry.
  * @returns {Function[]} Array of sheet class constructors
@@ -202,6 +230,15 @@ Hooks.once('init', () => {
 
 	// ── Handlebars helpers ───────────────────
 	Handlebars.registerHelper('capitalize', (str) => str ? str.charAt(0).toUpperCase() + str.slice(1) : '');
+	// Card name with the search match marked: {{highlightMatch this}} on an entry with `name` and `highlight`
+	Handlebars.registerHelper('highlightMatch', (entry) => {
+		if (!entry?.highlight) return entry?.name ?? '';
+		const { before, match, after } = entry.highlight;
+		const escape = Handlebars.escapeExpression;
+		return new Handlebars.SafeString(
+			`${escape(before)}<mark class="nimble-selector__search-match">${escape(match)}</mark>${escape(after)}`,
+		);
+	});
 
 	// ── Settings ──────────────────────────────
 	game.settings.register(MODULE_ID, 'autoOpenOnLevelUp', {
@@ -249,6 +286,127 @@ Hooks.once('init', () => {
 		default: true,
 	});
 
+	game.settings.register(MODULE_ID, 'chatSummaryMode', {
+		name: 'NIMBLE_SELECTOR.settings.chatSummaryMode',
+		hint: 'NIMBLE_SELECTOR.settings.chatSummaryModeHint',
+		scope: 'world',
+		config: true,
+		type: String,
+		choices: {
+			off: 'NIMBLE_SELECTOR.settings.chatSummaryModes.off',
+			public: 'NIMBLE_SELECTOR.settings.chatSummaryModes.public',
+			gmOwner: 'NIMBLE_SELECTOR.settings.chatSummaryModes.gmOwner',
+		},
+		default: 'off',
+	});
+
+	game.settings.register(MODULE_ID, 'chatSummaryReplacesToast', {
+		name: 'NIMBLE_SELECTOR.settings.chatSummaryReplacesToast',
+		hint: 'NIMBLE_SELECTOR.settings.chatSummaryReplacesToastHint',
+		scope: 'world',
+		config: true,
+		type: Boolean,
+		default: false,
+	});
+
+	game.settings.register(MODULE_ID, 'minimiseCoins', {
+		name: 'NIMBLE_SELECTOR.settings.minimiseCoins',
+		hint: 'NIMBLE_SELECTOR.settings.minimiseCoinsHint',
+		scope: 'world',
+		config: true,
+		type: Boolean,
+		default: false,
+	});
+
+	game.settings.register(MODULE_ID, 'sellRatio', {
+		name: 'NIMBLE_SELECTOR.settings.sellRatio',
+		hint: 'NIMBLE_SELECTOR.settings.sellRatioHint',
+		scope: 'world',
+		config: true,
+		type: Number,
+		range: { min: 0, max: 100, step: 5 },
+		default: 50,
+	});
+
+	game.settings.register(MODULE_ID, 'capacityMode', {
+		name: 'NIMBLE_SELECTOR.settings.capacityMode',
+		hint: 'NIMBLE_SELECTOR.settings.capacityModeHint',
+		scope: 'world',
+		config: true,
+		type: String,
+		choices: {
+			warn: 'NIMBLE_SELECTOR.settings.capacityModes.warn',
+			block: 'NIMBLE_SELECTOR.settings.capacityModes.block',
+		},
+		default: 'warn',
+	});
+
+	game.settings.register(MODULE_ID, 'requireGmApproval', {
+		name: 'NIMBLE_SELECTOR.settings.requireGmApproval',
+		hint: 'NIMBLE_SELECTOR.settings.requireGmApprovalHint',
+		scope: 'world',
+		config: true,
+		type: Boolean,
+		default: false,
+	});
+
+	// ── Data overrides (GM menu) ─────────────
+	game.settings.register(MODULE_ID, 'dataOverrides', {
+		scope: 'world',
+		config: false,
+		type: Object,
+		default: {},
+		onChange: () => DataProvider.instance.reload()
+			.then(() => CompendiumBrowser.instance.invalidate())
+			.catch((err) => console.error(`${LOG_PREFIX} Failed to reload data overrides:`, err)),
+	});
+
+	game.settings.registerMenu(MODULE_ID, 'dataOverridesMenu', {
+		name: 'NIMBLE_SELECTOR.settings.dataOverrides',
+		label: 'NIMBLE_SELECTOR.settings.dataOverridesLabel',
+		hint: 'NIMBLE_SELECTOR.settings.dataOverridesHint',
+		icon: 'fa-solid fa-database',
+		type: DataOverridesConfig,
+		restricted: true,
+	});
+
+	// ── Compendium sources (GM menu) ─────────
+	game.settings.register(MODULE_ID, 'compendiumSources', {
+		scope: 'world',
+		config: false,
+		type: Object,
+		default: DEFAULT_COMPENDIUM_SOURCES,
+		onChange: () => CompendiumBrowser.instance.reindex()
+			.catch((err) => console.error(`${LOG_PREFIX} Failed to re-index compendium sources:`, err)),
+	});
+
+	game.settings.registerMenu(MODULE_ID, 'compendiumSourcesMenu', {
+		name: 'NIMBLE_SELECTOR.settings.compendiumSources',
+		label: 'NIMBLE_SELECTOR.settings.compendiumSourcesLabel',
+		hint: 'NIMBLE_SELECTOR.settings.compendiumSourcesHint',
+		icon: 'fa-solid fa-book-atlas',
+		type: CompendiumSourcesConfig,
+		restricted: true,
+	});
+
+	// ── Shops (GM menu) ──────────────────────
+	game.settings.register(MODULE_ID, 'shops', {
+		scope: 'world',
+		config: false,
+		type: Object,
+		default: {},
+		onChange: () => ShopManager.refreshOpenApps(),
+	});
+
+	game.settings.registerMenu(MODULE_ID, 'shopsMenu', {
+		name: 'NIMBLE_SELECTOR.settings.shops',
+		label: 'NIMBLE_SELECTOR.settings.shopsLabel',
+		hint: 'NIMBLE_SELECTOR.settings.shopsHint',
+		icon: 'fa-solid fa-store',
+		type: ShopsConfig,
+		restricted: true,
+	});
+
 	// ── Keybinding (Shift+L) ─────────────────
 	game.keybindings.register(MODULE_ID, 'openSelector', {
 		name: 'NIMBLE_SELECTOR.keybindings.openSelector',
@@ -274,29 +432,57 @@ Hooks.once('ready', async () => {
 
 		orchestrator = new SelectorOrchestrator();
 
-		// Socket listener: display auto-grant notifications forwarded to GM
+		const grantApproval = new GrantApproval();
+
+		// Chat cards for grants and level-ups, posted by the client that made them
+		const chatSummary = new ChatSummary();
+		Hooks.on(HOOKS.grant, (payload) => chatSummary.onGrant(payload)
+			.catch((err) => console.error(`${LOG_PREFIX} Failed to post the grant chat summary:`, err)));
+		Hooks.on(HOOKS.levelUpResolved, (payload) => chatSummary.onLevelUpResolved(payload)
+			.catch((err) => console.error(`${LOG_PREFIX} Failed to post the level-up chat summary:`, err)));
+
+		// Socket listener: auto-grant notifications forwarded to GM, GM approval of player grants, shop stock
 		game.socket.on(`module.${MODULE_ID}`, (data) => {
-			if (!data || data.type !== 'autoGrantNotification') return;
-			if (!game.user.isGM) return;
-			if (data.senderId === game.userId) return; // Already shown locally
-			if (typeof data.message !== 'string' || typeof data.isWarning !== 'boolean') {
-				console.warn(`${LOG_PREFIX} Received malformed socket payload:`, data);
-				return;
-			}
-			if (data.isWarning) {
-				ui.notifications.warn(data.message);
-			} else {
-				ui.notifications.info(data.message);
+			switch (data?.type) {
+				case 'autoGrantNotification':
+					_showForwardedNotification(data);
+					break;
+				case 'grantRequest':
+					grantApproval.handleRequest(data);
+					break;
+				case 'grantResponse':
+					grantApproval.handleResponse(data);
+					break;
+				case 'shopStockRequest':
+					ShopManager.instance.handleRequest(data);
+					break;
+				case 'shopStockResponse':
+					ShopManager.instance.handleResponse(data);
+					break;
 			}
 		});
 
-		// Expose the orchestrator globally for macro / API usage
+		// Expose the orchestrator globally for macro / API usage:
+		// window openers, plus headless resolution and granting that return plain data
+		const api = new SelectorApi(orchestrator);
 		game.modules.get(MODULE_ID).api = {
 			orchestrator,
 			openForActor: (actor) => orchestrator.openForActor(actor),
 			openFeatureSelector: (actor) => orchestrator.openFeatureSelector(actor),
 			openSpellSelector: (actor) => orchestrator.openSpellSelector(actor),
 			openEquipmentSelector: (actor) => orchestrator.openEquipmentSelector(actor),
+			openShop: (actor, shopId) => orchestrator.openEquipmentSelector(actor, null, { shop: shopId }),
+			openCreationWizard: (actor) => orchestrator.openCreationWizard(actor),
+			openPartyLevelUp: () => orchestrator.openPartyLevelUp(),
+			getClasses: (actor) => api.getClasses(actor),
+			getAvailableFeatures: (actor, options) => api.getAvailableFeatures(actor, options),
+			getAvailableSpells: (actor, options) => api.getAvailableSpells(actor, options),
+			getAvailableEquipment: (actor, options) => api.getAvailableEquipment(actor, options),
+			getPendingChoices: (actor) => api.getPendingChoices(actor),
+			grant: (actor, uuidsOrQuantities, options) => api.grant(actor, uuidsOrQuantities, options),
+			autoGrant: (actor, fromLevel, toLevel, options) => api.autoGrant(actor, fromLevel, toLevel, options),
+			saveSchoolChoice: (actor, key, schools) => api.saveSchoolChoice(actor, key, schools),
+			purchase: (actor, quantities, options) => api.purchase(actor, quantities, options),
 		};
 
 		_patchCharacterSheetControls();
@@ -323,17 +509,43 @@ Hooks.on('getSceneControlButtons', (controls) => {
 		button: true,
 		onChange: _openForControlledToken,
 	};
+
+	tokenGroup.tools[`${MODULE_ID}-party`] = {
+		name: `${MODULE_ID}-party`,
+		title: 'Party Level-Up',
+		icon: 'fa-solid fa-users-line',
+		button: true,
+		visible: game.user.isGM,
+		onChange: () => {
+			if (!orchestrator) {
+				ui.notifications.warn(game.i18n.localize('NIMBLE_SELECTOR.notifications.loading'));
+				return;
+			}
+			orchestrator.openPartyLevelUp();
+		},
+	};
 });
 
 /* ---------------------------------------- */
 /*  Level-Up Detection (updateItem)         */
 /* ---------------------------------------- */
 
-Hooks.on('updateItem', (item, changes, _options, userId) => {
+// The update hook only sees the new level; stash the old one in the
+// operation options so skipped levels can be caught up afterwards.
+Hooks.on('preUpdateItem', (item, changes, options, userId) => {
 	if (userId !== game.userId) return;
 	if (item.type !== 'class') return;
 	if (!foundry.utils.hasProperty(changes, 'system.classLevel')) return;
 
+	options[MODULE_ID] = { ...options[MODULE_ID], previousLevel: item.system?.classLevel ?? 1 };
+});
+
+Hooks.on('updateItem', (item, changes, options, userId) => {
+	if (userId !== game.userId) return;
+	if (item.type !== 'class') return;
+	if (!foundry.utils.hasProperty(changes, 'system.classLevel')) return;
+	if (options[MODULE_ID]?.skipAutoOpen) return; // The party level-up grants and reports itself
+
 	const autoOpen = game.settings.get(MODULE_ID, 'autoOpenOnLevelUp');
 	if (!autoOpen || !orchestrator) return;
 
@@ -341,18 +553,27 @@ Hooks.on('updateItem', (item, changes, _options, userId) => {
 	if (!actor || actor.type !== 'character') return;
 
 	const newLevel = changes.system.classLevel;
+	const previousLevel = options[MODULE_ID]?.previousLevel ?? newLevel;
+
+	if (newLevel < previousLevel) {
+		orchestrator.handleLevelDown(actor, previousLevel, newLevel, item.id);
+		return;
+	}
 	if (newLevel < 2) return;
 
-	orchestrator.handleLevelUp(actor, newLevel, newLevel);
+	// Cover every level gained, not just the last one (e.g. 3 → 7 grants 4–7)
+	const fromLevel = previousLevel < newLevel ? previousLevel + 1 : newLevel;
+	orchestrator.handleLevelUp(actor, fromLevel, newLevel, item.id);
 });
 
 /* ---------------------------------------- */
 /*  Character Creation (createItem)         */
 /* ---------------------------------------- */
 
-Hooks.on('createItem', (item, _options, userId) => {
+Hooks.on('createItem', (item, options, userId) => {
 	if (userId !== game.userId) return;
 	if (item.type !== 'class') return;
+	if (options[MODULE_ID]?.skipAutoOpen) return; // The creation wizard grants the starting content itself
 
 	const autoOpen = game.settings.get(MODULE_ID, 'autoOpenOnLevelUp');
 	if (!autoOpen || !orchestrator) return;
@@ -363,7 +584,17 @@ Hooks.on('createItem', (item, _options, userId) => {
 	// Delay to allow the system to finish its own item-creation logic
 	// (HP, classData, etc.) before we open the panel.
 	setTimeout(() => {
-		orchestrator.handleClassCreation(actor);
+		orchestrator.handleClassCreation(actor, item.id);
 	}, CLASS_CREATION_DELAY);
 });
 
+/* ---------------------------------------- */
+/*  Merchant Shops (updateActor)            */
+/* ---------------------------------------- */
+
+// Merchant shops live in an actor flag, not in the `shops` setting
+Hooks.on('updateActor', (actor, changes) => {
+	const flags = changes.flags?.[MODULE_ID];
+	if (!flags || !['shop', '-=shop', '==shop'].some((key) => key in flags)) return;
+	ShopManager.refreshOpenApps();
+});
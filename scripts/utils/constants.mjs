@@ -13,10 +13,96 @@ export const PACK_NAMES = {
 	subclasses: 'nimble.nimble-subclasses',
 };
 
+/**
+ * Default `compendiumSources` setting: ordered pack lists per content type,
+ * highest priority first.
+ * @type {{features: string[], spells: string[], items: string[]}}
+ */
+export const DEFAULT_COMPENDIUM_SOURCES = {
+	features: [PACK_NAMES.classFeatures],
+	spells: [PACK_NAMES.spells],
+	items: [PACK_NAMES.items],
+};
+
+/** @type {number} Class level at which a subclass is chosen when no subclass feature says otherwise. */
+export const DEFAULT_SUBCLASS_LEVEL = 3;
+
+/** @type {number} Highest class level in Nimble. */
+export const MAX_LEVEL = 20;
+
+/**
+ * Hooks fired by the module. Every hook receives a single payload object
+ * carrying the actor and the grant source.
+ *
+ * - `preGrant` ({@link PreGrantPayload}) — `Hooks.call` before items are granted, and
+ *   before a purchase is charged; listeners may edit `items` in place, and returning
+ *   false (or removing every item) cancels the grant
+ * - `grant` ({@link GrantPayload}) — after items were granted
+ * - `purchase` ({@link GrantPayload}) — after a grant that was paid for, with the coins spent
+ * - `schoolChoice` ({@link SchoolChoicePayload}) — after spell school choices were saved
+ * - `levelUpResolved` ({@link LevelUpResolvedPayload}) — after auto-grant resolved a class level range
+ */
+export const HOOKS = {
+	preGrant: 'nimbleSelector.preGrant',
+	grant: 'nimbleSelector.grant',
+	purchase: 'nimbleSelector.purchase',
+	schoolChoice: 'nimbleSelector.schoolChoice',
+	levelUpResolved: 'nimbleSelector.levelUpResolved',
+};
+
+/**
+ * @typedef {object} PreGrantPayload
+ * @property {Actor} actor
+ * @property {import('../core/GrantHistory.mjs').GrantSource} source
+ * @property {Array<{uuid: string, data: object, quantity: number}>} items - Item source data about to be granted (mutable)
+ */
+
+/**
+ * @typedef {object} GrantPayload
+ * @property {Actor} actor
+ * @property {import('../core/GrantHistory.mjs').GrantSource} source
+ * @property {Array<{data: object, quantity: number}>} items - Item source data that was granted
+ * @property {Item[]} created - Embedded items created (stacked quantities are in `quantityDeltas`)
+ * @property {Array<{itemId: string, delta: number}>} quantityDeltas
+ * @property {Record<string, number>|null} currency - Coins spent per denomination (negative = change received)
+ */
+
+/**
+ * @typedef {object} SchoolChoicePayload
+ * @property {Actor} actor
+ * @property {'manual'} source
+ * @property {Record<string, string[]>} choices - Choice key → chosen schools
+ */
+
+/**
+ * @typedef {object} LevelUpResolvedPayload
+ * @property {Actor} actor
+ * @property {'auto'} source
+ * @property {string} classIdentifier
+ * @property {string|null} subclassIdentifier
+ * @property {number} fromLevel
+ * @property {number} toLevel
+ * @property {{ features: string[], spells: string[] }} granted - Names of items granted
+ * @property {PendingResult} pending
+ */
+
 export const TEMPLATE_PATH = `modules/${MODULE_ID}/templates`;
 
 export const DATA_PATH = `modules/${MODULE_ID}/data`;
 
+/** @type {Record<string, string>} Bundled data file per dataset key (also the keys of the world overrides). */
+export const DATASET_FILES = {
+	spellSchools: 'spell-schools.json',
+	spellTiers: 'spell-tiers.json',
+	equipmentProficiencies: 'equipment-proficiencies.json',
+	secretSpells: 'secret-spells.json',
+	classExclusiveSpells: 'class-exclusive-spells.json',
+	spellsKnown: 'spells-known.json',
+	startingKits: 'starting-kits.json',
+	currency: 'currency.json',
+	inventory: 'inventory.json',
+};
+
 /** @type {Record<string, string>} FontAwesome icon class per spell school. */
 export const SCHOOL_ICONS = {
 	fire: 'fa-solid fa-fire-flame-curved',
@@ -29,6 +115,18 @@ export const SCHOOL_ICONS = {
 	utility: 'fa-solid fa-toolbox',
 };
 
+/** @type {Record<string, {label: string, icon: string}>} Equipment category display config, by object type. */
+export const EQUIPMENT_CATEGORIES = {
+	armor: { label: 'Armor', icon: 'fa-solid fa-shield-halved' },
+	shield: { label: 'Shields', icon: 'fa-solid fa-shield' },
+	weapon: { label: 'Weapons', icon: 'fa-solid fa-sword' },
+	consumable: { label: 'Consumables', icon: 'fa-solid fa-flask' },
+	misc: { label: 'Misc', icon: 'fa-solid fa-bag-shopping' },
+};
+
+/** @type {Set<string>} objectSizeType values that support quantity stacking. */
+export const STACKABLE_SIZE_TYPES = new Set(['stackable', 'smallSized']);
+
 /**
  * Capitalize the first letter of a string.
  * @param {string} str
@@ -111,11 +209,110 @@ export function pushToMapArray(map, key, value) {
 
 /**
  * Check if an auto-grant result has any pending choices.
- * @param {{ selectableGroups: string[], schoolChoices: any[] }} pending
+ * @param {PendingResult} pending
  * @returns {boolean}
  */
 export function hasPendingChoices(pending) {
-	return pending.selectableGroups.length > 0 || pending.schoolChoices.length > 0;
+	return pending.selectableGroups.length > 0
+		|| pending.schoolChoices.length > 0
+		|| pending.spellChoices.length > 0;
+}
+
+/**
+ * @typedef {object} SearchHighlight
+ * @property {string} before
+ * @property {string} match - Part of the name that matched the query
+ * @property {string} after
+ */
+
+/**
+ * Edit distance between two strings (insertions, deletions and substitutions).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const row = [i];
+		for (let j = 1; j <= b.length; j++) {
+			row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+		}
+		previous = row;
+	}
+	return previous[b.length];
+}
+
+/**
+ * Find the slice of `text` closest to `query`, allowing one typo from four
+ * characters and two from eight. Slices one shorter and one longer than the
+ * query catch dropped and doubled letters.
+ * @param {string} query
+ * @param {string} text
+ * @returns {{index: number, length: number, distance: number}|null}
+ */
+function findNearMatch(query, text) {
+	const budget = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+	if (!budget) return null;
+
+	let best = null;
+	for (let length = query.length - 1; length <= query.length + 1; length++) {
+		for (let index = 0; index + length <= text.length; index++) {
+			const distance = editDistance(query, text.slice(index, index + length));
+			if (distance <= budget && (!best || distance < best.distance)) best = { index, length, distance };
+		}
+	}
+	return best;
+}
+
+/**
+ * Score an entry against a normalized query. A name prefix ranks first, then
+ * a word start, any other substring, a near miss with typos, and last a hit
+ * in the description only.
+ * @param {string} query
+ * @param {string} name
+ * @param {string} description
+ * @returns {{score: number, highlight: SearchHighlight|null}|null} null when nothing matched
+ */
+function scoreSearchMatch(query, name, description) {
+	const lowerName = name.toLowerCase();
+	const split = (index, length) => ({
+		before: name.slice(0, index),
+		match: name.slice(index, index + length),
+		after: name.slice(index + length),
+	});
+
+	const index = lowerName.indexOf(query);
+	if (index !== -1) {
+		const score = index === 0 ? 100 : /[\s\-(]/.test(lowerName[index - 1]) ? 90 : 80;
+		return { score, highlight: split(index, query.length) };
+	}
+
+	const near = findNearMatch(query, lowerName);
+	if (near) return { score: 60 - near.distance * 10, highlight: split(near.index, near.length) };
+
+	if (description.toLowerCase().includes(query)) return { score: 30, highlight: null };
+	return null;
+}
+
+/**
+ * Filter entries by a search query on name and description, best match first.
+ * Matching entries get a `highlight` splitting the name around the hit.
+ * An empty query returns the entries unchanged.
+ * @template {{name: string, description?: string}} T
+ * @param {T[]} entries
+ * @param {string} query
+ * @returns {Array<T & {highlight?: SearchHighlight|null}>}
+ */
+export function searchEntries(entries, query) {
+	const needle = normalizeString(query);
+	if (!needle) return entries;
+
+	return entries
+		.map((entry) => ({ entry, match: scoreSearchMatch(needle, entry.name, entry.description ?? '') }))
+		.filter(({ match }) => match)
+		.sort((a, b) => b.match.score - a.match.score)
+		.map(({ entry, match }) => ({ ...entry, highlight: match.highlight }));
 }
 
 /**
@@ -131,15 +328,26 @@ export function hasPendingChoices(pending) {
  * @typedef {object} PendingResult
  * @property {string[]} selectableGroups
  * @property {import('../data/SchoolChoiceResolver.mjs').PendingChoice[]} schoolChoices
+ * @property {import('../data/SpellsKnownResolver.mjs').PendingSpellChoice[]} spellChoices - Capped classes with spells left to choose
  */
 
 /** @type {string} CSS selector for the scrollable area used by all selector apps. */
 const SCROLL_AREA_SELECTOR = '.nimble-selector__scroll-area';
 
+/** @type {string} CSS selector for the search field of the selector apps. */
+const SEARCH_INPUT_SELECTOR = 'input[data-search]';
+
+/** @type {number} Delay in ms between the last keystroke and the search re-render. */
+const SEARCH_DEBOUNCE_MS = 200;
+
 /**
  * Mixin that adds scroll position save/restore to an ApplicationV2 subclass.
  * Prevents scroll jumping when the app re-renders.
  *
+ * Also wires the search field (`input[data-search]`): typing calls the
+ * subclass's `_onSearch(query)` after a short pause, and the field keeps
+ * focus and caret across the re-render.
+ *
  * Usage: class MyApp extends ScrollPositionMixin(HandlebarsApplicationMixin(ApplicationV2)) { ... }
  *
  * @template {new (...args: any[]) => any} T
@@ -151,6 +359,12 @@ export function ScrollPositionMixin(Base) {
 		/** @type {number} */
 		_scrollTop = 0;
 
+		/** @type {{start: number, end: number}|null} Caret of the focused search field, restored after render. */
+		_searchCaret = null;
+
+		/** @type {boolean} Whether the search input listener has been attached. */
+		_searchBound = false;
+
 		/**
 		 * Save the current scroll position of the scroll area.
 		 * Call this before triggering a re-render.
@@ -158,6 +372,11 @@ export function ScrollPositionMixin(Base) {
 		_saveScrollPosition() {
 			const scrollArea = this.element?.querySelector(SCROLL_AREA_SELECTOR);
 			if (scrollArea) this._scrollTop = scrollArea.scrollTop;
+
+			const input = this.element?.querySelector(SEARCH_INPUT_SELECTOR);
+			this._searchCaret = input && input === document.activeElement
+				? { start: input.selectionStart, end: input.selectionEnd }
+				: null;
 		}
 
 		/** @override */
@@ -165,6 +384,24 @@ export function ScrollPositionMixin(Base) {
 			super._onRender?.(_context, _options);
 			const scrollArea = this.element?.querySelector(SCROLL_AREA_SELECTOR);
 			if (scrollArea) scrollArea.scrollTop = this._scrollTop;
+
+			if (this._searchCaret) {
+				const input = this.element.querySelector(SEARCH_INPUT_SELECTOR);
+				input?.focus();
+				input?.setSelectionRange(this._searchCaret.start, this._searchCaret.end);
+				this._searchCaret = null;
+			}
+
+			if (!this._searchBound && this.element && typeof this._onSearch === 'function') {
+				const search = foundry.utils.debounce((query) => {
+					this._saveScrollPosition();
+					this._onSearch(query);
+				}, SEARCH_DEBOUNCE_MS);
+				this.element.addEventListener('input', (event) => {
+					if (event.target.matches(SEARCH_INPUT_SELECTOR)) search(event.target.value);
+				});
+				this._searchBound = true;
+			}
 		}
 	};
 }